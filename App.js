@@ -15,6 +15,15 @@ import LoadingScreen from './src/components/LoadingComponents';
 // Auth Screens
 import LoginScreen from './src/screens/auth/LoginScreen';
 import RegisterScreen from './src/screens/auth/RegisterScreen';
+import ResetPasswordScreen from './src/screens/auth/ResetPasswordScreen';
+import TwoFactorScreen from './src/screens/auth/TwoFactorScreen';
+import VerifyEmailScreen from './src/screens/auth/VerifyEmailScreen';
+
+// Profile
+import ProfileScreen from './src/screens/profile/ProfileScreen';
+
+// Admin
+import UserManagementScreen from './src/screens/admin/UserManagementScreen';
 
 // Main App Screens (Placeholder)
 const HomeScreen = () => (
@@ -38,24 +47,6 @@ const RequestsScreen = () => (
   </View>
 );
 
-const ProfileScreen = () => {
-  const { logout, user } = useAuth();
-  
-  return (
-    <View style={styles.centerContainer}>
-      <Text style={styles.screenTitle}>Profile 👤</Text>
-      <Text style={styles.subText}>Welcome, {user?.profile?.name || user?.identifier}!</Text>
-      <Text style={styles.roleText}>Role: {user?.role}</Text>
-      <Text 
-        style={styles.logoutText} 
-        onPress={logout}
-      >
-        Logout
-      </Text>
-    </View>
-  );
-};
-
 // Navigation Stacks
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -70,60 +61,77 @@ const AuthStack = () => (
   >
     <Stack.Screen name="Login" component={LoginScreen} />
     <Stack.Screen name="Register" component={RegisterScreen} />
+    <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+    <Stack.Screen name="TwoFactor" component={TwoFactorScreen} />
+    <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
   </Stack.Navigator>
 );
 
 // Main App Tabs
-const MainTabs = () => (
-  <Tab.Navigator
-    screenOptions={{
-      tabBarActiveTintColor: '#2563eb',
-      tabBarInactiveTintColor: '#6b7280',
-      tabBarStyle: {
-        backgroundColor: 'white',
-        borderTopWidth: 1,
-        borderTopColor: '#e5e7eb',
-      },
-      headerStyle: {
-        backgroundColor: '#2563eb',
-      },
-      headerTintColor: 'white',
-      headerTitleStyle: {
-        fontWeight: 'bold',
-      },
-    }}
-  >
-    <Tab.Screen 
-      name="Home" 
-      component={HomeScreen}
-      options={{
-        tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>🏠</Text>,
-        title: 'Dashboard'
-      }}
-    />
-    <Tab.Screen 
-      name="Dining" 
-      component={DiningScreen}
-      options={{
-        tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>🍽️</Text>,
-      }}
-    />
-    <Tab.Screen 
-      name="Requests" 
-      component={RequestsScreen}
-      options={{
-        tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>📋</Text>,
-      }}
-    />
-    <Tab.Screen 
-      name="Profile" 
-      component={ProfileScreen}
-      options={{
-        tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>👤</Text>,
+const MainTabs = () => {
+  const { user } = useAuth();
+
+  return (
+    <Tab.Navigator
+      screenOptions={{
+        tabBarActiveTintColor: '#2563eb',
+        tabBarInactiveTintColor: '#6b7280',
+        tabBarStyle: {
+          backgroundColor: 'white',
+          borderTopWidth: 1,
+          borderTopColor: '#e5e7eb',
+        },
+        headerStyle: {
+          backgroundColor: '#2563eb',
+        },
+        headerTintColor: 'white',
+        headerTitleStyle: {
+          fontWeight: 'bold',
+        },
       }}
-    />
-  </Tab.Navigator>
-);
+    >
+      <Tab.Screen 
+        name="Home" 
+        component={HomeScreen}
+        options={{
+          tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>🏠</Text>,
+          title: 'Dashboard'
+        }}
+      />
+      <Tab.Screen 
+        name="Dining" 
+        component={DiningScreen}
+        options={{
+          tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>🍽️</Text>,
+        }}
+      />
+      <Tab.Screen 
+        name="Requests" 
+        component={RequestsScreen}
+        options={{
+          tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>📋</Text>,
+        }}
+      />
+      {user?.role === 'admin' && (
+        <Tab.Screen 
+          name="Users" 
+          component={UserManagementScreen}
+          options={{
+            tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>🛠️</Text>,
+            title: 'User Management'
+          }}
+        />
+      )}
+      <Tab.Screen 
+        name="Profile" 
+        component={ProfileScreen}
+        options={{
+          tabBarIcon: ({ color }) => <Text style={{ color, fontSize: 20 }}>👤</Text>,
+        }}
+      />
+    </Tab.Navigator>
+  );
+};
 
 // Loading Screen
 const LoadingScreen = () => (
@@ -187,21 +195,6 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 8,
   },
-  roleText: {
-    fontSize: 14,
-    color: '#059669',
-    textAlign: 'center',
-    marginBottom: 20,
-    fontWeight: '600',
-    textTransform: 'capitalize',
-  },
-  logoutText: {
-    fontSize: 16,
-    color: '#dc2626',
-    textAlign: 'center',
-    textDecorationLine: 'underline',
-    fontWeight: '600',
-  },
   loadingText: {
     fontSize: 16,
     color: '#6b7280',
@@ -1,5 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const StaffProfile = require('../models/StaffProfile');
+const StudentProfile = require('../models/StudentProfile');
+const RolePermission = require('../models/RolePermission');
+const { isScopedPermission } = require('../utils/permissions');
+const { setContextUser } = require('./requestContext');
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -25,12 +33,32 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({ 
+        error: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Track activity for the sessions list without writing on every request
+    if (Date.now() - session.lastUsed.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastUsed: new Date(), ipAddress: req.ip } }
+      );
+    }
+
     req.user = {
       id: user._id,
       identifier: user.identifier,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sessionId: session._id
     };
+    setContextUser(req.user);
 
     next();
   } catch (error) {
@@ -80,11 +108,106 @@ const requireRole = (roles) => {
   };
 };
 
+// Permissions held by the current user's role, loaded once per request
+const getUserPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await RolePermission.getPermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+const hasPermission = async (req, permission) => {
+  const permissions = await getUserPermissions(req);
+  return permissions.includes(permission);
+};
+
+// Hostel blocks the current user covers for scoped permissions. null means every block.
+const getUserBlocks = async (req) => {
+  if (req.userBlocks === undefined) {
+    const profile = await StaffProfile.findOne({ user: req.user.id }).select('hostelBlocks');
+    const blocks = profile ? profile.hostelBlocks : [];
+    req.userBlocks = blocks.includes('ALL') ? null : blocks;
+  }
+  return req.userBlocks;
+};
+
+// Stands in for the block of a record whose student has none: no block code can match it
+const NO_BLOCK = '(unassigned)';
+
+const isBlockInScope = (blocks, block) => blocks === null || blocks.includes(block);
+
+// Whether the user holds a permission for a record in the given block
+const hasPermissionForBlock = async (req, permission, block) => {
+  if (!(await hasPermission(req, permission))) return false;
+  if (!block || !isScopedPermission(permission)) return true;
+  return isBlockInScope(await getUserBlocks(req), block);
+};
+
+// Mongo filter restricting a query on `field` to the user's blocks
+const getBlockScopeFilter = async (req, field = 'hostelBlock') => {
+  const blocks = await getUserBlocks(req);
+  return blocks === null ? {} : { [field]: { $in: blocks } };
+};
+
+// Block of the student who owns a record; for records saved before hostelBlock was stored on them.
+// NO_BLOCK when the student has none, so only staff covering every block get through.
+const getStudentBlock = async (userId) => {
+  const profile = await StudentProfile.findOne({ user: userId }).select('hostelBlock');
+  return (profile && profile.hostelBlock) || NO_BLOCK;
+};
+
+// Require a permission. For block-scoped permissions, scopeResolver(req) returns the
+// hostel block of the record being acted on (or null when it doesn't exist, leaving
+// the 404 to the route) and the user must cover that block.
+const requirePermission = (permission, scopeResolver) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+
+      if (!(await hasPermission(req, permission))) {
+        return res.status(403).json({ 
+          error: 'Insufficient permissions',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          required: permission,
+          current: req.user.role
+        });
+      }
+
+      if (scopeResolver && isScopedPermission(permission)) {
+        const block = await scopeResolver(req);
+
+        if (block && !isBlockInScope(await getUserBlocks(req), block)) {
+          return res.status(403).json({ 
+            error: block === NO_BLOCK
+              ? 'This student has no hostel block, so only staff covering every block can act on it'
+              : `Block ${block} is outside your assigned hostel blocks`,
+            code: 'OUT_OF_SCOPE',
+            required: permission
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ 
+        error: 'Permission check failed',
+        code: 'PERMISSION_CHECK_ERROR'
+      });
+    }
+  };
+};
+
 const requireStudent = requireRole('student');
 const requireWarden = requireRole('warden');
 const requireCanteenOwner = requireRole('canteen_owner');
 const requireAdmin = requireRole('admin');
-const requireStaff = requireRole(['warden', 'canteen_owner', 'admin']);
+const requireStaff = requireRole(['warden', 'chief_warden', 'canteen_owner', 'admin', 'security']);
 
 module.exports = {
   authenticateToken,
@@ -93,5 +216,13 @@ module.exports = {
   requireWarden,
   requireCanteenOwner,
   requireAdmin,
-  requireStaff
+  requireStaff,
+  requirePermission,
+  hasPermission,
+  hasPermissionForBlock,
+  getUserPermissions,
+  getUserBlocks,
+  getBlockScopeFilter,
+  getStudentBlock,
+  NO_BLOCK
 };
\ No newline at end of file
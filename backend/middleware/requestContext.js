@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Per-request state that model hooks can read without being handed `req`
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Tag every request with an id (reusing a sane one from a proxy) and open a context for it
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  storage.run({
+    requestId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    user: null,
+    action: null
+  }, next);
+};
+
+const getRequestContext = () => storage.getStore() || null;
+
+// Record who is acting once authentication succeeds
+const setContextUser = (user) => {
+  const context = getRequestContext();
+  if (context) context.user = user;
+};
+
+// Multer finishes from busboy's stream callbacks, outside the request's context; wrap an
+// upload middleware so the rest of the route runs in the context it was entered in
+const keepRequestContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+module.exports = {
+  requestContext,
+  keepRequestContext,
+  getRequestContext,
+  setContextUser
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Maps students to a block based on their roll number (and gender when known).
+// Rules are tried in ascending priority; empty conditions match everyone.
+const allocationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  block: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  conditions: {
+    // Branch codes from the roll number, e.g. CSE
+    branches: [{
+      type: String,
+      uppercase: true,
+      trim: true
+    }],
+    admissionYears: [Number],
+    // Inclusive range of the serial part of the roll number
+    serialFrom: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    serialTo: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', null],
+      default: null
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+allocationRuleSchema.index({ isActive: 1, priority: 1 });
+
+allocationRuleSchema.pre('validate', function(next) {
+  const { serialFrom, serialTo } = this.conditions;
+  if (serialFrom !== null && serialTo !== null && serialFrom > serialTo) {
+    this.invalidate('conditions.serialTo', 'serialTo must not be less than serialFrom');
+  }
+  next();
+});
+
+// student: { admissionYear, branch, serial, gender } as parsed from the roll number
+allocationRuleSchema.methods.matches = function(student) {
+  const { branches, admissionYears, serialFrom, serialTo, gender } = this.conditions;
+
+  if (branches.length > 0 && !branches.includes(student.branch)) return false;
+  if (admissionYears.length > 0 && !admissionYears.includes(student.admissionYear)) return false;
+  if (serialFrom !== null && student.serial < serialFrom) return false;
+  if (serialTo !== null && student.serial > serialTo) return false;
+  if (gender && student.gender !== gender) return false;
+
+  return true;
+};
+
+allocationRuleSchema.plugin(auditPlugin, { name: 'AllocationRule' });
+
+module.exports = mongoose.model('AllocationRule', allocationRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const announcementSchema = new mongoose.Schema({
   title: {
@@ -356,4 +357,6 @@ announcementSchema.pre('save', function(next) {
   next();
 });
 
+announcementSchema.plugin(auditPlugin, { name: 'Announcement' });
+
 module.exports = mongoose.model('Announcement', announcementSchema);
\ No newline at end of file
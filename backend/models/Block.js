@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Configured block codes are looked up on every profile save; cache them briefly
+const CODE_CACHE_MS = 60 * 1000;
+let cachedCodes = null;
+let cachedAt = 0;
+
+const blockSchema = new mongoose.Schema({
+  // Short code stored on profiles, orders and socket rooms, e.g. "A" or "GH1"
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Block code must be 1-10 letters or digits'],
+    validate: {
+      validator: (code) => code !== 'ALL',
+      message: 'ALL is reserved for staff assigned to every block'
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Building the block belongs to, for campuses with several hostels
+  hostel: {
+    type: String,
+    trim: true,
+    default: 'Main Hostel'
+  },
+  floors: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'mixed'],
+    default: 'mixed'
+  },
+  // Number of student beds; allocation stops once it is reached
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  wardens: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // "HH:MM" residents must be in by; null uses DEFAULT_CURFEW (see utils/lateEntries.js)
+  curfew: {
+    type: String,
+    default: null,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Curfew must be HH:MM']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ isActive: 1, code: 1 });
+
+const clearCodeCache = () => {
+  cachedCodes = null;
+};
+
+blockSchema.post('save', clearCodeCache);
+blockSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndDelete', 'deleteMany'], clearCodeCache);
+blockSchema.post('deleteOne', { document: true, query: false }, clearCodeCache);
+
+// Codes of blocks students can currently be placed in
+blockSchema.statics.getActiveCodes = async function() {
+  if (!cachedCodes || Date.now() - cachedAt > CODE_CACHE_MS) {
+    const blocks = await this.find({ isActive: true }).select('code').lean();
+    cachedCodes = blocks.map(block => block.code);
+    cachedAt = Date.now();
+  }
+  return cachedCodes;
+};
+
+blockSchema.statics.isConfigured = async function(code) {
+  if (!code) return false;
+  const codes = await this.getActiveCodes();
+  return codes.includes(String(code).toUpperCase());
+};
+
+// Whether a student of the given gender may live here (unknown gender matches any block)
+blockSchema.methods.acceptsGender = function(gender) {
+  return this.gender === 'mixed' || !gender || this.gender === gender;
+};
+
+blockSchema.plugin(auditPlugin, { name: 'Block' });
+
+module.exports = mongoose.model('Block', blockSchema);
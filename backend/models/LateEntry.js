@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// A student coming into the hostel after their block's curfew
+const lateEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hostelBlock: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  enteredAt: {
+    type: Date,
+    required: true
+  },
+  // Curfew in force when the entry was recorded, and how far past it the student came in
+  curfew: {
+    type: String,
+    required: true
+  },
+  minutesLate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 500
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  // Overdue outpass the student was returning from, when there was one
+  outpass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutpassRequest',
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Late entries in the window (this one included) when it was recorded
+  offenceCount: {
+    type: Number,
+    default: 1
+  },
+  // Set when this entry crossed a repeat-offender threshold and the wardens were told
+  wardenNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+lateEntrySchema.index({ student: 1, enteredAt: -1 });
+lateEntrySchema.index({ hostelBlock: 1, enteredAt: -1 });
+
+lateEntrySchema.plugin(auditPlugin, { name: 'LateEntry' });
+
+module.exports = mongoose.model('LateEntry', lateEntrySchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Failed login tracking per identifier. Kept separate from User so unknown
+// identifiers are throttled the same way as real accounts.
+const loginAttemptSchema = new mongoose.Schema({
+  identifier: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedIp: {
+    type: String,
+    trim: true
+  },
+  // Number of times the identifier has been locked since the last successful login
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Counters are forgotten after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Progressive delay between attempts once DELAY_AFTER failures have been made: 1s, 2s, 4s...
+loginAttemptSchema.methods.getRequiredDelayMs = function() {
+  if (this.failedCount < DELAY_AFTER || !this.lastFailedAt) return 0;
+  return Math.pow(2, this.failedCount - DELAY_AFTER) * 1000;
+};
+
+// Whether a login attempt may be made right now
+loginAttemptSchema.methods.getThrottleState = function() {
+  const now = Date.now();
+
+  if (this.lockUntil && this.lockUntil.getTime() > now) {
+    return {
+      locked: true,
+      lockUntil: this.lockUntil,
+      retryAfter: Math.ceil((this.lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const nextAllowedAt = this.lastFailedAt ? this.lastFailedAt.getTime() + this.getRequiredDelayMs() : 0;
+  if (nextAllowedAt > now) {
+    return {
+      locked: false,
+      retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+    };
+  }
+
+  return { locked: false, retryAfter: 0 };
+};
+
+loginAttemptSchema.statics.getThrottleState = async function(identifier) {
+  const attempt = await this.findOne({ identifier: identifier.toUpperCase() });
+  return attempt ? attempt.getThrottleState() : { locked: false, retryAfter: 0 };
+};
+
+// Record a failed attempt. Resolves to { attempt, justLocked, attemptsRemaining }.
+loginAttemptSchema.statics.recordFailure = async function(identifier, ipAddress) {
+  const attempt = await this.findOneAndUpdate(
+    { identifier: identifier.toUpperCase() },
+    {
+      $inc: { failedCount: 1 },
+      $set: {
+        lastFailedAt: new Date(),
+        lastFailedIp: ipAddress,
+        expiresAt: new Date(Date.now() + RESET_AFTER_MS)
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failedCount < MAX_ATTEMPTS) {
+    return {
+      attempt,
+      justLocked: false,
+      attemptsRemaining: MAX_ATTEMPTS - attempt.failedCount
+    };
+  }
+
+  // Each consecutive lockout doubles in length, capped at a day
+  const lockMinutes = Math.min(LOCK_MINUTES * Math.pow(2, attempt.lockCount), MAX_LOCK_MINUTES);
+
+  attempt.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  attempt.lockCount += 1;
+  attempt.failedCount = 0;
+  attempt.expiresAt = new Date(attempt.lockUntil.getTime() + RESET_AFTER_MS);
+  await attempt.save();
+
+  return { attempt, justLocked: true, attemptsRemaining: 0 };
+};
+
+loginAttemptSchema.statics.clear = function(identifier) {
+  return this.deleteOne({ identifier: identifier.toUpperCase() });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
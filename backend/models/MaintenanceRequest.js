@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const maintenanceRequestSchema = new mongoose.Schema({
   // Basic Information
@@ -131,6 +132,12 @@ const maintenanceRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Requester's block when the request was made, used to scope staff access
+  hostelBlock: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
   
   // Emergency/Urgent Flags
   isEmergency: {
@@ -184,6 +191,7 @@ const maintenanceRequestSchema = new mongoose.Schema({
 
 // Indexes for performance
 maintenanceRequestSchema.index({ requestedBy: 1 });
+maintenanceRequestSchema.index({ hostelBlock: 1, status: 1 });
 maintenanceRequestSchema.index({ status: 1 });
 maintenanceRequestSchema.index({ category: 1 });
 maintenanceRequestSchema.index({ priority: 1 });
@@ -275,4 +283,6 @@ maintenanceRequestSchema.pre('save', function(next) {
   next();
 });
 
+maintenanceRequestSchema.plugin(auditPlugin, { name: 'MaintenanceRequest' });
+
 module.exports = mongoose.model('MaintenanceRequest', maintenanceRequestSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const menuCategorySchema = new mongoose.Schema({
   name: {
@@ -321,6 +322,9 @@ menuItemSchema.pre('save', function(next) {
   next();
 });
 
+menuCategorySchema.plugin(auditPlugin, { name: 'MenuCategory' });
+menuItemSchema.plugin(auditPlugin, { name: 'MenuItem' });
+
 const MenuCategory = mongoose.model('MenuCategory', menuCategorySchema);
 const MenuItem = mongoose.model('MenuItem', menuItemSchema);
 
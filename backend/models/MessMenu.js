@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const messMenuSchema = new mongoose.Schema({
   date: {
@@ -111,4 +112,6 @@ messMenuSchema.pre('save', function(next) {
   next();
 });
 
+messMenuSchema.plugin(auditPlugin, { name: 'MessMenu' });
+
 module.exports = mongoose.model('MessMenu', messMenuSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const cartItemSchema = new mongoose.Schema({
   menuItem: {
@@ -516,6 +517,8 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+orderSchema.plugin(auditPlugin, { name: 'Order' });
+
 const Cart = mongoose.model('Cart', cartSchema);
 const Order = mongoose.model('Order', orderSchema);
 
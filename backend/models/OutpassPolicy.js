@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const {
+  OUTPASS_TYPES,
+  DOCUMENT_TYPES,
+  APPROVAL_STEPS,
+  DEFAULT_OUTPASS_POLICIES,
+  POLICY_FIELDS
+} = require('../utils/outpassPolicy');
+const { auditPlugin } = require('../utils/audit');
+
+// Checked on every outpass request; keep the policies in memory briefly
+const CACHE_MS = 60 * 1000;
+let cachedPolicies = null;
+let cachedAt = 0;
+
+// Admin-edited limits for an outpass type. Types without a document use DEFAULT_OUTPASS_POLICIES.
+const outpassPolicySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: OUTPASS_TYPES
+  },
+  maxPerMonth: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxDurationHours: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  minNoticeHours: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // e.g. exam weeks, when outpasses of this type can't be taken
+  blackoutPeriods: [{
+    from: {
+      type: Date,
+      required: true
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxLength: 100
+    }
+  }],
+  // Documents a student must upload before the outpass can be approved
+  requiredDocuments: [{
+    type: String,
+    enum: DOCUMENT_TYPES
+  }],
+  // Sign-offs every outpass of the type needs; the chief warden thresholds below can add one
+  approvalSteps: [{
+    type: String,
+    enum: APPROVAL_STEPS
+  }],
+  chiefWardenAfterHours: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  lateNightAfter: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Late-night time must be HH:MM'],
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const clearCache = () => {
+  cachedPolicies = null;
+};
+
+outpassPolicySchema.post('save', clearCache);
+outpassPolicySchema.post(['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne', 'deleteMany'], clearCache);
+
+// Effective type -> policy map, defaults overlaid with admin edits
+outpassPolicySchema.statics.getPolicies = async function() {
+  if (!cachedPolicies || Date.now() - cachedAt > CACHE_MS) {
+    const overrides = await this.find().lean();
+    const policies = {};
+
+    OUTPASS_TYPES.forEach(type => {
+      policies[type] = { ...DEFAULT_OUTPASS_POLICIES[type], isDefault: true };
+    });
+
+    overrides.forEach(override => {
+      policies[override.type] = {
+        ...POLICY_FIELDS.reduce((policy, field) => ({ ...policy, [field]: override[field] ?? null }), {}),
+        blackoutPeriods: override.blackoutPeriods || [],
+        requiredDocuments: override.requiredDocuments || [],
+        approvalSteps: override.approvalSteps && override.approvalSteps.length > 0
+          ? override.approvalSteps
+          : DEFAULT_OUTPASS_POLICIES[override.type].approvalSteps,
+        isDefault: false,
+        updatedAt: override.updatedAt
+      };
+    });
+
+    cachedPolicies = policies;
+    cachedAt = Date.now();
+  }
+  return cachedPolicies;
+};
+
+outpassPolicySchema.statics.getPolicy = async function(type) {
+  const policies = await this.getPolicies();
+  return policies[type] || { ...DEFAULT_OUTPASS_POLICIES.other, isDefault: true };
+};
+
+outpassPolicySchema.plugin(auditPlugin, { name: 'OutpassPolicy' });
+
+module.exports = mongoose.model('OutpassPolicy', outpassPolicySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { DOCUMENT_TYPES, APPROVAL_STEPS, APPROVAL_STEP_LABELS } = require('../utils/outpassPolicy');
 
 const outpassRequestSchema = new mongoose.Schema({
   // Basic Information
@@ -132,7 +134,8 @@ const outpassRequestSchema = new mongoose.Schema({
     trim: true // Vehicle number, flight number, etc.
   },
   
-  // Parent/Guardian Approval (for some hostels)
+  // Parent/Guardian Approval, required when the student has a linked parent account
+  // and the outpass type needs consent (see utils/parentConsent.js)
   parentApproval: {
     required: {
       type: Boolean,
@@ -142,9 +145,28 @@ const outpassRequestSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'declined'],
+      default: 'not_required'
+    },
     contactNumber: {
       type: String,
       trim: true
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: 300
     }
   },
   
@@ -164,7 +186,76 @@ const outpassRequestSchema = new mongoose.Schema({
     default: 'pending'
   },
   
-  // Approval Information
+  // Ordered sign-offs this request needs (see buildApprovalSteps in utils/outpassPolicy.js).
+  // Empty for requests made before approval chains, which one block warden approves.
+  approvalSteps: [{
+    step: {
+      type: String,
+      enum: APPROVAL_STEPS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'skipped'],
+      default: 'pending'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: 300
+    }
+  }],
+  // First pending step (or the step a pending amendment waits on), kept in sync on save
+  // for the pending-approval queues
+  currentApprovalStep: {
+    type: String,
+    enum: [...APPROVAL_STEPS, null],
+    default: null
+  },
+  
+  // Latest request to extend an approved pass. The pass goes back under review and the
+  // new return only applies once amendment.step approves it.
+  amendment: {
+    previousInDate: Date,
+    previousInTime: String,
+    inDate: Date,
+    inTime: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: 300
+    },
+    step: {
+      type: String,
+      enum: APPROVAL_STEPS
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: 300
+    }
+  },
+  
+  // Approval Information (the final decision)
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -206,6 +297,12 @@ const outpassRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Requester's block when the request was made, used to scope staff access
+  hostelBlock: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
   
   // Priority and Special Cases
   isEmergency: {
@@ -221,6 +318,37 @@ const outpassRequestSchema = new mongoose.Schema({
     enum: ['daily', 'weekly', 'monthly'],
     default: null
   },
+  // Occurrences of one recurring request share a series id (see utils/recurrence.js)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  seriesIndex: {
+    type: Number,
+    default: null
+  },
+  recurringUntil: {
+    type: Date,
+    default: null
+  },
+  
+  // Set by the overdue job (see utils/overdue.js)
+  overdue: {
+    markedAt: Date,
+    // Number of OVERDUE_ESCALATION_HOURS thresholds already escalated
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    lastNotifiedAt: Date
+  },
+  
+  // Signed QR pass issued on approval (see utils/gatePass.js); gates only accept the latest token
+  gatePass: {
+    token: String,
+    keyId: String,
+    issuedAt: Date
+  },
   
   // Medical Certificate (for medical outpass)
   medicalCertificate: {
@@ -251,23 +379,36 @@ const outpassRequestSchema = new mongoose.Schema({
     location: {
       type: String,
       trim: true // Gate number, security desk, etc.
+    },
+    // Approval step this entry records a decision for
+    step: {
+      type: String,
+      enum: APPROVAL_STEPS
     }
   }],
   
-  // Additional Documentation
+  // Additional Documentation, served only through /api/outpass/request/:id/documents
   supportingDocuments: [{
     type: {
       type: String,
-      enum: ['medical_certificate', 'invitation_letter', 'travel_ticket', 'parent_letter', 'other']
+      enum: DOCUMENT_TYPES,
+      default: 'other'
     },
     filename: String,
     originalName: String,
     path: String,
+    mimeType: String,
+    size: Number,
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Document types the type's policy required when the request was made
+  requiredDocuments: [{
+    type: String,
+    enum: DOCUMENT_TYPES
+  }],
   
   // Hostel Rules Compliance
   rulesAcknowledged: {
@@ -288,6 +429,7 @@ const outpassRequestSchema = new mongoose.Schema({
 
 // Indexes for performance
 outpassRequestSchema.index({ requestedBy: 1 });
+outpassRequestSchema.index({ hostelBlock: 1, status: 1 });
 outpassRequestSchema.index({ status: 1 });
 outpassRequestSchema.index({ type: 1 });
 outpassRequestSchema.index({ outDate: 1 });
@@ -298,7 +440,11 @@ outpassRequestSchema.index({ createdAt: -1 });
 // Compound indexes
 outpassRequestSchema.index({ status: 1, outDate: 1 });
 outpassRequestSchema.index({ requestedBy: 1, status: 1 });
+outpassRequestSchema.index({ requestedBy: 1, 'parentApproval.status': 1 });
+outpassRequestSchema.index({ status: 1, inDate: 1 });
+outpassRequestSchema.index({ series: 1, seriesIndex: 1 });
 outpassRequestSchema.index({ reviewedBy: 1, status: 1 });
+outpassRequestSchema.index({ currentApprovalStep: 1, status: 1, hostelBlock: 1 });
 
 // Virtual for total duration in hours
 outpassRequestSchema.virtual('totalDurationHours').get(function() {
@@ -331,6 +477,15 @@ outpassRequestSchema.virtual('isOverdue').get(function() {
   return false;
 });
 
+// Planned departure and return as dates, combining the date fields with their time strings
+outpassRequestSchema.methods.getScheduledOut = function() {
+  return new Date(`${this.outDate.toDateString()} ${this.outTime}`);
+};
+
+outpassRequestSchema.methods.getScheduledReturn = function() {
+  return new Date(`${this.inDate.toDateString()} ${this.inTime}`);
+};
+
 // Static method to get outpass statistics
 outpassRequestSchema.statics.getStats = async function(filters = {}) {
   const pipeline = [
@@ -393,12 +548,134 @@ outpassRequestSchema.methods.updateStatus = function(newStatus, changedBy, notes
   return this.save();
 };
 
-// Instance method to check if overdue
-outpassRequestSchema.methods.checkOverdueStatus = function() {
-  if (this.status === 'checked_out' && this.isOverdue) {
-    return this.updateStatus('overdue', null, 'Automatic status update - Return time exceeded');
+// Required document types not uploaded yet
+outpassRequestSchema.methods.getMissingDocuments = function() {
+  return this.requiredDocuments.filter(type => !this.supportingDocuments.some(doc => doc.type === type));
+};
+
+// The approval step waiting for a decision, or null when none is
+outpassRequestSchema.methods.getCurrentStep = function() {
+  return this.approvalSteps.find(each => each.status === 'pending') || null;
+};
+
+// Instance method to record one approval step's decision. Rejecting rejects the request
+// and skips the steps after it; approving the last step approves the request.
+outpassRequestSchema.methods.recordStepDecision = function(step, decision, userId, notes = '') {
+  const entry = this.approvalSteps.find(each => each.step === step);
+  entry.status = decision;
+  entry.decidedBy = userId;
+  entry.decidedAt = new Date();
+  entry.notes = notes || undefined;
+
+  const remaining = this.approvalSteps.filter(each => each.status === 'pending');
+  let newStatus = remaining.length > 0 ? 'under_review' : 'approved';
+  if (decision === 'rejected') {
+    remaining.forEach(each => {
+      each.status = 'skipped';
+    });
+    newStatus = 'rejected';
+  }
+
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy: userId,
+    notes: `${APPROVAL_STEP_LABELS[step]} ${decision}${notes ? `: ${notes}` : ''}`,
+    step
+  });
+  this.status = newStatus;
+
+  if (newStatus !== 'under_review') {
+    this.reviewedBy = userId;
+    this.reviewedAt = new Date();
+    if (notes) this.reviewNotes = notes;
+  }
+
+  return this.save();
+};
+
+const describeReturn = (date, time) => `${date.toDateString()} ${time}`;
+
+// Instance method to ask for a later return on an approved pass; `step` signs it off
+outpassRequestSchema.methods.requestAmendment = function({ inDate, inTime, reason, step }, studentId) {
+  this.amendment = {
+    previousInDate: this.inDate,
+    previousInTime: this.inTime,
+    inDate,
+    inTime,
+    reason,
+    step,
+    status: 'pending',
+    requestedAt: new Date()
+  };
+
+  return this.updateStatus(
+    'under_review',
+    studentId,
+    `Extension requested: return ${describeReturn(this.inDate, this.inTime)} -> ${describeReturn(inDate, inTime)}` +
+      (reason ? ` (${reason})` : '')
+  );
+};
+
+// Instance method to decide a pending amendment. Either way the pass is approved again,
+// with the new return only when the extension was approved.
+outpassRequestSchema.methods.recordAmendmentDecision = function(decision, reviewerId, notes = '') {
+  const amendment = this.amendment;
+  amendment.status = decision;
+  amendment.decidedBy = reviewerId;
+  amendment.decidedAt = new Date();
+  amendment.notes = notes || undefined;
+
+  if (decision === 'approved') {
+    this.inDate = amendment.inDate;
+    this.inTime = amendment.inTime;
   }
-  return Promise.resolve(this);
+
+  this.statusHistory.push({
+    status: 'approved',
+    changedBy: reviewerId,
+    notes: `Extension to ${describeReturn(amendment.inDate, amendment.inTime)} ${decision}${notes ? `: ${notes}` : ''}`,
+    step: amendment.step
+  });
+  this.status = 'approved';
+
+  return this.save();
+};
+
+// Instance method to record a parent's consent decision; a decline rejects the request
+outpassRequestSchema.methods.recordParentDecision = function(decision, parentId, notes = '') {
+  this.parentApproval.status = decision;
+  this.parentApproval.obtained = decision === 'approved';
+  this.parentApproval.respondedBy = parentId;
+  this.parentApproval.respondedAt = new Date();
+  this.parentApproval.notes = notes || undefined;
+
+  if (this.approvalSteps.some(each => each.step === 'parent')) {
+    return this.recordStepDecision('parent', decision === 'approved' ? 'approved' : 'rejected', parentId, notes);
+  }
+
+  if (decision === 'declined') {
+    return this.updateStatus('rejected', parentId, notes ? `Declined by parent: ${notes}` : 'Declined by parent');
+  }
+
+  this.statusHistory.push({
+    status: this.status,
+    changedBy: parentId,
+    notes: notes ? `Parent consent given: ${notes}` : 'Parent consent given'
+  });
+  return this.save();
+};
+
+// Instance method to mark a checked-out request overdue once the return time plus
+// graceMinutes has passed; resolves to true when it was marked
+outpassRequestSchema.methods.checkOverdueStatus = async function(graceMinutes = 0, now = new Date()) {
+  const deadline = this.getScheduledReturn().getTime() + graceMinutes * 60 * 1000;
+
+  if (this.status === 'checked_out' && now.getTime() > deadline) {
+    this.overdue = { markedAt: now, escalationLevel: 0 };
+    await this.updateStatus('overdue', null, 'Automatic status update - Return time exceeded');
+    return true;
+  }
+  return false;
 };
 
 // Calculate duration before saving
@@ -412,6 +689,13 @@ outpassRequestSchema.pre('save', function(next) {
     this.duration.hours = Math.floor((diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   }
   
+  const currentStep = this.getCurrentStep();
+  if (this.amendment?.status === 'pending') {
+    this.currentApprovalStep = this.amendment.step;
+  } else {
+    this.currentApprovalStep = currentStep ? currentStep.step : null;
+  }
+  
   // Add initial status to history for new requests
   if (this.isNew) {
     this.statusHistory.push({
@@ -424,4 +708,6 @@ outpassRequestSchema.pre('save', function(next) {
   next();
 });
 
+outpassRequestSchema.plugin(auditPlugin, { name: 'OutpassRequest' });
+
 module.exports = mongoose.model('OutpassRequest', outpassRequestSchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('../utils/sms');
+const { auditPlugin } = require('../utils/audit');
+
+const parentProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Parents sign in with a one-time code sent to this number
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    set: normalizePhone
+  },
+  relation: {
+    type: String,
+    enum: ['father', 'mother', 'guardian', 'other'],
+    default: 'guardian'
+  },
+  // Student user accounts this parent may follow and give outpass consent for
+  children: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+parentProfileSchema.index({ user: 1 });
+parentProfileSchema.index({ children: 1 });
+
+parentProfileSchema.methods.hasChild = function(studentId) {
+  return this.children.some(child => child.equals(studentId._id || studentId));
+};
+
+parentProfileSchema.plugin(auditPlugin, { name: 'ParentProfile' });
+
+module.exports = mongoose.model('ParentProfile', parentProfileSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLE_PERMISSIONS, isKnownPermission } = require('../utils/permissions');
+const { auditPlugin } = require('../utils/audit');
+
+// Permission lookups happen on most requests; keep the mappings in memory briefly
+const CACHE_MS = 60 * 1000;
+let cachedMappings = null;
+let cachedAt = 0;
+
+// Admin-edited permissions for a role. Roles without a document use DEFAULT_ROLE_PERMISSIONS.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['student', 'warden', 'chief_warden', 'canteen_owner', 'admin', 'parent', 'security']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(isKnownPermission),
+      message: 'Unknown permission in list'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const clearCache = () => {
+  cachedMappings = null;
+};
+
+rolePermissionSchema.post('save', clearCache);
+rolePermissionSchema.post(['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne', 'deleteMany'], clearCache);
+
+// Effective role -> permissions map, defaults overlaid with admin edits
+rolePermissionSchema.statics.getMappings = async function() {
+  if (!cachedMappings || Date.now() - cachedAt > CACHE_MS) {
+    const overrides = await this.find().lean();
+    const mappings = { ...DEFAULT_ROLE_PERMISSIONS };
+
+    overrides.forEach(override => {
+      // Drop permissions that have since been removed from the catalog
+      mappings[override.role] = override.permissions.filter(isKnownPermission);
+    });
+
+    cachedMappings = mappings;
+    cachedAt = Date.now();
+  }
+  return cachedMappings;
+};
+
+rolePermissionSchema.statics.getPermissions = async function(role) {
+  const mappings = await this.getMappings();
+  return mappings[role] || [];
+};
+
+rolePermissionSchema.plugin(auditPlugin, { name: 'RolePermission' });
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// One night's head count of a block, or of one floor of it
+const rollCallSchema = new mongoose.Schema({
+  block: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // null when the whole block is counted
+  floor: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Local midnight of the night being counted
+  date: {
+    type: Date,
+    required: true
+  },
+  // Moment students are counted at: who was on an outpass then (see utils/rollCall.js)
+  takenAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  entries: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: String,
+    rollNumber: String,
+    roomNumber: String,
+    status: {
+      type: String,
+      enum: ['unmarked', 'present', 'absent', 'on_leave'],
+      default: 'unmarked'
+    },
+    // Outpass that puts the student on leave, or that covers their absence
+    outpass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OutpassRequest',
+      default: null
+    },
+    // Absent without an outpass, set when the roll call is closed
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    markedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: 200
+    }
+  }],
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One roll call per block (or floor) per night; routes/rollcalls.js also keeps a whole-block
+// roll call and floor roll calls of the same block from both existing for a night
+rollCallSchema.index({ block: 1, floor: 1, date: 1 }, { unique: true });
+rollCallSchema.index({ date: -1, block: 1 });
+
+// Head count by entry status, plus flagged absentees
+rollCallSchema.methods.getSummary = function() {
+  const summary = { total: this.entries.length, unmarked: 0, present: 0, absent: 0, on_leave: 0, flagged: 0 };
+  this.entries.forEach(entry => {
+    summary[entry.status] += 1;
+    if (entry.flagged) summary.flagged += 1;
+  });
+  return summary;
+};
+
+rollCallSchema.plugin(auditPlugin, { name: 'RollCall' });
+
+module.exports = mongoose.model('RollCall', rollCallSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Outcome of one spreadsheet row in a roster import
+const rosterRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  rollNumber: String,
+  email: String,
+  name: String,
+  status: {
+    type: String,
+    enum: ['created', 'updated', 'skipped', 'failed'],
+    required: true
+  },
+  messages: [String]
+}, {
+  _id: false
+});
+
+// Record of a bulk student import (or dry-run preview) and its per-row results
+const rosterImportSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  // create: existing students are skipped; upsert: existing students are updated
+  mode: {
+    type: String,
+    enum: ['create', 'upsert'],
+    default: 'create'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: [rosterRowSchema]
+}, {
+  timestamps: true
+});
+
+rosterImportSchema.index({ createdAt: -1 });
+
+rosterImportSchema.methods.addRow = function(result) {
+  this.rows.push(result);
+  this.summary.total += 1;
+  this.summary[result.status] += 1;
+};
+
+module.exports = mongoose.model('RosterImport', rosterImportSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Outcome for one student in a semester rollover
+const rolloverRowSchema = new mongoose.Schema({
+  rollNumber: String,
+  name: String,
+  course: String,
+  fromSemester: Number,
+  toSemester: Number,
+  status: {
+    type: String,
+    enum: ['promoted', 'graduated', 'skipped', 'failed'],
+    required: true
+  },
+  messages: [String]
+}, {
+  _id: false
+});
+
+// Record of an end-of-semester run (or dry-run preview): every active student moves up a
+// semester and those past the end of their programme are archived as alumni
+const semesterRolloverSchema = new mongoose.Schema({
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Label of the semester being closed, e.g. "2024-25 Even". A term can only be rolled over once.
+  term: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Case- and spacing-insensitive form of the term that the run-once guard is keyed on
+  termKey: {
+    type: String,
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // A real run holds its term while running; one that failed (or stopped saving progress)
+  // can be run again and picks up the students it hadn't reached
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'completed'
+  },
+  // Programme length in years used for this run
+  defaultDuration: {
+    type: Number,
+    required: true
+  },
+  // Per-course overrides; course names can contain dots, so not a Map
+  durations: [{
+    _id: false,
+    course: String,
+    years: Number
+  }],
+  summary: {
+    total: { type: Number, default: 0 },
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: [rolloverRowSchema]
+}, {
+  timestamps: true
+});
+
+semesterRolloverSchema.index({ createdAt: -1 });
+semesterRolloverSchema.index({ termKey: 1 }, { unique: true, partialFilterExpression: { dryRun: false } });
+
+// "2024-25 Even", " 2024-25  even " -> "2024-25 even"
+semesterRolloverSchema.statics.toTermKey = (term) => String(term).trim().replace(/\s+/g, ' ').toLowerCase();
+
+semesterRolloverSchema.pre('validate', function(next) {
+  this.termKey = this.constructor.toTermKey(this.term);
+  next();
+});
+
+semesterRolloverSchema.methods.addRow = function(result) {
+  this.rows.push(result);
+  this.summary.total += 1;
+  this.summary[result.status] += 1;
+};
+
+// Keep only the students an earlier attempt actually moved on, so a rerun does the rest
+semesterRolloverSchema.methods.keepRolledOverRows = function() {
+  const kept = this.rows
+    .filter(row => ['promoted', 'graduated'].includes(row.status))
+    .map(row => row.toObject());
+
+  this.rows = [];
+  this.summary = { total: 0, promoted: 0, graduated: 0, skipped: 0, failed: 0 };
+  kept.forEach(row => this.addRow(row));
+};
+
+module.exports = mongoose.model('SemesterRollover', semesterRolloverSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One document per login (device/session). The session id is the refresh token family:
+// every refresh rotates the token, and presenting an already-rotated token revokes the family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the jti of the only refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', 'unknown'],
+    default: 'unknown'
+  },
+  deviceToken: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsed: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'password_reset', 'signed_out_remotely', 'admin_force_logout', 'graduated', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function(tokenId) {
+  return crypto.createHash('sha256').update(tokenId).digest('hex');
+};
+
+sessionSchema.statics.generateTokenId = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Atomically swap the current refresh token for a new one.
+// Resolves to null when currentTokenId is no longer the active token (already rotated or revoked).
+sessionSchema.statics.rotateToken = function(sessionId, currentTokenId, newTokenId, expiresAt) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: this.hashToken(currentTokenId),
+      revokedAt: null
+    },
+    {
+      $set: {
+        tokenHash: this.hashToken(newTokenId),
+        expiresAt,
+        lastUsed: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+// Shape exposed to clients when listing sessions
+sessionSchema.methods.toPublicJSON = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    platform: this.platform,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastUsed: this.lastUsed,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsed: -1 });
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
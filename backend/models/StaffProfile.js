@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Block = require('./Block');
+const { auditPlugin } = require('../utils/audit');
 
 const staffProfileSchema = new mongoose.Schema({
   user: {
@@ -32,9 +34,18 @@ const staffProfileSchema = new mongoose.Schema({
   responsibilities: [{
     type: String
   }],
+  // Configured block codes, or ALL for every block. Checked only when set, like a student's block.
   hostelBlocks: [{
     type: String,
-    enum: ['A', 'B', 'C', 'D', 'ALL']
+    uppercase: true,
+    validate: {
+      validator: function(code) {
+        if (code === 'ALL') return true;
+        if (this instanceof mongoose.Document && !this.isModified('hostelBlocks')) return true;
+        return Block.isConfigured(code);
+      },
+      message: 'Hostel block {VALUE} is not a configured block'
+    }
   }],
   workingHours: {
     start: String,
@@ -51,4 +62,6 @@ const staffProfileSchema = new mongoose.Schema({
 staffProfileSchema.index({ employeeId: 1 });
 staffProfileSchema.index({ user: 1 });
 
+staffProfileSchema.plugin(auditPlugin, { name: 'StaffProfile' });
+
 module.exports = mongoose.model('StaffProfile', staffProfileSchema);
\ No newline at end of file
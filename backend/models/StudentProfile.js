@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Block = require('./Block');
+const { auditPlugin } = require('../utils/audit');
 
 const studentProfileSchema = new mongoose.Schema({
   user: {
@@ -27,6 +29,25 @@ const studentProfileSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  // Semester of study (two per year). Profiles created before semesters were tracked
+  // are treated as being in the odd semester of their year.
+  semester: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  // active students occupy a room; alumni are archived read-only after graduating
+  status: {
+    type: String,
+    enum: ['active', 'alumni'],
+    default: 'active'
+  },
+  graduatedAt: Date,
+  // Where an alumnus lived before the room was released
+  lastRoom: {
+    hostelBlock: String,
+    roomNumber: String
+  },
   roomNumber: {
     type: String,
     required: true
@@ -34,7 +55,22 @@ const studentProfileSchema = new mongoose.Schema({
   hostelBlock: {
     type: String,
     required: true,
-    enum: ['A', 'B', 'C', 'D']
+    uppercase: true,
+    // Only checked when set, so deactivating a block doesn't break saves for its residents.
+    // Update validators run with the query as `this`; an update that sets the block always checks it.
+    validate: {
+      validator: function(code) {
+        if (this instanceof mongoose.Document && !this.isModified('hostelBlock')) return true;
+        return Block.isConfigured(code);
+      },
+      message: 'Hostel block {VALUE} is not a configured block'
+    }
+  },
+  // Used by block allocation rules for single-gender blocks
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other', null],
+    default: null
   },
   phone: {
     type: String,
@@ -92,5 +128,18 @@ const studentProfileSchema = new mongoose.Schema({
 studentProfileSchema.index({ rollNumber: 1 });
 studentProfileSchema.index({ hostelBlock: 1, roomNumber: 1 });
 studentProfileSchema.index({ user: 1 });
+studentProfileSchema.index({ status: 1, hostelBlock: 1 });
+
+// Falls back to the odd semester of the year when unset or out of step with an edited year
+studentProfileSchema.methods.getSemester = function() {
+  if (this.semester && Math.ceil(this.semester / 2) === this.year) return this.semester;
+  return this.year * 2 - 1;
+};
+
+studentProfileSchema.methods.isAlumni = function() {
+  return this.status === 'alumni';
+};
+
+studentProfileSchema.plugin(auditPlugin, { name: 'StudentProfile' });
 
 module.exports = mongoose.model('StudentProfile', studentProfileSchema);
\ No newline at end of file
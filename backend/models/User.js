@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { auditPlugin } = require('../utils/audit');
+
+// Roles that must use two-factor authentication to sign in
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'warden,chief_warden,security,canteen_owner,admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
   identifier: {
@@ -22,13 +32,21 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'warden', 'canteen_owner', 'admin'],
+    enum: ['student', 'warden', 'chief_warden', 'canteen_owner', 'admin', 'parent', 'security'],
     required: true
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Self-registered accounts start unverified and cannot log in until the emailed link is used.
+  // Accounts created by staff, and those that predate verification, count as verified.
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
   lastLogin: {
     type: Date
   },
@@ -44,7 +62,40 @@ const userSchema = new mongoose.Schema({
     }
   }],
   resetPasswordToken: String,
-  resetPasswordExpires: Date
+  resetPasswordExpires: Date,
+  // One-time login code for parents; only its hash is stored
+  loginOtp: {
+    hash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secrets and hashed recovery codes are never returned unless explicitly selected
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -67,6 +118,92 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a single-use password reset token. Only its hash is stored so a database leak
+// cannot be used to reset passwords; the plain token is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function(expiryMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.resetPasswordExpires = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+  return token;
+};
+
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: crypto.createHash('sha256').update(token).digest('hex'),
+    resetPasswordExpires: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+const hashLoginOtp = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Issue a 6-digit login code, replacing any earlier one; returns the plain code to send
+userSchema.methods.createLoginOtp = function(expiryMinutes) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.loginOtp = {
+    hash: hashLoginOtp(code),
+    expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+    attempts: 0,
+    sentAt: new Date()
+  };
+
+  return code;
+};
+
+// Check a login code (requires loginOtp.hash to be selected). Codes are single use.
+userSchema.methods.verifyLoginOtp = function(code) {
+  const otp = this.loginOtp;
+  if (!otp || !otp.hash || !otp.expiresAt || otp.expiresAt < new Date()) return false;
+
+  const expected = Buffer.from(otp.hash, 'hex');
+  const actual = Buffer.from(hashLoginOtp(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    otp.attempts += 1;
+    return false;
+  }
+
+  this.loginOtp = undefined;
+  return true;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
+userSchema.methods.isTwoFactorRequired = function() {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Replace recovery codes with a fresh set; returns the plain codes to show the user once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Consume a recovery code (requires twoFactor.recoveryCodes to be selected)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(String(code).trim());
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Get user dashboard based on role
 userSchema.methods.getDashboardData = function() {
   const baseData = {
@@ -80,4 +217,6 @@ userSchema.methods.getDashboardData = function() {
   return baseData;
 };
 
+userSchema.plugin(auditPlugin, { name: 'User' });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
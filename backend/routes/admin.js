@@ -1,9 +1,38 @@
 const express = require('express');
-const { requireAdmin, requireStaff } = require('../middleware/auth');
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const StudentProfile = require('../models/StudentProfile');
+const StaffProfile = require('../models/StaffProfile');
+const ParentProfile = require('../models/ParentProfile');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const RosterImport = require('../models/RosterImport');
+const Block = require('../models/Block');
+const RolePermission = require('../models/RolePermission');
+const AuditLog = require('../models/AuditLog');
+const SemesterRollover = require('../models/SemesterRollover');
+const { requirePermission } = require('../middleware/auth');
+const { keepRequestContext } = require('../middleware/requestContext');
+const { isStudentRollNumber, parseRollNumber, getYearOfStudy } = require('../utils/rollNumber');
+const { allocateBlock } = require('../utils/allocation');
+const { canRerun, runSemesterRollover } = require('../utils/rollover');
+const { getProfileModel } = require('../utils/profiles');
+const { parseRoster, toCsv } = require('../utils/roster');
+const { sendMail } = require('../utils/mailer');
+const { auditAction, recordAudit } = require('../utils/audit');
+const {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+  isKnownPermission
+} = require('../utils/permissions');
 const router = express.Router();
 
 // GET /api/admin/dashboard
-router.get('/dashboard', requireStaff, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:staff'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -21,4 +50,1820 @@ router.get('/dashboard', requireStaff, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Validation rules for user management
+const ROLES = ['student', 'warden', 'chief_warden', 'canteen_owner', 'admin', 'parent', 'security'];
+const DEPARTMENTS = ['hostel_administration', 'canteen', 'maintenance', 'security', 'other'];
+const GENDERS = ['male', 'female', 'other'];
+const RELATIONS = ['father', 'mother', 'guardian', 'other'];
+
+// Hostel blocks are configured in the database (see routes/blocks.js)
+// Staff whose default permissions are limited to their hostel blocks; they get no blocks
+// unless the admin names them (ALL included)
+const BLOCK_SCOPED_ROLES = ['warden', 'chief_warden', 'security'];
+
+const isStudentBlock = async (code) => {
+  if (!(await Block.isConfigured(code))) throw new Error('Invalid hostel block');
+  return true;
+};
+
+const isStaffBlock = async (code) => (code === 'ALL' ? true : isStudentBlock(code));
+
+const userIdValidation = [
+  param('id').isMongoId().withMessage('Valid user ID required')
+];
+
+const studentFieldValidation = [
+  body('course').if(body('role').equals('student')).notEmpty().withMessage('Course is required for students'),
+  body('year').if(body('role').equals('student')).isInt({ min: 1, max: 5 }).withMessage('Year must be between 1 and 5'),
+  body('roomNumber').if(body('role').equals('student')).notEmpty().withMessage('Room number is required for students'),
+  body('hostelBlock').if(body('role').equals('student')).custom(isStudentBlock),
+  body('gender').optional().isIn(GENDERS).withMessage('Invalid gender'),
+  body('parentPhone').if(body('role').equals('student')).isMobilePhone().withMessage('Valid parent phone number is required')
+];
+
+const staffFieldValidation = [
+  body('designation').if(body('role').isIn(['warden', 'chief_warden', 'canteen_owner', 'admin', 'security'])).notEmpty().withMessage('Designation is required for staff'),
+  body('department').optional().isIn(DEPARTMENTS).withMessage('Invalid department'),
+  body('hostelBlocks').if(body('role').isIn(BLOCK_SCOPED_ROLES)).isArray({ min: 1 }).withMessage('Hostel blocks are required for wardens and security staff'),
+  body('hostelBlocks').optional().isArray().withMessage('Hostel blocks must be an array'),
+  body('hostelBlocks.*').optional().custom(isStaffBlock)
+];
+
+const parentFieldValidation = [
+  body('relation').optional().isIn(RELATIONS).withMessage('Invalid relation')
+];
+
+const createUserValidation = [
+  body('identifier').notEmpty().withMessage('Roll number or Employee ID is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  // Parents sign in with a texted code, so they get a random password
+  body('password').if(body('role').not().equals('parent')).isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('name').isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  ...studentFieldValidation,
+  ...staffFieldValidation,
+  ...parentFieldValidation
+];
+
+const updateUserValidation = [
+  ...userIdValidation,
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
+  body('course').optional().notEmpty().withMessage('Course cannot be empty'),
+  body('year').optional().isInt({ min: 1, max: 5 }).withMessage('Year must be between 1 and 5'),
+  body('roomNumber').optional().notEmpty().withMessage('Room number cannot be empty'),
+  body('hostelBlock').optional().custom(isStudentBlock),
+  body('gender').optional().isIn(GENDERS).withMessage('Invalid gender'),
+  body('parentPhone').optional().isMobilePhone().withMessage('Valid parent phone number is required'),
+  body('designation').optional().notEmpty().withMessage('Designation cannot be empty'),
+  body('department').optional().isIn(DEPARTMENTS).withMessage('Invalid department'),
+  body('hostelBlocks').optional().isArray().withMessage('Hostel blocks must be an array'),
+  body('hostelBlocks.*').optional().custom(isStaffBlock),
+  ...parentFieldValidation
+];
+
+// Profile fields an admin may edit, per profile type
+const STUDENT_EDITABLE_FIELDS = ['name', 'phone', 'course', 'year', 'roomNumber', 'hostelBlock', 'gender', 'parentPhone', 'address', 'emergencyContact'];
+const STAFF_EDITABLE_FIELDS = ['name', 'phone', 'designation', 'department', 'responsibilities', 'hostelBlocks', 'workingHours'];
+const PARENT_EDITABLE_FIELDS = ['name', 'phone', 'relation'];
+
+const getEditableFields = (role) => {
+  if (role === 'student') return STUDENT_EDITABLE_FIELDS;
+  if (role === 'parent') return PARENT_EDITABLE_FIELDS;
+  return STAFF_EDITABLE_FIELDS;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+// Build the role-specific profile document for a user
+const buildProfile = (user, data) => {
+  if (user.role === 'student') {
+    return new StudentProfile({
+      user: user._id,
+      rollNumber: user.identifier,
+      ...pick(data, STUDENT_EDITABLE_FIELDS)
+    });
+  }
+
+  if (user.role === 'parent') {
+    return new ParentProfile({
+      user: user._id,
+      ...pick(data, PARENT_EDITABLE_FIELDS)
+    });
+  }
+
+  return new StaffProfile({
+    user: user._id,
+    employeeId: user.identifier,
+    ...pick(data, STAFF_EDITABLE_FIELDS),
+    department: data.department || (user.role === 'security' ? 'security' : 'other'),
+    hostelBlocks: data.hostelBlocks || (BLOCK_SCOPED_ROLES.includes(user.role) ? [] : ['ALL'])
+  });
+};
+
+const serializeUser = (user, profile) => ({
+  id: user._id,
+  identifier: user.identifier,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  createdAt: user.createdAt,
+  profile: profile || null
+});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Mongoose validation failures on profiles are client errors, not server errors
+const sendModelValidationError = (error, res) => {
+  if (error.name !== 'ValidationError') return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message })),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+};
+
+const findUserOr404 = async (id, res) => {
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+  return user;
+};
+
+// Parent logins are keyed by phone number, so two parents can't share one
+const sendDuplicatePhoneError = (error, res) => {
+  if (error.code !== 11000 || !error.keyPattern?.phone) return false;
+
+  res.status(409).json({
+    error: 'Another parent account already uses this phone number',
+    field: 'phone',
+    code: 'PHONE_TAKEN'
+  });
+  return true;
+};
+
+// Graduated students are kept as read-only history
+const rejectIfAlumni = async (user, res) => {
+  if (user.role !== 'student') return false;
+
+  const archived = await StudentProfile.exists({ user: user._id, status: 'alumni' });
+  if (archived) {
+    res.status(409).json({
+      error: `${user.identifier} has graduated and is archived`,
+      code: 'STUDENT_ARCHIVED'
+    });
+    return true;
+  }
+  return false;
+};
+
+// GET /api/admin/users - Search and filter users
+router.get('/users', [
+  requirePermission('users:manage'),
+  query('role').optional().isIn(ROLES),
+  query('hostelBlock').optional().custom(isStaffBlock),
+  query('isActive').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { search, role, hostelBlock, isActive } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const conditions = [];
+    if (role) conditions.push({ role });
+    if (isActive !== undefined) conditions.push({ isActive: isActive === 'true' });
+
+    // Names, roll numbers and employee IDs live on the profiles
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      const [studentUsers, staffUsers, parentUsers] = await Promise.all([
+        StudentProfile.find({ $or: [{ name: pattern }, { rollNumber: pattern }, { roomNumber: pattern }] }).distinct('user'),
+        StaffProfile.find({ $or: [{ name: pattern }, { employeeId: pattern }] }).distinct('user'),
+        ParentProfile.find({ $or: [{ name: pattern }, { phone: pattern }] }).distinct('user')
+      ]);
+
+      conditions.push({
+        $or: [
+          { identifier: pattern },
+          { email: pattern },
+          { _id: { $in: [...studentUsers, ...staffUsers, ...parentUsers] } }
+        ]
+      });
+    }
+
+    if (hostelBlock) {
+      const [studentUsers, staffUsers] = await Promise.all([
+        StudentProfile.find({ hostelBlock }).distinct('user'),
+        StaffProfile.find({ hostelBlocks: { $in: [hostelBlock, 'ALL'] } }).distinct('user')
+      ]);
+      conditions.push({ _id: { $in: [...studentUsers, ...staffUsers] } });
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    const userIds = users.map(user => user._id);
+    const [studentProfiles, staffProfiles, parentProfiles] = await Promise.all([
+      StudentProfile.find({ user: { $in: userIds } }),
+      StaffProfile.find({ user: { $in: userIds } }),
+      ParentProfile.find({ user: { $in: userIds } })
+    ]);
+
+    const profilesByUser = new Map();
+    [...studentProfiles, ...staffProfiles, ...parentProfiles].forEach(profile => {
+      profilesByUser.set(profile.user.toString(), profile);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => serializeUser(user, profilesByUser.get(user._id.toString()))),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin users fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      code: 'USERS_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/users/:id
+router.get('/users/:id', [requirePermission('users:manage'), ...userIdValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await findUserOr404(req.params.id, res);
+    if (!user) return;
+
+    const [profile, activeSessions] = await Promise.all([
+      getProfileModel(user.role).findOne({ user: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...serializeUser(user, profile),
+          activeSessions
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin user fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      code: 'USER_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/admin/users - Create a user with its profile
+router.post('/users', [requirePermission('users:manage'), auditAction('user.create'), ...createUserValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const identifier = req.body.identifier.toUpperCase();
+    const email = req.body.email.toLowerCase();
+
+    const existingUser = await User.findOne({
+      $or: [{ identifier }, { email }]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'User already exists',
+        field: existingUser.identifier === identifier ? 'identifier' : 'email',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    const user = new User({
+      identifier,
+      email,
+      password: req.body.role === 'parent' ? crypto.randomBytes(24).toString('base64url') : req.body.password,
+      role: req.body.role
+    });
+
+    const profile = buildProfile(user, req.body);
+
+    // Validate both documents before writing either so a bad profile doesn't leave an orphaned user
+    await profile.validate();
+    await user.save();
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: {
+        user: serializeUser(user, profile)
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+    if (sendDuplicatePhoneError(error, res)) return;
+
+    console.error('Admin user create error:', error);
+    res.status(500).json({
+      error: 'Failed to create user',
+      code: 'USER_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id - Edit email and profile details
+router.put('/users/:id', [requirePermission('users:manage'), auditAction('user.update'), ...updateUserValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await findUserOr404(req.params.id, res);
+    if (!user) return;
+    if (await rejectIfAlumni(user, res)) return;
+
+    if (req.body.email && req.body.email.toLowerCase() !== user.email) {
+      const email = req.body.email.toLowerCase();
+      const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+
+      if (emailTaken) {
+        return res.status(409).json({
+          error: 'User already exists',
+          field: 'email',
+          code: 'USER_EXISTS'
+        });
+      }
+
+      user.email = email;
+      await user.save();
+    }
+
+    const profile = await getProfileModel(user.role).findOneAndUpdate(
+      { user: user._id },
+      { $set: pick(req.body, getEditableFields(user.role)) },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: {
+        user: serializeUser(user, profile)
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+    if (sendDuplicatePhoneError(error, res)) return;
+
+    console.error('Admin user update error:', error);
+    res.status(500).json({
+      error: 'Failed to update user',
+      code: 'USER_UPDATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/status - Activate or deactivate an account
+router.put('/users/:id/status', [
+  requirePermission('users:manage'),
+  auditAction('user.status_change'),
+  ...userIdValidation,
+  body('isActive').isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        error: 'You cannot change the status of your own account',
+        code: 'CANNOT_MODIFY_SELF'
+      });
+    }
+
+    const user = await findUserOr404(req.params.id, res);
+    if (!user) return;
+
+    const isActive = req.body.isActive === true || req.body.isActive === 'true';
+    if (isActive && await rejectIfAlumni(user, res)) return;
+
+    user.isActive = isActive;
+    await user.save();
+
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'admin_force_logout');
+    }
+
+    res.json({
+      success: true,
+      message: `${user.identifier} has been ${user.isActive ? 'activated' : 'deactivated'}`,
+      data: {
+        user: serializeUser(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin user status error:', error);
+    res.status(500).json({
+      error: 'Failed to update user status',
+      code: 'USER_STATUS_ERROR'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/reset-password - Set a new password (generated if none is given)
+router.post('/users/:id/reset-password', [
+  requirePermission('users:manage'),
+  auditAction('user.password_reset'),
+  ...userIdValidation,
+  body('newPassword').optional().isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await findUserOr404(req.params.id, res);
+    if (!user) return;
+
+    const newPassword = req.body.newPassword || crypto.randomBytes(6).toString('base64url');
+
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await LoginAttempt.clear(user.identifier);
+
+    res.json({
+      success: true,
+      message: `Password reset for ${user.identifier}`,
+      data: {
+        // Only echoed back when generated, so the admin can hand it over
+        ...(!req.body.newPassword && { temporaryPassword: newPassword })
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      code: 'PASSWORD_RESET_ERROR'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change role, switching profile type when needed
+router.put('/users/:id/role', [
+  requirePermission('users:manage'),
+  auditAction('user.role_change'),
+  ...userIdValidation,
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  ...studentFieldValidation,
+  ...staffFieldValidation,
+  ...parentFieldValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({
+        error: 'You cannot change your own role',
+        code: 'CANNOT_MODIFY_SELF'
+      });
+    }
+
+    const user = await findUserOr404(req.params.id, res);
+    if (!user) return;
+    if (await rejectIfAlumni(user, res)) return;
+
+    const { role } = req.body;
+    const previousRole = user.role;
+
+    if (role === previousRole) {
+      return res.status(400).json({
+        error: `User already has role ${role}`,
+        code: 'ROLE_UNCHANGED'
+      });
+    }
+
+    const oldProfile = await getProfileModel(previousRole).findOne({ user: user._id });
+    let profile = oldProfile;
+
+    // Moves between student, staff and parent need the other profile type; name and phone carry over
+    if (getProfileModel(role) !== getProfileModel(previousRole)) {
+      user.role = role;
+      profile = buildProfile(user, {
+        name: oldProfile?.name,
+        phone: oldProfile?.phone,
+        ...req.body
+      });
+      await profile.validate();
+
+      if (oldProfile) await oldProfile.deleteOne();
+      await profile.save();
+    } else if (profile && req.body.hostelBlocks) {
+      // Staff to staff keeps the profile; block-scoped roles are given their blocks here
+      profile.hostelBlocks = req.body.hostelBlocks;
+      await profile.save();
+    }
+
+    user.role = role;
+    await user.save();
+
+    // Tokens carry the old role
+    await Session.revokeAllForUser(user._id, 'admin_force_logout');
+
+    res.json({
+      success: true,
+      message: `${user.identifier} is now ${role}`,
+      data: {
+        user: serializeUser(user, profile)
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+    if (sendDuplicatePhoneError(error, res)) return;
+
+    console.error('Admin role change error:', error);
+    res.status(500).json({
+      error: 'Failed to change role',
+      code: 'ROLE_CHANGE_ERROR'
+    });
+  }
+});
+
+// Parent account behind a /users/:id/children route, or an error response
+const findParentProfileOr404 = async (id, res) => {
+  const user = await findUserOr404(id, res);
+  if (!user) return null;
+
+  const profile = user.role === 'parent' ? await ParentProfile.findOne({ user: user._id }) : null;
+  if (!profile) {
+    res.status(400).json({
+      error: `${user.identifier} is not a parent account`,
+      code: 'NOT_A_PARENT'
+    });
+    return null;
+  }
+  return profile;
+};
+
+// POST /api/admin/users/:id/children - Link a student to a parent account
+router.post('/users/:id/children', [
+  requirePermission('users:manage'),
+  auditAction('parent.link_child'),
+  ...userIdValidation,
+  body('student').trim().notEmpty().withMessage('Student ID or roll number is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const parentProfile = await findParentProfileOr404(req.params.id, res);
+    if (!parentProfile) return;
+
+    const { student } = req.body;
+    const studentUser = await User.findOne({
+      role: 'student',
+      ...(/^[0-9a-fA-F]{24}$/.test(student) ? { _id: student } : { identifier: student.toUpperCase() })
+    });
+
+    if (!studentUser) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    if (await rejectIfAlumni(studentUser, res)) return;
+
+    if (parentProfile.hasChild(studentUser._id)) {
+      return res.status(409).json({
+        error: `${studentUser.identifier} is already linked to this parent`,
+        code: 'CHILD_ALREADY_LINKED'
+      });
+    }
+
+    parentProfile.children.push(studentUser._id);
+    await parentProfile.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${studentUser.identifier} linked`,
+      data: {
+        profile: parentProfile
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin link child error:', error);
+    res.status(500).json({
+      error: 'Failed to link student',
+      code: 'CHILD_LINK_ERROR'
+    });
+  }
+});
+
+// DELETE /api/admin/users/:id/children/:studentId - Unlink a student from a parent account
+router.delete('/users/:id/children/:studentId', [
+  requirePermission('users:manage'),
+  auditAction('parent.unlink_child'),
+  ...userIdValidation,
+  param('studentId').isMongoId().withMessage('Valid student ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const parentProfile = await findParentProfileOr404(req.params.id, res);
+    if (!parentProfile) return;
+
+    if (!parentProfile.hasChild(req.params.studentId)) {
+      return res.status(404).json({
+        error: 'Student is not linked to this parent',
+        code: 'CHILD_NOT_LINKED'
+      });
+    }
+
+    parentProfile.children.pull(req.params.studentId);
+    await parentProfile.save();
+
+    res.json({
+      success: true,
+      message: 'Student unlinked',
+      data: {
+        profile: parentProfile
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin unlink child error:', error);
+    res.status(500).json({
+      error: 'Failed to unlink student',
+      code: 'CHILD_UNLINK_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/users/:id/sessions - List active sessions of a user
+router.get('/users/:id/sessions', [
+  requirePermission('users:manage'),
+  param('id').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('identifier email role');
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        sessions: sessions.map(session => session.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user sessions',
+      code: 'SESSIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/logout-all - Force logout a user everywhere
+router.post('/users/:id/logout-all', [
+  requirePermission('users:manage'),
+  auditAction('user.force_logout'),
+  param('id').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'admin_force_logout');
+
+    user.deviceTokens = [];
+    await user.save();
+
+    // Sessions aren't an audited model and device tokens are left out of diffs, so this is
+    // the action's one entry
+    await recordAudit({
+      action: 'user.force_logout',
+      target: { type: 'User', id: user._id },
+      metadata: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `All sessions of ${user.identifier} have been signed out`,
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin force logout error:', error);
+    res.status(500).json({
+      error: 'Failed to force logout user',
+      code: 'FORCE_LOGOUT_ERROR'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/unlock - Clear failed login attempts and lockout
+router.post('/users/:id/unlock', [
+  requirePermission('users:manage'),
+  auditAction('user.unlock'),
+  param('id').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Parents sign in with texted codes, which are throttled by phone number
+    const keys = [user.identifier];
+    if (user.role === 'parent') {
+      const profile = await ParentProfile.findOne({ user: user._id }).select('phone');
+      if (profile && profile.phone) keys.push(profile.phone);
+    }
+
+    const results = await Promise.all(keys.map(key => LoginAttempt.clear(key)));
+    const cleared = results.reduce((sum, result) => sum + result.deletedCount, 0);
+
+    if (cleared > 0) {
+      await recordAudit({
+        action: 'user.unlock',
+        target: { type: 'User', id: user._id },
+        metadata: { clearedAttempts: cleared }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: cleared > 0
+        ? `${user.identifier} has been unlocked`
+        : `${user.identifier} was not locked`
+    });
+
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({
+      error: 'Failed to unlock user',
+      code: 'UNLOCK_ERROR'
+    });
+  }
+});
+
+// POST /api/admin/users/:id/2fa/reset - Remove two-factor enrolment (lost device and recovery codes)
+router.post('/users/:id/2fa/reset', [
+  requirePermission('users:manage'),
+  auditAction('user.two_factor_reset'),
+  param('id').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Existing sessions were authorised with the old factor
+    await Session.revokeAllForUser(user._id, 'admin_force_logout');
+
+    res.json({
+      success: true,
+      message: user.isTwoFactorRequired()
+        ? `Two-factor authentication reset for ${user.identifier}. They will be asked to enrol again at next login.`
+        : `Two-factor authentication reset for ${user.identifier}`
+    });
+
+  } catch (error) {
+    console.error('Admin 2FA reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      code: 'TWO_FACTOR_RESET_ERROR'
+    });
+  }
+});
+
+// Role -> permission mappings
+const permissionsValidation = [
+  param('role').isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isKnownPermission).withMessage('Unknown permission')
+];
+
+const serializePermissionMappings = async () => {
+  const [mappings, overrides] = await Promise.all([
+    RolePermission.getMappings(),
+    RolePermission.find().select('role updatedAt updatedBy').populate('updatedBy', 'identifier')
+  ]);
+
+  return ROLES.map(role => {
+    const override = overrides.find(entry => entry.role === role);
+    return {
+      role,
+      permissions: mappings[role] || [],
+      isDefault: !override,
+      updatedAt: override ? override.updatedAt : null,
+      updatedBy: override ? override.updatedBy : null
+    };
+  });
+};
+
+// GET /api/admin/permissions - Permission catalog and current role mappings
+router.get('/permissions', requirePermission('permissions:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+          scoped: SCOPED_PERMISSIONS.includes(name)
+        })),
+        roles: await serializePermissionMappings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Permissions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch permissions',
+      code: 'PERMISSIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/admin/permissions/:role - Replace the permissions held by a role
+router.put('/permissions/:role', [requirePermission('permissions:manage'), auditAction('permissions.update'), ...permissionsValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const missingLocked = (LOCKED_PERMISSIONS[role] || []).filter(permission => !permissions.includes(permission));
+    if (missingLocked.length > 0) {
+      return res.status(400).json({
+        error: `The ${role} role must keep: ${missingLocked.join(', ')}`,
+        code: 'LOCKED_PERMISSION'
+      });
+    }
+
+    await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions, updatedBy: req.user.id },
+      { upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Permissions updated for ${role}`,
+      data: {
+        roles: await serializePermissionMappings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Permissions update error:', error);
+    res.status(500).json({
+      error: 'Failed to update permissions',
+      code: 'PERMISSIONS_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/admin/permissions/:role - Restore a role's default permissions
+router.delete('/permissions/:role', [
+  requirePermission('permissions:manage'),
+  auditAction('permissions.reset'),
+  param('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await RolePermission.findOneAndDelete({ role: req.params.role });
+
+    res.json({
+      success: true,
+      message: `Default permissions restored for ${req.params.role}`,
+      data: {
+        roles: await serializePermissionMappings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Permissions reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset permissions',
+      code: 'PERMISSIONS_RESET_ERROR'
+    });
+  }
+});
+
+// Audit log: append-only record of staff and admin actions
+const MAX_AUDIT_EXPORT_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const auditLogValidation = [
+  query('actor').optional().isMongoId().withMessage('Valid actor ID required'),
+  query('action').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('targetType').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  query('targetId').optional().isMongoId().withMessage('Valid target ID required'),
+  query('requestId').optional().isString().trim().isLength({ min: 1, max: 64 }),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+// An action ending in "." matches every action under it, e.g. "user." or "outpass."
+const buildAuditLogQuery = ({ actor, action, targetType, targetId, requestId, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (action) {
+    filter.action = action.endsWith('.') ? { $regex: `^${escapeRegex(action)}` } : action;
+  }
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (requestId) filter.requestId = requestId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// GET /api/admin/audit-logs - Search the audit log
+router.get('/audit-logs', [
+  requirePermission('audit:view'),
+  ...auditLogValidation,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = buildAuditLogQuery(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'identifier email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      code: 'AUDIT_LOG_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/audit-logs/export - Matching entries as a CSV download
+router.get('/audit-logs/export', [
+  requirePermission('audit:view'),
+  ...auditLogValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const filter = buildAuditLogQuery(req.query);
+    const total = await AuditLog.countDocuments(filter);
+
+    if (total > MAX_AUDIT_EXPORT_ROWS) {
+      return res.status(400).json({
+        error: `Export is limited to ${MAX_AUDIT_EXPORT_ROWS} entries; narrow the filters (${total} match)`,
+        code: 'AUDIT_EXPORT_TOO_LARGE'
+      });
+    }
+
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).lean();
+
+    const csv = toCsv(
+      ['Time', 'Actor', 'Role', 'Action', 'Target Type', 'Target ID', 'Before', 'After', 'Details', 'IP', 'Request ID'],
+      entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actorIdentifier || String(entry.actor),
+        entry.role,
+        entry.action,
+        entry.target.type,
+        entry.target.id ? String(entry.target.id) : '',
+        entry.changes && entry.changes.before ? JSON.stringify(entry.changes.before) : '',
+        entry.changes && entry.changes.after ? JSON.stringify(entry.changes.after) : '',
+        entry.metadata ? JSON.stringify(entry.metadata) : '',
+        entry.ip,
+        entry.requestId
+      ])
+    );
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).json({
+      error: 'Failed to export audit log',
+      code: 'AUDIT_LOG_EXPORT_ERROR'
+    });
+  }
+});
+
+// Roster imports: admission spreadsheets turned into student accounts
+const MAX_ROSTER_ROWS = parseInt(process.env.ROSTER_MAX_ROWS) || 2000;
+const INVITE_EXPIRY_MINUTES = 7 * 24 * 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{10,13}$/;
+
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    const error = new Error('Roster must be a .csv or .xlsx file');
+    error.statusCode = 400;
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error);
+  }
+});
+
+// Check a parsed roster row and fill in the defaults registration would use.
+// hostelBlock is left unset when the file has none so the allocation rules decide.
+const validateRosterRow = (data, blockCodes) => {
+  const errors = [];
+  const rollNumber = (data.rollNumber || '').toUpperCase();
+  const email = (data.email || '').toLowerCase();
+
+  if (!isStudentRollNumber(rollNumber)) errors.push('Invalid roll number (expected e.g. 2024CSE001)');
+  if (!EMAIL_PATTERN.test(email)) errors.push('Valid email is required');
+  if (!data.name || data.name.length < 2) errors.push('Name must be at least 2 characters');
+  if (!PHONE_PATTERN.test((data.phone || '').replace(/[\s-]/g, ''))) errors.push('Valid phone number is required');
+  if (!PHONE_PATTERN.test((data.parentPhone || '').replace(/[\s-]/g, ''))) errors.push('Valid parent phone number is required');
+  if (data.year && !/^[1-5]$/.test(data.year)) errors.push('Year must be between 1 and 5');
+  if (data.hostelBlock && !blockCodes.includes(data.hostelBlock.toUpperCase())) errors.push('Invalid hostel block');
+  if (data.gender && !GENDERS.includes(data.gender.toLowerCase())) errors.push('Gender must be male, female or other');
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const { branch } = parseRollNumber(rollNumber);
+
+  return {
+    errors,
+    record: {
+      rollNumber,
+      email,
+      name: data.name,
+      phone: data.phone.replace(/[\s-]/g, ''),
+      parentPhone: data.parentPhone.replace(/[\s-]/g, ''),
+      course: data.course || branch,
+      year: data.year ? parseInt(data.year) : getYearOfStudy(rollNumber),
+      roomNumber: data.roomNumber || 'TBD',
+      hostelBlock: data.hostelBlock ? data.hostelBlock.toUpperCase() : undefined,
+      gender: data.gender ? data.gender.toLowerCase() : undefined
+    }
+  };
+};
+
+// Email a newly imported student a link to choose their own password
+const sendRosterInvite = async (user, name) => {
+  const token = user.createPasswordResetToken(INVITE_EXPIRY_MINUTES);
+  await user.save();
+
+  const setupUrl = `${process.env.CLIENT_URL || 'hostelhub://'}reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Welcome to Hostel Hub',
+    text: `Hi ${name},\n\n` +
+      `An account has been created for you with roll number ${user.identifier}.\n\n` +
+      `Use this code in the app to set your password: ${token}\n` +
+      `Or open: ${setupUrl}\n\n` +
+      'The code expires in 7 days.'
+  });
+};
+
+const assignRosterBlock = async (profile, record, placements) => {
+  const allocation = await allocateBlock({ rollNumber: record.rollNumber, gender: record.gender, pending: placements });
+  if (!allocation) return false;
+
+  profile.hostelBlock = allocation.block.code;
+  return true;
+};
+
+// A dry run saves nothing, so the beds its earlier rows would take are counted here
+// for the allocator instead
+const notePlacement = (placements, from, to) => {
+  if (from === to) return;
+  if (from) placements.set(from, (placements.get(from) || 0) - 1);
+  if (to) placements.set(to, (placements.get(to) || 0) + 1);
+};
+
+// Apply one validated row. Nothing is written when dryRun is set, but the documents are
+// still validated and beds counted in `placements` so the preview matches a real run.
+const importRosterRow = async (record, existing, { mode, dryRun, sendInvites, reactivate }, placements) => {
+  const { user: existingUser, emailOwner, profile: existingProfile } = existing;
+  const profileFields = pick(record, ['name', 'phone', 'parentPhone', 'course', 'year', 'roomNumber', 'hostelBlock', 'gender']);
+
+  if (emailOwner && (!existingUser || !emailOwner._id.equals(existingUser._id))) {
+    return { status: 'failed', messages: [`Email already in use by ${emailOwner.identifier}`] };
+  }
+
+  if (existingUser) {
+    if (existingUser.role !== 'student') {
+      return { status: 'failed', messages: ['Roll number belongs to a staff account'] };
+    }
+
+    if (existingProfile && existingProfile.isAlumni()) {
+      return { status: 'failed', messages: ['Student has graduated and is archived'] };
+    }
+
+    if (mode !== 'upsert') {
+      return { status: 'skipped', messages: ['Student already exists'] };
+    }
+
+    // Deactivated accounts stay off unless the admin asked to bring them back
+    if (!existingUser.isActive && !reactivate) {
+      return { status: 'skipped', messages: ['Account deactivated'] };
+    }
+
+    existingUser.email = record.email;
+    existingUser.isActive = true;
+    // The roster vouches for the email; an unverified self-registration would otherwise be
+    // removed by the stale registration cleanup
+    if (!existingUser.emailVerified) existingUser.markEmailVerified();
+
+    const previousBlock = existingProfile ? existingProfile.hostelBlock : null;
+    const profile = existingProfile || new StudentProfile({ user: existingUser._id, rollNumber: existingUser.identifier });
+    profile.set(profileFields);
+
+    if (!profile.hostelBlock && !(await assignRosterBlock(profile, record, placements))) {
+      return { status: 'failed', messages: ['No hostel block has a free bed for this student'] };
+    }
+
+    await profile.validate();
+    if (dryRun) {
+      notePlacement(placements, previousBlock, profile.hostelBlock);
+    } else {
+      await existingUser.save();
+      await profile.save();
+    }
+
+    return { status: 'updated', messages: [] };
+  }
+
+  const user = new User({
+    identifier: record.rollNumber,
+    email: record.email,
+    password: crypto.randomBytes(12).toString('base64url'),
+    role: 'student'
+  });
+
+  const profile = new StudentProfile({
+    user: user._id,
+    rollNumber: record.rollNumber,
+    ...profileFields
+  });
+
+  if (!profile.hostelBlock && !(await assignRosterBlock(profile, record, placements))) {
+    return { status: 'failed', messages: ['No hostel block has a free bed for this student'] };
+  }
+
+  await profile.validate();
+  if (dryRun) {
+    notePlacement(placements, null, profile.hostelBlock);
+    return { status: 'created', messages: [] };
+  }
+
+  await user.save();
+  await profile.save();
+
+  const messages = [];
+  if (sendInvites) {
+    try {
+      await sendRosterInvite(user, record.name);
+    } catch (mailError) {
+      console.error('Roster invite email error:', mailError);
+      messages.push('Account created but the welcome email could not be sent');
+    }
+  }
+
+  return { status: 'created', messages };
+};
+
+const serializeImport = (rosterImport, includeRows) => ({
+  id: rosterImport._id,
+  filename: rosterImport.filename,
+  mode: rosterImport.mode,
+  dryRun: rosterImport.dryRun,
+  summary: rosterImport.summary,
+  uploadedBy: rosterImport.uploadedBy,
+  createdAt: rosterImport.createdAt,
+  ...(includeRows && { rows: rosterImport.rows })
+});
+
+// POST /api/admin/students/import - Create students from a CSV/XLSX roster
+router.post('/students/import', requirePermission('users:import'), auditAction('roster.import'), keepRequestContext(rosterUpload.single('roster')), [
+  body('mode').optional().isIn(['create', 'upsert']).withMessage('Mode must be create or upsert'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  body('sendInvites').optional().isBoolean().withMessage('sendInvites must be true or false'),
+  body('reactivate').optional().isBoolean().withMessage('reactivate must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Roster file is required',
+        code: 'ROSTER_REQUIRED'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await parseRoster(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: parseError.message,
+        code: 'ROSTER_PARSE_ERROR'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'Roster has no student rows',
+        code: 'ROSTER_EMPTY'
+      });
+    }
+
+    if (rows.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({
+        error: `Roster has ${rows.length} rows; the limit is ${MAX_ROSTER_ROWS} per import`,
+        code: 'ROSTER_TOO_LARGE'
+      });
+    }
+
+    const options = {
+      mode: req.body.mode || 'create',
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      sendInvites: req.body.sendInvites !== false && req.body.sendInvites !== 'false',
+      reactivate: req.body.reactivate === true || req.body.reactivate === 'true'
+    };
+
+    const rosterImport = new RosterImport({
+      uploadedBy: req.user.id,
+      filename: req.file.originalname,
+      mode: options.mode,
+      dryRun: options.dryRun
+    });
+
+    const blockCodes = await Block.getActiveCodes();
+    const validated = rows.map(({ rowNumber, data }) => ({ rowNumber, data, ...validateRosterRow(data, blockCodes) }));
+    const records = validated.filter(row => row.record).map(row => row.record);
+
+    // Load every matching account up front instead of querying per row
+    const [existingUsers, existingProfiles] = await Promise.all([
+      User.find({
+        $or: [
+          { identifier: { $in: records.map(record => record.rollNumber) } },
+          { email: { $in: records.map(record => record.email) } }
+        ]
+      }),
+      StudentProfile.find({ rollNumber: { $in: records.map(record => record.rollNumber) } })
+    ]);
+
+    const usersByIdentifier = new Map(existingUsers.map(user => [user.identifier, user]));
+    const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+    const profilesByRollNumber = new Map(existingProfiles.map(profile => [profile.rollNumber, profile]));
+
+    // First row wins when a roll number or email is repeated within the file
+    const seenRollNumbers = new Map();
+    const seenEmails = new Map();
+    const placements = new Map();
+
+    for (const { rowNumber, data, errors, record } of validated) {
+      const result = {
+        row: rowNumber,
+        rollNumber: record ? record.rollNumber : data.rollNumber,
+        email: record ? record.email : data.email,
+        name: data.name
+      };
+
+      if (!record) {
+        rosterImport.addRow({ ...result, status: 'failed', messages: errors });
+        continue;
+      }
+
+      const duplicateErrors = [];
+      if (seenRollNumbers.has(record.rollNumber)) {
+        duplicateErrors.push(`Duplicate roll number (first seen on row ${seenRollNumbers.get(record.rollNumber)})`);
+      }
+      if (seenEmails.has(record.email)) {
+        duplicateErrors.push(`Duplicate email (first seen on row ${seenEmails.get(record.email)})`);
+      }
+      if (duplicateErrors.length > 0) {
+        rosterImport.addRow({ ...result, status: 'failed', messages: duplicateErrors });
+        continue;
+      }
+
+      seenRollNumbers.set(record.rollNumber, rowNumber);
+      seenEmails.set(record.email, rowNumber);
+
+      try {
+        const outcome = await importRosterRow(record, {
+          user: usersByIdentifier.get(record.rollNumber),
+          emailOwner: usersByEmail.get(record.email),
+          profile: profilesByRollNumber.get(record.rollNumber)
+        }, options, placements);
+
+        rosterImport.addRow({ ...result, ...outcome });
+      } catch (rowError) {
+        const messages = rowError.name === 'ValidationError'
+          ? Object.values(rowError.errors).map(err => err.message)
+          : ['Failed to save student'];
+
+        if (rowError.name !== 'ValidationError') {
+          console.error(`Roster import row ${rowNumber} error:`, rowError);
+        }
+
+        rosterImport.addRow({ ...result, status: 'failed', messages });
+      }
+    }
+
+    await rosterImport.save();
+
+    res.status(options.dryRun ? 200 : 201).json({
+      success: true,
+      message: options.dryRun
+        ? 'Dry run complete, no changes were made'
+        : `Imported ${rosterImport.summary.created} new and ${rosterImport.summary.updated} updated students`,
+      data: {
+        import: serializeImport(rosterImport, true)
+      }
+    });
+
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({
+      error: 'Failed to import roster',
+      code: 'ROSTER_IMPORT_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/imports - Recent roster imports
+router.get('/imports', [
+  requirePermission('users:import'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [imports, total] = await Promise.all([
+      RosterImport.find()
+        .select('-rows')
+        .populate('uploadedBy', 'identifier email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RosterImport.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        imports: imports.map(rosterImport => serializeImport(rosterImport, false)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Roster imports fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch imports',
+      code: 'IMPORTS_FETCH_ERROR'
+    });
+  }
+});
+
+const findImportOr404 = async (id, res) => {
+  const rosterImport = await RosterImport.findById(id).populate('uploadedBy', 'identifier email');
+  if (!rosterImport) {
+    res.status(404).json({
+      error: 'Import not found',
+      code: 'IMPORT_NOT_FOUND'
+    });
+    return null;
+  }
+  return rosterImport;
+};
+
+// GET /api/admin/imports/:id - Import with per-row results
+router.get('/imports/:id', [
+  requirePermission('users:import'),
+  param('id').isMongoId().withMessage('Valid import ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rosterImport = await findImportOr404(req.params.id, res);
+    if (!rosterImport) return;
+
+    res.json({
+      success: true,
+      data: {
+        import: serializeImport(rosterImport, true)
+      }
+    });
+
+  } catch (error) {
+    console.error('Roster import fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import',
+      code: 'IMPORT_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/imports/:id/report - Per-row results as a CSV download
+router.get('/imports/:id/report', [
+  requirePermission('users:import'),
+  param('id').isMongoId().withMessage('Valid import ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rosterImport = await findImportOr404(req.params.id, res);
+    if (!rosterImport) return;
+
+    const csv = toCsv(
+      ['Row', 'Roll Number', 'Email', 'Name', 'Status', 'Messages'],
+      rosterImport.rows.map(row => [row.row, row.rollNumber, row.email, row.name, row.status, row.messages.join('; ')])
+    );
+
+    const reportName = `${path.parse(rosterImport.filename).name}-${rosterImport.dryRun ? 'preview' : 'report'}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${reportName.replace(/"/g, '')}"`
+    });
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Roster import report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate import report',
+      code: 'IMPORT_REPORT_ERROR'
+    });
+  }
+});
+
+// Semester rollover: promote every student a semester and archive graduates
+const DEFAULT_PROGRAM_YEARS = parseInt(process.env.DEFAULT_PROGRAM_YEARS) || 4;
+
+const serializeRollover = (rollover, includeRows) => ({
+  id: rollover._id,
+  term: rollover.term,
+  dryRun: rollover.dryRun,
+  status: rollover.status,
+  defaultDuration: rollover.defaultDuration,
+  durations: rollover.durations,
+  summary: rollover.summary,
+  runBy: rollover.runBy,
+  createdAt: rollover.createdAt,
+  ...(includeRows && { rows: rollover.rows })
+});
+
+const findRolloverOr404 = async (id, res) => {
+  const rollover = await SemesterRollover.findById(id).populate('runBy', 'identifier email');
+  if (!rollover) {
+    res.status(404).json({
+      error: 'Rollover not found',
+      code: 'ROLLOVER_NOT_FOUND'
+    });
+    return null;
+  }
+  return rollover;
+};
+
+// POST /api/admin/students/rollover - Close a semester (dryRun=true to preview)
+router.post('/students/rollover', [
+  requirePermission('students:rollover'),
+  auditAction('students.rollover'),
+  body('term').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Term label is required, e.g. "2024-25 Even"'),
+  body('dryRun').optional().isBoolean(),
+  body('defaultDuration').optional().isInt({ min: 1, max: 5 }).withMessage('Default duration must be 1-5 years'),
+  body('durations').optional().isArray(),
+  body('durations.*.course').isString().trim().notEmpty().withMessage('Course is required'),
+  body('durations.*.years').isInt({ min: 1, max: 5 }).withMessage('Duration must be 1-5 years')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const term = req.body.term.trim().replace(/\s+/g, ' ');
+
+    // A failed or abandoned run of the term is picked up again rather than refused
+    const previous = dryRun ? null : await SemesterRollover.findOne({ termKey: SemesterRollover.toTermKey(term), dryRun: false });
+    if (previous && previous.status === 'completed') {
+      return res.status(409).json({
+        error: `Term ${term} has already been rolled over`,
+        code: 'ROLLOVER_ALREADY_RUN'
+      });
+    }
+    if (previous && !canRerun(previous)) {
+      return res.status(409).json({
+        error: `Term ${term} is being rolled over right now`,
+        code: 'ROLLOVER_IN_PROGRESS'
+      });
+    }
+
+    const rollover = await runSemesterRollover({
+      term,
+      dryRun,
+      defaultDuration: parseInt(req.body.defaultDuration) || DEFAULT_PROGRAM_YEARS,
+      durations: (req.body.durations || []).map(entry => ({
+        course: entry.course.trim(),
+        years: parseInt(entry.years)
+      })),
+      runBy: req.user.id,
+      previous
+    });
+
+    if (!rollover) {
+      return res.status(409).json({
+        error: `Term ${term} is being rolled over right now`,
+        code: 'ROLLOVER_IN_PROGRESS'
+      });
+    }
+
+    const { promoted, graduated, skipped, failed } = rollover.summary;
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: `${dryRun ? 'Dry run: ' : previous ? 'Resumed: ' : ''}${promoted} promoted, ${graduated} graduated, ${skipped} skipped, ${failed} failed`,
+      data: {
+        rollover: serializeRollover(rollover, true)
+      }
+    });
+
+  } catch (error) {
+    // Another run claimed the term while this one was starting
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'This term has already been rolled over',
+        code: 'ROLLOVER_ALREADY_RUN'
+      });
+    }
+
+    console.error('Semester rollover error:', error);
+    res.status(500).json({
+      error: 'Failed to run semester rollover',
+      code: 'ROLLOVER_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/rollovers - Past rollovers and previews
+router.get('/rollovers', [
+  requirePermission('students:rollover'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [rollovers, total] = await Promise.all([
+      SemesterRollover.find()
+        .select('-rows')
+        .populate('runBy', 'identifier email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SemesterRollover.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rollovers: rollovers.map(rollover => serializeRollover(rollover, false)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollovers fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rollovers',
+      code: 'ROLLOVERS_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/rollovers/:id - Rollover with per-student results
+router.get('/rollovers/:id', [
+  requirePermission('students:rollover'),
+  param('id').isMongoId().withMessage('Valid rollover ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rollover = await findRolloverOr404(req.params.id, res);
+    if (!rollover) return;
+
+    res.json({
+      success: true,
+      data: {
+        rollover: serializeRollover(rollover, true)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollover fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rollover',
+      code: 'ROLLOVER_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/rollovers/:id/report - Per-student results as a CSV download
+router.get('/rollovers/:id/report', [
+  requirePermission('students:rollover'),
+  param('id').isMongoId().withMessage('Valid rollover ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rollover = await findRolloverOr404(req.params.id, res);
+    if (!rollover) return;
+
+    const csv = toCsv(
+      ['Roll Number', 'Name', 'Course', 'From Semester', 'To Semester', 'Status', 'Messages'],
+      rollover.rows.map(row => [row.rollNumber, row.name, row.course, row.fromSemester, row.toSemester, row.status, row.messages.join('; ')])
+    );
+
+    const reportName = `rollover-${rollover.term.replace(/[^A-Za-z0-9-]+/g, '-')}-${rollover.dryRun ? 'preview' : 'report'}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${reportName}"`
+    });
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Rollover report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate rollover report',
+      code: 'ROLLOVER_REPORT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,10 @@ const multer = require('multer');
 const path = require('path');
 const { body, validationResult, query } = require('express-validator');
 const Announcement = require('../models/Announcement');
-const { authenticateToken, requireWarden, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { keepRequestContext } = require('../middleware/requestContext');
 const User = require('../models/User');
+const { auditAction, skipAudit } = require('../utils/audit');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -140,7 +142,7 @@ router.get('/', authenticateToken, [
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     // Only allow staff and above to view stats
-    if (!['warden', 'admin'].includes(req.user.role)) {
+    if (!(await hasPermission(req, 'announcements:stats'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -242,7 +244,7 @@ router.get('/search', authenticateToken, [
 });
 
 // GET /api/announcements/:id - Get single announcement
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, skipAudit, async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id)
       .populate('createdBy', 'name email role')
@@ -288,10 +290,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/announcements - Create new announcement
-router.post('/', authenticateToken, upload.array('attachments', 5), announcementValidation, async (req, res) => {
+router.post('/', authenticateToken, auditAction('announcement.create'), keepRequestContext(upload.array('attachments', 5)), announcementValidation, async (req, res) => {
   try {
     // Only allow staff and above to create announcements
-    if (!['warden', 'admin'].includes(req.user.role)) {
+    if (!(await hasPermission(req, 'announcements:create'))) {
       return res.status(403).json({
         success: false,
         message: 'Only staff can create announcements'
@@ -364,7 +366,7 @@ router.post('/', authenticateToken, upload.array('attachments', 5), announcement
 });
 
 // PUT /api/announcements/:id - Update announcement
-router.put('/:id', authenticateToken, upload.array('attachments', 5), announcementValidation, async (req, res) => {
+router.put('/:id', authenticateToken, auditAction('announcement.update'), keepRequestContext(upload.array('attachments', 5)), announcementValidation, async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id);
     
@@ -375,8 +377,8 @@ router.put('/:id', authenticateToken, upload.array('attachments', 5), announceme
       });
     }
 
-    // Only creator or admin can update
-    if (announcement.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Only creator or announcement managers can update
+    if (!announcement.createdBy.equals(req.user.id) && !(await hasPermission(req, 'announcements:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -440,7 +442,7 @@ router.put('/:id', authenticateToken, upload.array('attachments', 5), announceme
 });
 
 // DELETE /api/announcements/:id - Delete announcement
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, auditAction('announcement.delete'), async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id);
     
@@ -451,8 +453,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Only creator or admin can delete
-    if (announcement.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Only creator or announcement managers can delete
+    if (!announcement.createdBy.equals(req.user.id) && !(await hasPermission(req, 'announcements:manage'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -477,7 +479,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/announcements/:id/read - Mark announcement as read
-router.post('/:id/read', authenticateToken, async (req, res) => {
+router.post('/:id/read', authenticateToken, skipAudit, async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id);
     
@@ -504,7 +506,7 @@ router.post('/:id/read', authenticateToken, async (req, res) => {
 });
 
 // POST /api/announcements/:id/register - Register for event
-router.post('/:id/register', authenticateToken, async (req, res) => {
+router.post('/:id/register', authenticateToken, skipAudit, async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id);
     
@@ -531,7 +533,7 @@ router.post('/:id/register', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/announcements/:id/register - Unregister from event
-router.delete('/:id/register', authenticateToken, async (req, res) => {
+router.delete('/:id/register', authenticateToken, skipAudit, async (req, res) => {
   try {
     const announcement = await Announcement.findById(req.params.id);
     
@@ -558,13 +560,13 @@ router.delete('/:id/register', authenticateToken, async (req, res) => {
 });
 
 // POST /api/announcements/:id/pin - Pin/Unpin announcement
-router.post('/:id/pin', authenticateToken, async (req, res) => {
+router.post('/:id/pin', authenticateToken, auditAction('announcement.pin'), async (req, res) => {
   try {
-    // Only admin can pin/unpin
-    if (req.user.role !== 'admin') {
+    // Only announcement pinners can pin/unpin
+    if (!(await hasPermission(req, 'announcements:pin'))) {
       return res.status(403).json({
         success: false,
-        message: 'Only admin can pin announcements'
+        message: 'You are not allowed to pin announcements'
       });
     }
 
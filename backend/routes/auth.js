@@ -1,10 +1,25 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const StudentProfile = require('../models/StudentProfile');
 const StaffProfile = require('../models/StaffProfile');
-const { authenticateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const { authenticateToken, getUserPermissions } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const { isStudentRollNumber, parseRollNumber, getYearOfStudy } = require('../utils/rollNumber');
+const { allocateBlock } = require('../utils/allocation');
+const { findProfile } = require('../utils/profiles');
+const { sendSms, normalizePhone } = require('../utils/sms');
+const ParentProfile = require('../models/ParentProfile');
+const {
+  EMAIL_VERIFICATION_EXPIRE_HOURS,
+  isStaleRegistration,
+  removeRegistration
+} = require('../utils/registrations');
+const QRCode = require('qrcode');
 
 const router = express.Router();
 
@@ -19,31 +34,284 @@ const registerValidation = [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('name').isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('phone').isMobilePhone().withMessage('Valid phone number is required')
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender')
 ];
 
-// Generate JWT tokens
-const generateTokens = (user) => {
+const forgotPasswordValidation = [
+  body('identifier').notEmpty().withMessage('Roll number, Employee ID or email is required')
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+];
+
+const verifyEmailValidation = [
+  body('token').notEmpty().withMessage('Verification token is required')
+];
+
+const otpRequestValidation = [
+  body('phone').isMobilePhone('any').withMessage('Valid phone number is required')
+];
+
+const otpVerifyValidation = [
+  ...otpRequestValidation,
+  body('code').matches(/^\d{6}$/).withMessage('Login code must be 6 digits')
+];
+
+const twoFactorCodeValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('A 6-digit verification code is required')
+];
+
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Hostel Hub';
+const LOGIN_OTP_EXPIRE_MINUTES = parseInt(process.env.LOGIN_OTP_EXPIRE_MINUTES) || 10;
+const LOGIN_OTP_RESEND_SECONDS = parseInt(process.env.LOGIN_OTP_RESEND_SECONDS) || 60;
+const LOGIN_OTP_MAX_ATTEMPTS = 5;
+const EMAIL_VERIFICATION = 'email_verification';
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Generate JWT tokens bound to a session
+// The refresh token carries a jti so each one can be rotated and checked for reuse
+const generateTokens = (user, session) => {
   const payload = {
     userId: user._id,
     identifier: user.identifier,
-    role: user.role
+    role: user.role,
+    sessionId: session._id
   };
 
   const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '24h'
   });
 
+  const tokenId = Session.generateTokenId();
   const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+    jwtid: tokenId
+  });
+
+  const refreshExpiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  return { accessToken, refreshToken, tokenId, refreshExpiresAt };
+};
+
+// Create a persisted session for a fresh login and issue its first token pair
+const startSession = async (user, req, deviceInfo = req.body) => {
+  const { platform, deviceToken } = deviceInfo;
+
+  const session = new Session({
+    user: user._id,
+    platform: ['ios', 'android', 'web'].includes(platform) ? platform : 'unknown',
+    deviceToken: deviceToken || null,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
   });
 
+  const { accessToken, refreshToken, tokenId, refreshExpiresAt } = generateTokens(user, session);
+
+  session.tokenHash = Session.hashToken(tokenId);
+  session.expiresAt = refreshExpiresAt;
+  await session.save();
+
   return { accessToken, refreshToken };
 };
 
+// Short-lived token proving the password step passed, exchanged for a session once the second factor is verified.
+// It carries no sessionId, so authenticateToken never accepts it as an access token.
+const generateChallengeToken = (user, { platform, deviceToken }) => {
+  return jwt.sign({
+    userId: user._id,
+    purpose: TWO_FACTOR_CHALLENGE,
+    platform,
+    deviceToken
+  }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    throw new jwt.JsonWebTokenError('Not a two-factor challenge token');
+  }
+  return decoded;
+};
+
+// Signed link token confirming an address. It names the email it was sent to, so a
+// token mailed before an email change cannot verify the new address.
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign({
+    userId: user._id,
+    email: user.email,
+    purpose: EMAIL_VERIFICATION
+  }, process.env.JWT_SECRET, {
+    expiresIn: `${EMAIL_VERIFICATION_EXPIRE_HOURS}h`
+  });
+};
+
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== EMAIL_VERIFICATION) {
+    throw new jwt.JsonWebTokenError('Not an email verification token');
+  }
+  return decoded;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.CLIENT_URL || 'hostelhub://'}verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Hostel Hub email',
+    text: `Welcome to Hostel Hub, ${user.identifier}.\n\n` +
+      `Confirm this email address to activate your account: ${verifyUrl}\n` +
+      `Or paste this code in the app: ${token}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_EXPIRE_HOURS} hours. If you did not register, ignore this email.`
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+};
+
+// Two-factor enrolment is reachable with a normal access token (optional enrolment from the profile)
+// or with a login challenge token (forced enrolment for roles that require 2FA)
+const authenticateTokenOrChallenge = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken);
+    req.challenge = decoded;
+    req.user = { id: decoded.userId };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Two-factor challenge expired, please login again',
+      code: 'CHALLENGE_INVALID'
+    });
+  }
+};
+
+// Sends a 423/429 response and returns true when the identifier may not attempt to sign in right now
+const rejectIfThrottled = async (identifier, res) => {
+  const throttle = await LoginAttempt.getThrottleState(identifier);
+
+  if (throttle.locked) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    res.status(423).json({
+      error: 'Account temporarily locked due to too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      lockUntil: throttle.lockUntil,
+      retryAfter: throttle.retryAfter
+    });
+    return true;
+  }
+
+  if (throttle.retryAfter > 0) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    res.status(429).json({
+      error: `Too many failed attempts, please wait ${throttle.retryAfter} seconds`,
+      code: 'LOGIN_THROTTLED',
+      retryAfter: throttle.retryAfter
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Record a failed password or verification code and send the matching error response
+const rejectFailedAttempt = async (identifier, user, req, res, { error, code }) => {
+  const { attempt, justLocked, attemptsRemaining } = await LoginAttempt.recordFailure(identifier, req.ip);
+
+  if (justLocked) {
+    if (user) {
+      await notifyAccountLocked(user, attempt, req.ip);
+    }
+
+    return res.status(423).json({
+      error: 'Account temporarily locked due to too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      lockUntil: attempt.lockUntil,
+      retryAfter: Math.ceil((attempt.lockUntil.getTime() - Date.now()) / 1000)
+    });
+  }
+
+  return res.status(401).json({
+    error,
+    code,
+    attemptsRemaining
+  });
+};
+
+// Final step of every login path: record the device, open a session and return user + tokens
+const completeLogin = async (user, req, res, deviceInfo = req.body, extra = {}) => {
+  const { deviceToken, platform } = deviceInfo;
+
+  await LoginAttempt.clear(user.identifier);
+
+  // Update last login and device token
+  user.lastLogin = new Date();
+  
+  if (deviceToken && platform) {
+    // Remove old tokens and add new one
+    user.deviceTokens = user.deviceTokens.filter(dt => dt.token !== deviceToken);
+    user.deviceTokens.push({
+      token: deviceToken,
+      platform: platform,
+      lastUsed: new Date()
+    });
+  }
+  
+  await user.save();
+
+  // Fetch profile data
+  const profile = await findProfile(user);
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await startSession(user, req, deviceInfo);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      identifier: user.identifier,
+      email: user.email,
+      role: user.role,
+      profile: profile
+    },
+    tokens: {
+      accessToken,
+      refreshToken
+    },
+    ...extra
+  });
+};
+
+// Let the account owner know their account was locked; a failed email must not fail the login response
+const notifyAccountLocked = async (user, attempt, ipAddress) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Hostel Hub account temporarily locked',
+      text: `Your Hostel Hub account ${user.identifier} was locked after repeated failed login attempts ` +
+        `(last attempt from ${ipAddress}).\n\n` +
+        `You can try again after ${attempt.lockUntil.toLocaleString()}. ` +
+        `If this wasn't you, reset your password or contact the hostel office.`
+    });
+  } catch (error) {
+    console.error('Lockout notification error:', error);
+  }
+};
+
 // Determine user role from identifier
 const determineRole = (identifier) => {
-  if (identifier.match(/^\d{4}[A-Z]{3}\d{3}$/)) {
+  if (isStudentRollNumber(identifier)) {
     return 'student';
   } else if (identifier.startsWith('EMP')) {
     return 'warden';
@@ -55,24 +323,430 @@ const determineRole = (identifier) => {
   return 'student'; // default
 };
 
-// Extract hostel info from roll number
-const extractHostelInfo = (rollNumber) => {
-  const year = parseInt(rollNumber.substring(0, 4));
-  const branch = rollNumber.substring(4, 7);
-  const rollNum = parseInt(rollNumber.substring(7));
-  
-  // Simple logic for hostel block assignment
-  let hostelBlock;
-  if (rollNum <= 50) hostelBlock = 'A';
-  else if (rollNum <= 100) hostelBlock = 'B';
-  else if (rollNum <= 150) hostelBlock = 'C';
-  else hostelBlock = 'D';
-  
-  return { year, branch, hostelBlock };
+// POST /api/auth/login
+router.post('/login', loginValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { identifier, password, deviceToken, platform } = req.body;
+
+    // Per-identifier throttling, checked before the password is compared
+    if (await rejectIfThrottled(identifier, res)) return;
+
+    // Find user
+    const user = await User.findOne({ 
+      identifier: identifier.toUpperCase(),
+      isActive: true 
+    });
+
+    // Parent accounts have no password of their own and sign in by OTP; they fail like a
+    // wrong password so the response doesn't reveal which identifiers are parents
+    if (!user || user.role === 'parent' || !(await user.comparePassword(password))) {
+      return rejectFailedAttempt(identifier, user, req, res, {
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Only reported after the password matched, so it doesn't reveal which accounts exist
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Second step: verify an existing authenticator, or enrol one if the role requires it
+    if (user.twoFactor?.enabled || user.isTwoFactorRequired()) {
+      return res.json({
+        success: true,
+        message: user.twoFactor?.enabled
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication must be set up for your role',
+        twoFactorRequired: !!user.twoFactor?.enabled,
+        twoFactorSetupRequired: !user.twoFactor?.enabled,
+        challengeToken: generateChallengeToken(user, { platform, deviceToken })
+      });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+// Active parent account registered with this phone number
+const findParentByPhone = async (phone, select) => {
+  const profile = await ParentProfile.findOne({ phone }).select('user');
+  if (!profile) return null;
+
+  const query = User.findOne({ _id: profile.user, role: 'parent', isActive: true });
+  return select ? query.select(select) : query;
 };
 
-// POST /api/auth/login
-router.post('/login', loginValidation, async (req, res) => {
+// POST /api/auth/otp/request - Text a one-time login code to a parent's phone
+router.post('/otp/request', otpRequestValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (await rejectIfThrottled(phone, res)) return;
+
+    // Same response whether or not the number is registered
+    const response = {
+      success: true,
+      message: 'If this number belongs to a parent account, a login code has been sent',
+      expiresInMinutes: LOGIN_OTP_EXPIRE_MINUTES
+    };
+
+    const user = await findParentByPhone(phone);
+    if (!user) {
+      return res.json(response);
+    }
+
+    const lastSent = user.loginOtp?.sentAt ? user.loginOtp.sentAt.getTime() : 0;
+    if (Date.now() - lastSent < LOGIN_OTP_RESEND_SECONDS * 1000) {
+      return res.json(response);
+    }
+
+    const code = user.createLoginOtp(LOGIN_OTP_EXPIRE_MINUTES);
+    await user.save();
+
+    try {
+      await sendSms({
+        to: phone,
+        message: `${code} is your Hostel Hub login code. It expires in ${LOGIN_OTP_EXPIRE_MINUTES} minutes. Do not share it.`
+      });
+    } catch (smsError) {
+      console.error('Login code SMS error:', smsError);
+      user.loginOtp = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        error: 'Failed to send login code',
+        code: 'OTP_SEND_FAILED'
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Login code request error:', error);
+    res.status(500).json({
+      error: 'Failed to send login code',
+      code: 'OTP_REQUEST_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/otp/verify - Sign a parent in with the code from /otp/request
+router.post('/otp/verify', otpVerifyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+    if (await rejectIfThrottled(phone, res)) return;
+
+    const user = await findParentByPhone(phone, '+loginOtp.hash');
+
+    if (!user || !user.verifyLoginOtp(req.body.code)) {
+      if (user && user.loginOtp?.hash) {
+        // Too many wrong guesses burn the code; a new one has to be requested
+        if (user.loginOtp.attempts >= LOGIN_OTP_MAX_ATTEMPTS) {
+          user.loginOtp = undefined;
+        }
+        await user.save();
+      }
+
+      return rejectFailedAttempt(phone, user, req, res, {
+        error: 'Invalid or expired login code',
+        code: 'INVALID_OTP'
+      });
+    }
+
+    await LoginAttempt.clear(phone);
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login code verification error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/login/2fa - Complete a login with a TOTP or recovery code
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Verification code must be 6 digits'),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        error: 'Verification code or recovery code is required',
+        code: 'TWO_FACTOR_CODE_MISSING'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Two-factor challenge expired, please login again',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    const user = await User.findOne({ _id: challenge.userId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Two-factor challenge expired, please login again',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    if (await rejectIfThrottled(user.identifier, res)) return;
+
+    const verified = code
+      ? totp.verifyToken(user.twoFactor.secret, code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      return rejectFailedAttempt(user.identifier, user, req, res, {
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await completeLogin(user, req, res, challenge, {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start TOTP enrolment and return the QR code
+router.post('/2fa/setup', authenticateTokenOrChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.keyUri(user.identifier, TWO_FACTOR_ISSUER, secret);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrolment with a first code and issue recovery codes
+router.post('/2fa/enable', [
+  authenticateTokenOrChallenge,
+  ...twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first',
+        code: 'TWO_FACTOR_SETUP_MISSING'
+      });
+    }
+
+    if (!totp.verifyToken(user.twoFactor.pendingSecret, req.body.code)) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    // Forced enrolment during login finishes the login in the same step
+    if (req.challenge) {
+      return completeLogin(user, req, res, req.challenge, { recoveryCodes });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ENABLE_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable
+router.post('/2fa/disable', [
+  authenticateToken,
+  body('password').notEmpty().withMessage('Password is required'),
+  ...twoFactorCodeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is mandatory for your role',
+        code: 'TWO_FACTOR_REQUIRED_FOR_ROLE'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password)) || !totp.verifyToken(user.twoFactor.secret, req.body.code)) {
+      return res.status(400).json({
+        error: 'Password or verification code is incorrect',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes', [
+  authenticateToken,
+  ...twoFactorCodeValidation
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -82,68 +756,38 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    const { identifier, password, deviceToken, platform } = req.body;
-
-    // Find user
-    const user = await User.findOne({ 
-      identifier: identifier.toUpperCase(),
-      isActive: true 
-    });
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
 
-    if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        code: 'INVALID_CREDENTIALS'
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
       });
     }
 
-    // Update last login and device token
-    user.lastLogin = new Date();
-    
-    if (deviceToken && platform) {
-      // Remove old tokens and add new one
-      user.deviceTokens = user.deviceTokens.filter(dt => dt.token !== deviceToken);
-      user.deviceTokens.push({
-        token: deviceToken,
-        platform: platform,
-        lastUsed: new Date()
+    if (!totp.verifyToken(user.twoFactor.secret, req.body.code)) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
       });
     }
-    
-    await user.save();
-
-    // Fetch profile data
-    let profile = null;
-    if (user.role === 'student') {
-      profile = await StudentProfile.findOne({ user: user._id });
-    } else {
-      profile = await StaffProfile.findOne({ user: user._id });
-    }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
 
     res.json({
       success: true,
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        identifier: user.identifier,
-        email: user.email,
-        role: user.role,
-        profile: profile
-      },
-      tokens: {
-        accessToken,
-        refreshToken
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Recovery codes error:', error);
     res.status(500).json({
-      error: 'Login failed',
-      code: 'LOGIN_ERROR'
+      error: 'Failed to generate recovery codes',
+      code: 'RECOVERY_CODES_ERROR'
     });
   }
 });
@@ -169,6 +813,7 @@ router.post('/register', registerValidation, async (req, res) => {
       year, 
       roomNumber,
       parentPhone,
+      gender,
       designation,
       department 
     } = req.body;
@@ -176,13 +821,15 @@ router.post('/register', registerValidation, async (req, res) => {
     const role = determineRole(identifier);
 
     // Check if user already exists
-    const existingUser = await User.findOne({
+    const existingUsers = await User.find({
       $or: [
         { identifier: identifier.toUpperCase() },
         { email: email.toLowerCase() }
       ]
     });
 
+    const existingUser = existingUsers.find(existing => !isStaleRegistration(existing));
+
     if (existingUser) {
       return res.status(409).json({
         error: 'User already exists',
@@ -191,28 +838,49 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
+    // An expired, never-verified registration for this roll number or email gives way to the new one.
+    // The scheduler purges the rest (see utils/registrations.js).
+    for (const staleUser of existingUsers) {
+      await removeRegistration(staleUser);
+    }
+
+    // Place students before creating anything so a full hostel doesn't leave an orphaned user
+    let allocation = null;
+    if (role === 'student') {
+      allocation = await allocateBlock({ rollNumber: identifier, gender });
+
+      if (!allocation) {
+        return res.status(409).json({
+          error: 'No hostel block has a free bed for this student',
+          code: 'NO_BLOCK_AVAILABLE'
+        });
+      }
+    }
+
     // Create user
     const user = new User({
       identifier: identifier.toUpperCase(),
       email: email.toLowerCase(),
       password,
-      role
+      role,
+      emailVerified: false
     });
 
     await user.save();
 
     // Create profile based on role
     if (role === 'student') {
-      const { branch, hostelBlock } = extractHostelInfo(identifier);
+      const { branch } = parseRollNumber(identifier);
       
       const studentProfile = new StudentProfile({
         user: user._id,
         rollNumber: identifier.toUpperCase(),
         name,
         course: course || branch,
-        year: year || new Date().getFullYear() - parseInt(identifier.substring(0, 4)) + 1,
+        year: year || getYearOfStudy(identifier),
         roomNumber: roomNumber || 'TBD',
-        hostelBlock,
+        hostelBlock: allocation.block.code,
+        gender,
         phone,
         parentPhone
       });
@@ -232,21 +900,27 @@ router.post('/register', registerValidation, async (req, res) => {
       await staffProfile.save();
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    // No session until the email is confirmed; a failed email can be retried with resend-verification
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      verificationEmailSent = false;
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
+      message: verificationEmailSent
+        ? 'Registration successful. Check your email to verify your account before logging in.'
+        : 'Registration successful, but the verification email could not be sent. Request a new one to activate your account.',
+      emailVerificationRequired: true,
+      verificationEmailSent,
       user: {
         id: user._id,
         identifier: user.identifier,
         email: user.email,
         role: user.role
-      },
-      tokens: {
-        accessToken,
-        refreshToken
       }
     });
 
@@ -259,6 +933,119 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// POST /api/auth/verify-email - Confirm the address from the emailed link and activate the account
+router.post('/verify-email', verifyEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.body.token.trim());
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(400).json({
+          error: 'Verification link has expired. Request a new one.',
+          code: 'VERIFICATION_TOKEN_EXPIRED'
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Verification link is invalid',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    const user = await User.findOne({ _id: decoded.userId, isActive: true });
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        error: 'Verification link is invalid',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      code: 'EMAIL_VERIFICATION_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a fresh verification link
+router.post('/resend-verification', forgotPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { identifier } = req.body;
+
+    const user = await User.findOne({
+      $or: [
+        { identifier: identifier.toUpperCase() },
+        { email: identifier.toLowerCase() }
+      ],
+      isActive: true
+    });
+
+    // Same response whether or not the account exists or still needs verifying
+    const response = {
+      success: true,
+      message: 'If an unverified account exists, a new verification link has been sent to the registered email'
+    };
+
+    if (!user || user.emailVerified) {
+      return res.json(response);
+    }
+
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    if (Date.now() - lastSent < EMAIL_VERIFICATION_RESEND_SECONDS * 1000) {
+      return res.json(response);
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      return res.status(500).json({
+        error: 'Failed to send verification email',
+        code: 'VERIFICATION_EMAIL_FAILED'
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      code: 'RESEND_VERIFICATION_ERROR'
+    });
+  }
+});
+
 // POST /api/auth/refresh
 router.post('/refresh', async (req, res) => {
   try {
@@ -272,6 +1059,23 @@ router.post('/refresh', async (req, res) => {
     }
 
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+
+    if (!session || !decoded.jti || session.user.toString() !== decoded.userId) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (session.revokedAt) {
+      return res.status(401).json({
+        error: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     const user = await User.findById(decoded.userId);
 
     if (!user || !user.isActive) {
@@ -281,7 +1085,20 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user);
+    const { accessToken, refreshToken: newRefreshToken, tokenId, refreshExpiresAt } = generateTokens(user, session);
+
+    const rotated = await Session.rotateToken(session._id, decoded.jti, tokenId, refreshExpiresAt);
+
+    // The presented token was already rotated: it has leaked or been replayed, so kill the whole family
+    if (!rotated) {
+      await session.revoke('token_reuse');
+      console.warn(`Refresh token reuse detected for user ${user.identifier}, session ${session._id} revoked`);
+
+      return res.status(401).json({
+        error: 'Refresh token reuse detected, please login again',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
 
     res.json({
       success: true,
@@ -304,6 +1121,11 @@ router.post('/refresh', async (req, res) => {
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
     const { deviceToken } = req.body;
+
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
     
     if (deviceToken) {
       const user = await User.findById(req.user.id);
@@ -325,17 +1147,109 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/auth/logout-all - Revoke every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    const user = await User.findById(req.user.id);
+    user.deviceTokens = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout from all devices failed',
+      code: 'LOGOUT_ALL_ERROR'
+    });
+  }
+});
+
+// GET /api/auth/sessions - List active sessions of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toPublicJSON(req.user.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      code: 'SESSIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Sign out a single session of the current user
+router.delete('/sessions/:id', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Valid session ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await session.revoke('signed_out_remotely');
+
+    // Stop push notifications to the signed-out device
+    if (session.deviceToken) {
+      await User.updateOne(
+        { _id: req.user.id },
+        { $pull: { deviceTokens: { token: session.deviceToken } } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      code: 'SESSION_REVOKE_ERROR'
+    });
+  }
+});
+
 // GET /api/auth/profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
-    
-    let profile = null;
-    if (user.role === 'student') {
-      profile = await StudentProfile.findOne({ user: user._id });
-    } else {
-      profile = await StaffProfile.findOne({ user: user._id });
-    }
+    const profile = await findProfile(user);
 
     res.json({
       success: true,
@@ -345,6 +1259,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
         email: user.email,
         role: user.role,
         lastLogin: user.lastLogin,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        permissions: await getUserPermissions(req),
         profile: profile
       }
     });
@@ -386,6 +1302,9 @@ router.put('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Keep the current session, sign out everywhere else
+    await Session.revokeAllForUser(user._id, 'password_change', req.user.sessionId);
+
     res.json({
       success: true,
       message: 'Password updated successfully'
@@ -400,4 +1319,118 @@ router.put('/change-password', [
   }
 });
 
+// POST /api/auth/forgot-password
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { identifier } = req.body;
+
+    const user = await User.findOne({
+      $or: [
+        { identifier: identifier.toUpperCase() },
+        { email: identifier.toLowerCase() }
+      ],
+      isActive: true
+    });
+
+    // Same response whether or not the account exists, to avoid leaking identifiers
+    const response = {
+      success: true,
+      message: 'If an account exists, a password reset link has been sent to the registered email'
+    };
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    const expiryMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 60;
+    const resetToken = user.createPasswordResetToken(expiryMinutes);
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'hostelhub://'}reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Hostel Hub password reset',
+        text: `A password reset was requested for ${user.identifier}.\n\n` +
+          `Use this code in the app to choose a new password: ${resetToken}\n` +
+          `Or open: ${resetUrl}\n\n` +
+          `The code expires in ${expiryMinutes} minutes. If you did not request this, ignore this email.`
+      });
+    } catch (mailError) {
+      // Still answer generically: an error here would reveal that the account exists
+      console.error('Reset email error:', mailError);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to process password reset request',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByResetToken(token.trim());
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Reset token is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Tokens are single use
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+
+    // The code could only have been read from the account's inbox
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+    }
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
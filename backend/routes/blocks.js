@@ -0,0 +1,433 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Block = require('../models/Block');
+const AllocationRule = require('../models/AllocationRule');
+const User = require('../models/User');
+const StudentProfile = require('../models/StudentProfile');
+const StaffProfile = require('../models/StaffProfile');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { isStudentRollNumber } = require('../utils/rollNumber');
+const { allocateBlock, getOccupancy } = require('../utils/allocation');
+const router = express.Router();
+
+// Validation rules
+const blockValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('hostel').optional().trim().notEmpty().withMessage('Hostel cannot be empty'),
+  body('floors').optional().isInt({ min: 1 }).withMessage('Floors must be at least 1'),
+  body('gender').optional().isIn(['male', 'female', 'mixed']).withMessage('Gender must be male, female or mixed'),
+  body('capacity').optional().isInt({ min: 0 }).withMessage('Capacity must be a positive number'),
+  body('wardens').optional().isArray().withMessage('Wardens must be an array'),
+  body('wardens.*').optional().isMongoId().withMessage('Invalid warden ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  body('curfew').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Curfew must be HH:MM')
+];
+
+const createBlockValidation = [
+  body('code').trim().matches(/^[A-Za-z0-9]{1,10}$/).withMessage('Block code must be 1-10 letters or digits'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('floors').isInt({ min: 1 }).withMessage('Floors must be at least 1'),
+  body('capacity').isInt({ min: 0 }).withMessage('Capacity must be a positive number'),
+  ...blockValidation
+];
+
+const ruleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('block').optional().custom(async (code) => {
+    if (!(await Block.exists({ code: String(code).toUpperCase() }))) throw new Error('Unknown block');
+    return true;
+  }),
+  body('priority').optional().isInt().withMessage('Priority must be a number'),
+  body('conditions.branches').optional().isArray().withMessage('Branches must be an array'),
+  body('conditions.branches.*').optional().matches(/^[A-Za-z]{3}$/).withMessage('Branch codes are 3 letters'),
+  body('conditions.admissionYears').optional().isArray().withMessage('Admission years must be an array'),
+  body('conditions.admissionYears.*').optional().isInt({ min: 1900, max: 2100 }).withMessage('Invalid admission year'),
+  body('conditions.serialFrom').optional({ nullable: true }).isInt({ min: 0 }).withMessage('serialFrom must be a positive number'),
+  body('conditions.serialTo').optional({ nullable: true }).isInt({ min: 0 }).withMessage('serialTo must be a positive number'),
+  body('conditions.gender').optional({ nullable: true }).isIn(['male', 'female']).withMessage('Gender must be male or female'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const createRuleValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('block').notEmpty().withMessage('Block is required'),
+  ...ruleValidation
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Valid ID required')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendModelValidationError = (error, res) => {
+  if (error.name !== 'ValidationError') return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message })),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+};
+
+// Wardens must be existing warden accounts
+const findInvalidWardens = async (wardenIds) => {
+  if (!wardenIds || wardenIds.length === 0) return [];
+
+  const wardens = await User.find({ _id: { $in: wardenIds }, role: { $in: ['warden', 'chief_warden'] } }).select('_id');
+  const validIds = wardens.map(warden => warden._id.toString());
+  return wardenIds.filter(id => !validIds.includes(String(id)));
+};
+
+const serializeBlock = (block, occupancy) => {
+  const occupied = occupancy.get(block.code) || 0;
+  return {
+    ...block.toObject(),
+    occupied,
+    available: Math.max(0, block.capacity - occupied)
+  };
+};
+
+// GET /api/blocks - Configured blocks with occupancy
+router.get('/', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    // Only block managers see blocks that have been switched off
+    const includeInactive = req.query.includeInactive === 'true' && await hasPermission(req, 'blocks:manage');
+
+    const blocks = await Block.find(includeInactive ? {} : { isActive: true })
+      .populate('wardens', 'identifier email')
+      .sort({ hostel: 1, code: 1 });
+
+    const occupancy = await getOccupancy(blocks.map(block => block.code));
+
+    res.json({
+      success: true,
+      data: {
+        blocks: blocks.map(block => serializeBlock(block, occupancy))
+      }
+    });
+
+  } catch (error) {
+    console.error('Blocks fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blocks',
+      code: 'BLOCKS_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/blocks/rules - Allocation rules in evaluation order
+router.get('/rules', requirePermission('blocks:manage'), async (req, res) => {
+  try {
+    const rules = await AllocationRule.find().sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    console.error('Allocation rules fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch allocation rules',
+      code: 'RULES_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/blocks/rules - Add an allocation rule
+router.post('/rules', [requirePermission('blocks:manage'), ...createRuleValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rule = new AllocationRule({
+      name: req.body.name,
+      block: req.body.block,
+      priority: req.body.priority,
+      conditions: req.body.conditions || {},
+      isActive: req.body.isActive
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Allocation rule created',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+
+    console.error('Allocation rule create error:', error);
+    res.status(500).json({
+      error: 'Failed to create allocation rule',
+      code: 'RULE_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/blocks/rules/:id - Edit an allocation rule
+router.put('/rules/:id', [requirePermission('blocks:manage'), ...idValidation, ...ruleValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rule = await AllocationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Allocation rule not found',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    ['name', 'block', 'priority', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    // Conditions are merged so a single condition can be changed on its own
+    Object.entries(req.body.conditions || {}).forEach(([condition, value]) => {
+      rule.set(`conditions.${condition}`, value);
+    });
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Allocation rule updated',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+
+    console.error('Allocation rule update error:', error);
+    res.status(500).json({
+      error: 'Failed to update allocation rule',
+      code: 'RULE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/blocks/rules/:id - Remove an allocation rule
+router.delete('/rules/:id', [requirePermission('blocks:manage'), ...idValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rule = await AllocationRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Allocation rule not found',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Allocation rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Allocation rule delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete allocation rule',
+      code: 'RULE_DELETE_ERROR'
+    });
+  }
+});
+
+// POST /api/blocks/allocate/preview - Which block a roll number would be placed in
+router.post('/allocate/preview', [
+  requirePermission('blocks:manage'),
+  body('rollNumber').custom(value => isStudentRollNumber(String(value).toUpperCase())).withMessage('Valid roll number required'),
+  body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const allocation = await allocateBlock({
+      rollNumber: req.body.rollNumber.toUpperCase(),
+      gender: req.body.gender
+    });
+
+    res.json({
+      success: true,
+      data: {
+        block: allocation ? allocation.block.code : null,
+        rule: allocation?.rule ? { id: allocation.rule._id, name: allocation.rule.name } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Allocation preview error:', error);
+    res.status(500).json({
+      error: 'Failed to preview allocation',
+      code: 'ALLOCATION_PREVIEW_ERROR'
+    });
+  }
+});
+
+// POST /api/blocks - Configure a new block
+router.post('/', [requirePermission('blocks:manage'), ...createBlockValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const code = req.body.code.toUpperCase();
+    if (await Block.exists({ code })) {
+      return res.status(409).json({
+        error: 'A block with this code already exists',
+        code: 'BLOCK_EXISTS'
+      });
+    }
+
+    const invalidWardens = await findInvalidWardens(req.body.wardens);
+    if (invalidWardens.length > 0) {
+      return res.status(400).json({
+        error: 'Wardens must be existing warden accounts',
+        details: invalidWardens,
+        code: 'INVALID_WARDENS'
+      });
+    }
+
+    const block = new Block({
+      code,
+      name: req.body.name,
+      hostel: req.body.hostel,
+      floors: req.body.floors,
+      gender: req.body.gender,
+      capacity: req.body.capacity,
+      wardens: req.body.wardens,
+      curfew: req.body.curfew,
+      isActive: req.body.isActive
+    });
+
+    await block.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Block ${block.code} created`,
+      data: {
+        block: serializeBlock(block, new Map())
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+
+    console.error('Block create error:', error);
+    res.status(500).json({
+      error: 'Failed to create block',
+      code: 'BLOCK_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/blocks/:id - Edit a block. The code is fixed once set since profiles store it.
+router.put('/:id', [requirePermission('blocks:manage'), ...idValidation, ...blockValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const block = await Block.findById(req.params.id);
+    if (!block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        code: 'BLOCK_NOT_FOUND'
+      });
+    }
+
+    const invalidWardens = await findInvalidWardens(req.body.wardens);
+    if (invalidWardens.length > 0) {
+      return res.status(400).json({
+        error: 'Wardens must be existing warden accounts',
+        details: invalidWardens,
+        code: 'INVALID_WARDENS'
+      });
+    }
+
+    ['name', 'hostel', 'floors', 'gender', 'capacity', 'wardens', 'curfew', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) block[field] = req.body[field];
+    });
+
+    await block.save();
+
+    const occupancy = await getOccupancy([block.code]);
+
+    res.json({
+      success: true,
+      message: `Block ${block.code} updated`,
+      data: {
+        block: serializeBlock(block, occupancy)
+      }
+    });
+
+  } catch (error) {
+    if (sendModelValidationError(error, res)) return;
+
+    console.error('Block update error:', error);
+    res.status(500).json({
+      error: 'Failed to update block',
+      code: 'BLOCK_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/blocks/:id - Remove an empty block, its allocation rules and staff assignments
+router.delete('/:id', [requirePermission('blocks:manage'), ...idValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const block = await Block.findById(req.params.id);
+    if (!block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        code: 'BLOCK_NOT_FOUND'
+      });
+    }
+
+    const residents = await StudentProfile.countDocuments({ hostelBlock: block.code, status: { $ne: 'alumni' } });
+    if (residents > 0) {
+      return res.status(409).json({
+        error: `Block ${block.code} still has ${residents} student(s); move them or deactivate the block instead`,
+        code: 'BLOCK_OCCUPIED'
+      });
+    }
+
+    await block.deleteOne();
+    await AllocationRule.deleteMany({ block: block.code });
+    await StaffProfile.updateMany({ hostelBlocks: block.code }, { $pull: { hostelBlocks: block.code } });
+
+    res.json({
+      success: true,
+      message: `Block ${block.code} deleted`
+    });
+
+  } catch (error) {
+    console.error('Block delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete block',
+      code: 'BLOCK_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
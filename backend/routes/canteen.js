@@ -4,7 +4,9 @@ const multer = require('multer');
 const path = require('path');
 const { body, validationResult, query } = require('express-validator');
 const { MenuCategory, MenuItem } = require('../models/Menu');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { keepRequestContext } = require('../middleware/requestContext');
+const { auditAction } = require('../utils/audit');
 
 // Configure multer for menu item images
 const storage = multer.diskStorage({
@@ -111,14 +113,14 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// POST /api/canteen/categories - Create new category (Admin/Canteen owner only)
+// POST /api/canteen/categories - Create new category (canteen:manage_menu)
 router.post('/categories', authenticateToken, categoryValidation, async (req, res) => {
   try {
-    // Only admin and canteen_owner can create categories
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen menu managers can create categories
+    if (!(await hasPermission(req, 'canteen:manage_menu'))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Only administrators and canteen owners can create categories.'
+        message: 'Access denied. You are not allowed to manage canteen categories.'
       });
     }
 
@@ -283,14 +285,14 @@ router.get('/menu/:id', async (req, res) => {
   }
 });
 
-// POST /api/canteen/menu - Create new menu item (Admin/Canteen owner only)
-router.post('/menu', authenticateToken, upload.single('image'), menuItemValidation, async (req, res) => {
+// POST /api/canteen/menu - Create new menu item (canteen:manage_menu)
+router.post('/menu', authenticateToken, auditAction('menu_item.create'), keepRequestContext(upload.single('image')), menuItemValidation, async (req, res) => {
   try {
-    // Only admin and canteen_owner can create menu items
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen menu managers can create menu items
+    if (!(await hasPermission(req, 'canteen:manage_menu'))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Only administrators and canteen owners can create menu items.'
+        message: 'Access denied. You are not allowed to manage canteen menu items.'
       });
     }
 
@@ -354,14 +356,14 @@ router.post('/menu', authenticateToken, upload.single('image'), menuItemValidati
   }
 });
 
-// PUT /api/canteen/menu/:id - Update menu item (Admin/Canteen owner only)
-router.put('/menu/:id', authenticateToken, upload.single('image'), menuItemValidation, async (req, res) => {
+// PUT /api/canteen/menu/:id - Update menu item (canteen:manage_menu)
+router.put('/menu/:id', authenticateToken, auditAction('menu_item.update'), keepRequestContext(upload.single('image')), menuItemValidation, async (req, res) => {
   try {
-    // Only admin and canteen_owner can update menu items
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen menu managers can update menu items
+    if (!(await hasPermission(req, 'canteen:manage_menu'))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Only administrators and canteen owners can update menu items.'
+        message: 'Access denied. You are not allowed to manage canteen menu items.'
       });
     }
 
@@ -431,14 +433,14 @@ router.put('/menu/:id', authenticateToken, upload.single('image'), menuItemValid
   }
 });
 
-// DELETE /api/canteen/menu/:id - Delete menu item (Admin/Canteen owner only)
+// DELETE /api/canteen/menu/:id - Delete menu item (canteen:manage_menu)
 router.delete('/menu/:id', authenticateToken, async (req, res) => {
   try {
-    // Only admin and canteen_owner can delete menu items
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen menu managers can delete menu items
+    if (!(await hasPermission(req, 'canteen:manage_menu'))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Only administrators and canteen owners can delete menu items.'
+        message: 'Access denied. You are not allowed to manage canteen menu items.'
       });
     }
 
@@ -3,7 +3,8 @@ const router = express.Router();
 const { body, validationResult, query } = require('express-validator');
 const { Cart, Order } = require('../models/Order');
 const { MenuItem } = require('../models/Menu');
-const auth = require('../middleware/auth');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { auditAction } = require('../utils/audit');
 
 // Validation rules
 const addToCartValidation = [
@@ -42,7 +43,7 @@ const orderValidation = [
 ];
 
 // GET /api/cart - Get user's cart
-router.get('/', auth, async (req, res) => {
+router.get('/', authenticateToken, async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id })
       .populate({
@@ -72,7 +73,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST /api/cart/add - Add item to cart
-router.post('/add', auth, addToCartValidation, async (req, res) => {
+router.post('/add', authenticateToken, addToCartValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -131,7 +132,7 @@ router.post('/add', auth, addToCartValidation, async (req, res) => {
 });
 
 // PUT /api/cart/update - Update item quantity in cart
-router.put('/update', auth, [
+router.put('/update', authenticateToken, [
   body('menuItemId').isMongoId().withMessage('Valid menu item ID is required'),
   body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer')
 ], async (req, res) => {
@@ -197,7 +198,7 @@ router.put('/update', auth, [
 });
 
 // DELETE /api/cart/remove/:menuItemId - Remove item from cart
-router.delete('/remove/:menuItemId', auth, async (req, res) => {
+router.delete('/remove/:menuItemId', authenticateToken, async (req, res) => {
   try {
     const cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
@@ -233,7 +234,7 @@ router.delete('/remove/:menuItemId', auth, async (req, res) => {
 });
 
 // DELETE /api/cart/clear - Clear entire cart
-router.delete('/clear', auth, async (req, res) => {
+router.delete('/clear', authenticateToken, async (req, res) => {
   try {
     const cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
@@ -260,7 +261,7 @@ router.delete('/clear', auth, async (req, res) => {
 });
 
 // POST /api/orders - Place new order
-router.post('/', auth, orderValidation, async (req, res) => {
+router.post('/', authenticateToken, orderValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -358,7 +359,7 @@ router.post('/', auth, orderValidation, async (req, res) => {
 });
 
 // GET /api/orders - Get user's orders
-router.get('/', auth, [
+router.get('/', authenticateToken, [
   query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
@@ -410,7 +411,7 @@ router.get('/', auth, [
 });
 
 // GET /api/orders/:id - Get single order
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate([
@@ -428,8 +429,8 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user has access to this order
-    if (order.user._id.toString() !== req.user._id.toString() && 
-        !['admin', 'canteen_owner'].includes(req.user.role)) {
+    if (!order.user._id.equals(req.user.id) && 
+        !(await hasPermission(req, 'canteen:manage_orders'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -449,8 +450,8 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// PUT /api/orders/:id/status - Update order status (Admin/Canteen owner only)
-router.put('/:id/status', auth, [
+// PUT /api/orders/:id/status - Update order status (canteen:manage_orders)
+router.put('/:id/status', authenticateToken, auditAction('order.status_update'), [
   body('status')
     .isIn(['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'])
     .withMessage('Invalid status'),
@@ -460,8 +461,8 @@ router.put('/:id/status', auth, [
     .withMessage('Notes must be less than 500 characters')
 ], async (req, res) => {
   try {
-    // Only admin and canteen_owner can update order status
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen order managers can update order status
+    if (!(await hasPermission(req, 'canteen:manage_orders'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -505,7 +506,7 @@ router.put('/:id/status', auth, [
 });
 
 // POST /api/orders/:id/cancel - Cancel order
-router.post('/:id/cancel', auth, [
+router.post('/:id/cancel', authenticateToken, auditAction('order.cancel'), [
   body('reason')
     .notEmpty()
     .withMessage('Cancellation reason is required')
@@ -526,9 +527,9 @@ router.post('/:id/cancel', auth, [
       });
     }
 
-    // Check if user owns the order or is admin/canteen_owner
-    if (order.user.toString() !== req.user._id.toString() && 
-        !['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Check if user owns the order or manages canteen orders
+    if (!order.user.equals(req.user.id) && 
+        !(await hasPermission(req, 'canteen:manage_orders'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -552,7 +553,7 @@ router.post('/:id/cancel', auth, [
 });
 
 // POST /api/orders/:id/rate - Rate order
-router.post('/:id/rate', auth, [
+router.post('/:id/rate', authenticateToken, [
   body('food').isFloat({ min: 1, max: 5 }).withMessage('Food rating must be between 1 and 5'),
   body('delivery').isFloat({ min: 1, max: 5 }).withMessage('Delivery rating must be between 1 and 5'),
   body('overall').isFloat({ min: 1, max: 5 }).withMessage('Overall rating must be between 1 and 5'),
@@ -596,15 +597,15 @@ router.post('/:id/rate', auth, [
   }
 });
 
-// GET /api/orders/stats - Get order statistics (Admin/Canteen owner only)
-router.get('/stats', auth, [
+// GET /api/orders/stats - Get order statistics (canteen:stats)
+router.get('/stats', authenticateToken, [
   query('dateFrom').optional().isISO8601(),
   query('dateTo').optional().isISO8601(),
   query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'])
 ], async (req, res) => {
   try {
-    // Only admin and canteen_owner can view stats
-    if (!['admin', 'canteen_owner'].includes(req.user.role)) {
+    // Only canteen staff can view stats
+    if (!(await hasPermission(req, 'canteen:stats'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
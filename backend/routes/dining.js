@@ -2,7 +2,7 @@ const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const MessMenu = require('../models/MessMenu');
 const MealRating = require('../models/MealRating');
-const { requireStudent, requireWarden, requireAdmin, authenticateToken } = require('../middleware/auth');
+const { requirePermission, authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -141,7 +141,7 @@ router.get('/menu/week/:startDate', [
 
 // POST /api/dining/rating - Rate a meal
 router.post('/rating', [
-  requireStudent,
+  requirePermission('dining:rate'),
   body('menuId').notEmpty().withMessage('Menu ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('taste').optional().isInt({ min: 1, max: 5 }),
@@ -281,9 +281,9 @@ router.get('/rating/:menuId', [
   }
 });
 
-// POST /api/dining/menu - Create menu (Warden/Admin only)
+// POST /api/dining/menu - Create menu (dining:manage_menu)
 router.post('/menu', [
-  requireWarden,
+  requirePermission('dining:manage_menu'),
   body('date').isISO8601().withMessage('Valid date is required'),
   body('mealType').isIn(['breakfast', 'lunch', 'dinner']).withMessage('Invalid meal type'),
   body('items').isArray().withMessage('Items must be an array'),
@@ -329,9 +329,9 @@ router.post('/menu', [
   }
 });
 
-// PUT /api/dining/menu/:id - Update menu (Warden/Admin only)
+// PUT /api/dining/menu/:id - Update menu (dining:manage_menu)
 router.put('/menu/:id', [
-  requireWarden,
+  requirePermission('dining:manage_menu'),
   param('id').notEmpty().withMessage('Menu ID is required')
 ], async (req, res) => {
   try {
@@ -487,8 +487,8 @@ router.get('/stats/student', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/dining/stats - Get dining statistics (Admin only)
-router.get('/stats', requireAdmin, async (req, res) => {
+// GET /api/dining/stats - Get dining statistics (dining:stats)
+router.get('/stats', requirePermission('dining:stats'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const LateEntry = require('../models/LateEntry');
+const StudentProfile = require('../models/StudentProfile');
+const Block = require('../models/Block');
+const { requirePermission, getBlockScopeFilter, NO_BLOCK } = require('../middleware/auth');
+const { auditAction } = require('../utils/audit');
+const {
+  LATE_ENTRY_WINDOW_DAYS,
+  LATE_ENTRY_THRESHOLDS,
+  getCurfew,
+  getMinutesLate,
+  windowStart,
+  findOverdueReturn,
+  countRecentLateEntries,
+  notifyRepeatOffender
+} = require('../utils/lateEntries');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Block of the student named by req.body.rollNumber, for block-scoped permissions
+const studentBlock = async (req) => {
+  if (typeof req.body.rollNumber !== 'string') return null;
+
+  const profile = await StudentProfile.findOne({ rollNumber: req.body.rollNumber.trim().toUpperCase() }).select('hostelBlock');
+  if (!profile) return null;
+  return profile.hostelBlock || NO_BLOCK;
+};
+
+// Students' names, roll numbers and rooms keyed by user id
+const getStudentsByUser = async (userIds) => {
+  const profiles = await StudentProfile.find({ user: { $in: userIds } })
+    .select('user name rollNumber hostelBlock roomNumber');
+  return new Map(profiles.map(profile => [profile.user.toString(), profile]));
+};
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// POST /api/late-entries - Log a student coming in after curfew
+router.post('/', [
+  requirePermission('late_entry:record', studentBlock),
+  auditAction('late_entry.record'),
+  body('rollNumber').isString().trim().notEmpty().withMessage('Roll number is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('enteredAt').optional().isISO8601().withMessage('Entry time must be a date'),
+  body('location').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const profile = await StudentProfile.findOne({ rollNumber: req.body.rollNumber.toUpperCase() })
+      .select('user name rollNumber roomNumber hostelBlock');
+    if (!profile) {
+      return res.status(404).json({
+        error: 'No student with this roll number',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+
+    const enteredAt = req.body.enteredAt ? new Date(req.body.enteredAt) : new Date();
+    if (enteredAt > new Date()) {
+      return res.status(400).json({
+        error: 'Entry time cannot be in the future',
+        code: 'ENTRY_IN_FUTURE'
+      });
+    }
+
+    const block = profile.hostelBlock ? await Block.findOne({ code: profile.hostelBlock }).select('curfew') : null;
+    const curfew = getCurfew(block);
+    const minutesLate = getMinutesLate(enteredAt, curfew);
+    if (minutesLate === null) {
+      return res.status(400).json({
+        error: `${enteredAt.toLocaleTimeString()} is outside curfew hours (curfew ${curfew})`,
+        code: 'NOT_AFTER_CURFEW',
+        curfew
+      });
+    }
+
+    const outpass = await findOverdueReturn(profile.user, enteredAt);
+    const entry = new LateEntry({
+      student: profile.user,
+      hostelBlock: profile.hostelBlock,
+      enteredAt,
+      curfew,
+      minutesLate,
+      reason: req.body.reason,
+      location: req.body.location,
+      outpass: outpass ? outpass._id : null,
+      recordedBy: req.user.id,
+      offenceCount: await countRecentLateEntries(profile.user, enteredAt) + 1
+    });
+
+    // Each threshold is reported once, by the entry that reaches it
+    if (LATE_ENTRY_THRESHOLDS.includes(entry.offenceCount) && await notifyRepeatOffender(entry, profile) > 0) {
+      entry.wardenNotifiedAt = new Date();
+    }
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Late entry recorded (${minutesLate} minutes after curfew)`,
+      data: {
+        ...entry.toObject(),
+        student: profile,
+        repeatOffender: entry.offenceCount >= LATE_ENTRY_THRESHOLDS[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Late entry record error:', error);
+    res.status(500).json({
+      error: 'Failed to record late entry',
+      code: 'LATE_ENTRY_RECORD_ERROR'
+    });
+  }
+});
+
+// GET /api/late-entries - Late entries in the user's blocks, most recent first
+router.get('/', [
+  requirePermission('late_entry:view'),
+  query('block').optional().isString().trim(),
+  query('rollNumber').optional().isString().trim(),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  ...paginationValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = await getBlockScopeFilter(req);
+    if (req.query.block) {
+      const block = req.query.block.toUpperCase();
+      filter.hostelBlock = filter.hostelBlock ? { $in: filter.hostelBlock.$in.filter(code => code === block) } : block;
+    }
+    if (req.query.rollNumber) {
+      const profile = await StudentProfile.findOne({ rollNumber: req.query.rollNumber.toUpperCase() }).select('user');
+      filter.student = profile ? profile.user : null;
+    }
+    if (req.query.from || req.query.to) {
+      filter.enteredAt = {};
+      if (req.query.from) filter.enteredAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.enteredAt.$lte = new Date(req.query.to);
+    }
+
+    const [entries, total] = await Promise.all([
+      LateEntry.find(filter)
+        .populate('recordedBy', 'identifier')
+        .populate('outpass', 'type status inDate inTime actualInTime')
+        .sort({ enteredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LateEntry.countDocuments(filter)
+    ]);
+
+    const students = await getStudentsByUser(entries.map(entry => entry.student));
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          ...entry.toObject(),
+          student: students.get(entry.student.toString()) || entry.student
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Late entry list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch late entries',
+      code: 'LATE_ENTRY_LIST_ERROR'
+    });
+  }
+});
+
+// GET /api/late-entries/offenders - Students of the user's blocks at or over a repeat-offender
+// threshold (default the lowest) within the counting window, most late entries first
+router.get('/offenders', [
+  requirePermission('late_entry:view'),
+  query('min').optional().isInt({ min: 1 }).withMessage('Minimum must be a positive number')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const min = parseInt(req.query.min) || LATE_ENTRY_THRESHOLDS[0] || 1;
+    const offenders = await LateEntry.aggregate([
+      { $match: { ...await getBlockScopeFilter(req), enteredAt: { $gte: windowStart(new Date()) } } },
+      {
+        $group: {
+          _id: '$student',
+          count: { $sum: 1 },
+          totalMinutesLate: { $sum: '$minutesLate' },
+          lastEnteredAt: { $max: '$enteredAt' }
+        }
+      },
+      { $match: { count: { $gte: min } } },
+      { $sort: { count: -1, lastEnteredAt: -1 } }
+    ]);
+
+    const students = await getStudentsByUser(offenders.map(offender => offender._id));
+
+    res.json({
+      success: true,
+      data: {
+        windowDays: LATE_ENTRY_WINDOW_DAYS,
+        thresholds: LATE_ENTRY_THRESHOLDS,
+        offenders: offenders.map(({ _id, ...offender }) => ({
+          ...offender,
+          student: students.get(_id.toString()) || _id
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Late entry offenders error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch repeat offenders',
+      code: 'LATE_ENTRY_OFFENDERS_ERROR'
+    });
+  }
+});
+
+// GET /api/late-entries/mine - The student's own late entries and where they stand
+router.get('/mine', [
+  requirePermission('late_entry:view_own'),
+  ...paginationValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { student: req.user.id };
+
+    const [entries, total, recent] = await Promise.all([
+      LateEntry.find(filter)
+        .select('-recordedBy -wardenNotifiedAt')
+        .populate('outpass', 'type status inDate inTime actualInTime')
+        .sort({ enteredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LateEntry.countDocuments(filter),
+      countRecentLateEntries(req.user.id, new Date())
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        recent: {
+          count: recent,
+          windowDays: LATE_ENTRY_WINDOW_DAYS,
+          nextThreshold: LATE_ENTRY_THRESHOLDS.find(threshold => threshold > recent) || null
+        },
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Own late entries error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch late entries',
+      code: 'LATE_ENTRY_LIST_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,32 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+const mongoose = require('mongoose');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
-const { authenticateToken, requireStudent, requireStaff, requireWarden } = require('../middleware/auth');
+const StudentProfile = require('../models/StudentProfile');
+const {
+  authenticateToken,
+  requirePermission,
+  hasPermission,
+  hasPermissionForBlock,
+  getBlockScopeFilter,
+  getStudentBlock
+} = require('../middleware/auth');
+const { keepRequestContext } = require('../middleware/requestContext');
+const { auditAction } = require('../utils/audit');
 
 const router = express.Router();
 
+// Hostel block of the request in req.params.id, for block-scoped permissions
+const maintenanceBlock = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const request = await MaintenanceRequest.findById(req.params.id).select('hostelBlock requestedBy');
+  if (!request) return null;
+
+  return request.hostelBlock || getStudentBlock(request.requestedBy);
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -46,8 +67,8 @@ const upload = multer({
 // POST /api/maintenance/request - Create maintenance request (Students only)
 router.post('/request', [
   authenticateToken,
-  requireStudent,
-  upload.array('photos', 5),
+  requirePermission('maintenance:create'),
+  keepRequestContext(upload.array('photos', 5)),
   body('title').notEmpty().withMessage('Title is required').isLength({ max: 200 }),
   body('description').notEmpty().withMessage('Description is required').isLength({ max: 1000 }),
   body('category').isIn(['electrical', 'plumbing', 'furniture', 'internet', 'ac_heating', 'lighting', 'door_window', 'cleaning', 'security', 'other']),
@@ -86,6 +107,8 @@ router.post('/request', [
       size: file.size
     })) : [];
 
+    const profile = await StudentProfile.findOne({ user: req.user.id }).select('hostelBlock');
+
     const maintenanceRequest = new MaintenanceRequest({
       title,
       description,
@@ -101,7 +124,8 @@ router.post('/request', [
       contactNumber,
       preferredTimeSlot,
       isEmergency,
-      requestedBy: req.user.id
+      requestedBy: req.user.id,
+      hostelBlock: profile ? profile.hostelBlock : null
     });
 
     await maintenanceRequest.save();
@@ -138,22 +162,20 @@ router.get('/requests', authenticateToken, async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter based on user role
+    // Build filter based on permissions
     let filter = {};
     
+    // Wardens and admins see requests from their blocks
+    if (await hasPermission(req, 'maintenance:view')) {
+      filter = await getBlockScopeFilter(req);
+    }
     // Students can only see their own requests
-    if (req.user.role === 'student') {
+    else if (await hasPermission(req, 'maintenance:create')) {
       filter.requestedBy = req.user.id;
     }
-    // Staff can see assigned requests or all if admin/warden
-    else if (req.user.role === 'warden' || req.user.role === 'admin') {
-      // Wardens and admins can see all requests
-    } else if (req.user.role === 'maintenance_staff') {
-      // Maintenance staff see assigned requests and unassigned ones
-      filter.$or = [
-        { assignedTo: req.user.id },
-        { assignedTo: null }
-      ];
+    // Other staff see the requests assigned to them
+    else {
+      filter.assignedTo = req.user.id;
     }
 
     // Apply additional filters
@@ -218,8 +240,12 @@ router.get('/request/:id', [
       });
     }
 
-    // Check permissions - students can only view their own requests
-    if (req.user.role === 'student' && request.requestedBy._id.toString() !== req.user.id) {
+    // Check permissions - students can only view their own requests, staff those in their blocks
+    const isOwner = request.requestedBy._id.equals(req.user.id);
+    const isAssignee = request.assignedTo && request.assignedTo._id.equals(req.user.id);
+    const block = request.hostelBlock || await getStudentBlock(request.requestedBy._id);
+
+    if (!isOwner && !isAssignee && !(await hasPermissionForBlock(req, 'maintenance:view', block))) {
       return res.status(403).json({
         error: 'Access denied'
       });
@@ -240,10 +266,11 @@ router.get('/request/:id', [
   }
 });
 
-// PUT /api/maintenance/request/:id/status - Update request status (Staff only)
+// PUT /api/maintenance/request/:id/status - Update request status (maintenance:update for the block)
 router.put('/request/:id/status', [
   authenticateToken,
-  requireStaff,
+  requirePermission('maintenance:update', maintenanceBlock),
+  auditAction('maintenance.status_update'),
   param('id').isMongoId().withMessage('Valid request ID required'),
   body('status').isIn(['acknowledged', 'in_progress', 'waiting_parts', 'completed', 'cancelled', 'rejected']),
   body('notes').optional().isLength({ max: 500 })
@@ -299,10 +326,11 @@ router.put('/request/:id/status', [
   }
 });
 
-// PUT /api/maintenance/request/:id/assign - Assign request to staff (Warden/Admin only)
+// PUT /api/maintenance/request/:id/assign - Assign request to staff (maintenance:assign for the block)
 router.put('/request/:id/assign', [
   authenticateToken,
-  requireWarden,
+  requirePermission('maintenance:assign', maintenanceBlock),
+  auditAction('maintenance.assign'),
   param('id').isMongoId().withMessage('Valid request ID required'),
   body('assignedTo').isMongoId().withMessage('Valid staff ID required'),
   body('expectedCompletionDate').optional().isISO8601()
@@ -359,7 +387,7 @@ router.put('/request/:id/assign', [
 // POST /api/maintenance/request/:id/rating - Rate completed request (Students only)
 router.post('/request/:id/rating', [
   authenticateToken,
-  requireStudent,
+  requirePermission('maintenance:create'),
   param('id').isMongoId().withMessage('Valid request ID required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('feedback').optional().isLength({ max: 500 })
@@ -384,7 +412,7 @@ router.post('/request/:id/rating', [
     }
 
     // Check if request belongs to the student
-    if (request.requestedBy.toString() !== req.user.id) {
+    if (!request.requestedBy.equals(req.user.id)) {
       return res.status(403).json({
         error: 'Access denied'
       });
@@ -418,8 +446,8 @@ router.post('/request/:id/rating', [
   }
 });
 
-// GET /api/maintenance/stats - Get maintenance statistics (Staff/Admin only)
-router.get('/stats', requireStaff, async (req, res) => {
+// GET /api/maintenance/stats - Get maintenance statistics for the user's blocks
+router.get('/stats', requirePermission('maintenance:stats'), async (req, res) => {
   try {
     const { period = 'month', building, category } = req.query;
 
@@ -435,7 +463,7 @@ router.get('/stats', requireStaff, async (req, res) => {
       startDate = new Date(now.getFullYear(), 0, 1);
     }
 
-    const filter = {};
+    const filter = await getBlockScopeFilter(req);
     if (startDate) filter.createdAt = { $gte: startDate };
     if (building) filter['location.building'] = building;
     if (category) filter.category = category;
@@ -490,7 +518,7 @@ router.get('/stats', requireStaff, async (req, res) => {
 // DELETE /api/maintenance/request/:id - Cancel maintenance request (Student only, pending requests)
 router.delete('/request/:id', [
   authenticateToken,
-  requireStudent,
+  requirePermission('maintenance:create'),
   param('id').isMongoId().withMessage('Valid request ID required')
 ], async (req, res) => {
   try {
@@ -504,7 +532,7 @@ router.delete('/request/:id', [
     }
 
     // Check ownership
-    if (request.requestedBy.toString() !== req.user.id) {
+    if (!request.requestedBy.equals(req.user.id)) {
       return res.status(403).json({
         error: 'Access denied'
       });
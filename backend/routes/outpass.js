@@ -1,14 +1,227 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+const mongoose = require('mongoose');
 const OutpassRequest = require('../models/OutpassRequest');
-const { authenticateToken, requireStudent, requireWarden } = require('../middleware/auth');
+const StudentProfile = require('../models/StudentProfile');
+const ParentProfile = require('../models/ParentProfile');
+const { auditAction, setAuditAction } = require('../utils/audit');
+const { findLinkedParents, notifyParents } = require('../utils/parentConsent');
+const {
+  signGatePass,
+  verifyGatePass,
+  getPublicKey,
+  getCheckOutError,
+  getCheckInError
+} = require('../utils/gatePass');
+const { RECURRING_PATTERNS, buildOccurrences } = require('../utils/recurrence');
+const {
+  OUTPASS_TYPES,
+  DOCUMENT_TYPES,
+  APPROVAL_STEPS,
+  APPROVAL_STEP_LABELS,
+  DEFAULT_OUTPASS_POLICIES,
+  POLICY_FIELDS,
+  buildApprovalSteps
+} = require('../utils/outpassPolicy');
+const { checkOutpassPolicy, checkExtension } = require('../utils/outpassChecks');
+const { linkLateEntries } = require('../utils/lateEntries');
+const { BUCKET_FORMATS, buildOutpassAnalytics } = require('../utils/outpassAnalytics');
+const { toCsv } = require('../utils/roster');
+const OutpassPolicy = require('../models/OutpassPolicy');
+const QRCode = require('qrcode');
+const {
+  authenticateToken,
+  requirePermission,
+  hasPermission,
+  hasPermissionForBlock,
+  getBlockScopeFilter,
+  getStudentBlock
+} = require('../middleware/auth');
+const { keepRequestContext } = require('../middleware/requestContext');
 
 const router = express.Router();
 
+const gateValidation = [
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  body('location').trim().notEmpty().withMessage('Gate location is required').isLength({ max: 50 }),
+  body('notes').optional().isLength({ max: 300 })
+];
+
+const recordCheckOut = (request, req) =>
+  request.updateStatus('checked_out', req.user.id, req.body.notes || 'Checked out at gate', req.body.location);
+
+// Returns the outpass with how late the student came back
+const recordCheckIn = async (request, req) => {
+  await request.updateStatus('returned', req.user.id, req.body.notes || 'Checked in at gate', req.body.location);
+
+  // Late entries logged before an overdue student's check-in point to this outpass
+  if (request.overdue && request.overdue.markedAt) {
+    await linkLateEntries(request);
+  }
+
+  const minutesLate = Math.floor((request.actualInTime - request.getScheduledReturn()) / (60 * 1000));
+  return {
+    ...request.toObject(),
+    minutesLate: Math.max(minutesLate, 0)
+  };
+};
+
+// Sign a gate pass for an approved request; replaces (and so invalidates) any earlier pass
+const issueGatePass = async (request) => {
+  const profile = await StudentProfile.findOne({ user: request.requestedBy }).select('rollNumber');
+  const { token, keyId, issuedAt } = signGatePass(request, profile ? profile.rollNumber : null);
+  return { token, keyId, issuedAt };
+};
+
+// Approval steps the reviewer can sign off in a block. Holding outpass:review (checked by
+// the review route) makes them a block warden.
+const getReviewerSteps = async (req, block) => {
+  const steps = ['block_warden'];
+  if (await hasPermissionForBlock(req, 'outpass:approve_final', block)) steps.push('chief_warden');
+  return steps;
+};
+
+// Pending steps of an approval chain the reviewer can decide: for an approval, the current
+// step and any straight after it they also hold; for a rejection, their first pending step
+const getDecidableSteps = (request, status, reviewerSteps) => {
+  const pending = request.approvalSteps.filter(each => each.status === 'pending').map(each => each.step);
+
+  if (status === 'rejected') {
+    const step = pending.find(each => reviewerSteps.includes(each));
+    return step ? [step] : [];
+  }
+
+  const steps = [];
+  for (const step of pending) {
+    if (!reviewerSteps.includes(step)) break;
+    steps.push(step);
+  }
+  return steps;
+};
+
+// Requests in the reviewer's blocks waiting on a step they sign off, and those steps
+const getAwaitingReviewFilter = async (req) => {
+  const steps = ['block_warden'];
+  if (await hasPermission(req, 'outpass:approve_final')) steps.push('chief_warden');
+
+  return {
+    steps,
+    filter: {
+      ...(await getBlockScopeFilter(req)),
+      status: { $in: ['pending', 'under_review'] },
+      $or: [
+        { currentApprovalStep: { $in: steps } },
+        // Requests from before approval chains, once any parent consent is in
+        { currentApprovalStep: null, 'parentApproval.status': { $ne: 'pending' } }
+      ]
+    }
+  };
+};
+
+// Why a request can't be given this review decision, or null when it can
+const getReviewError = (request, status, reviewerSteps) => {
+  // Can only review pending or under_review requests
+  if (!['pending', 'under_review'].includes(request.status)) {
+    return {
+      httpStatus: 400,
+      error: 'Can only review pending or under review requests',
+      code: 'OUTPASS_NOT_REVIEWABLE'
+    };
+  }
+
+  // A pending extension of an approved pass is decided on its own
+  if (request.amendment?.status === 'pending') {
+    return reviewerSteps.includes(request.amendment.step) ? null : {
+      httpStatus: 409,
+      error: `Waiting for ${APPROVAL_STEP_LABELS[request.amendment.step].toLowerCase()} approval`,
+      code: 'AWAITING_OTHER_APPROVER'
+    };
+  }
+
+  // Requests needing parent consent can be rejected at any time, but only approved once the parent agreed
+  if (status === 'approved' && request.parentApproval?.required && request.parentApproval.status !== 'approved') {
+    const declined = request.parentApproval.status === 'declined';
+    return {
+      httpStatus: 409,
+      error: declined ? 'The parent has declined this outpass' : 'Waiting for parent consent',
+      code: declined ? 'PARENT_CONSENT_DECLINED' : 'PARENT_CONSENT_PENDING'
+    };
+  }
+
+  const missingDocuments = request.getMissingDocuments();
+  if (status === 'approved' && missingDocuments.length > 0) {
+    return {
+      httpStatus: 409,
+      error: `Missing required documents: ${missingDocuments.join(', ').replace(/_/g, ' ')}`,
+      code: 'REQUIRED_DOCUMENTS_MISSING'
+    };
+  }
+
+  if (request.approvalSteps.length > 0 && getDecidableSteps(request, status, reviewerSteps).length === 0) {
+    const current = request.getCurrentStep();
+    return {
+      httpStatus: 409,
+      error: `Waiting for ${APPROVAL_STEP_LABELS[current.step].toLowerCase()} approval`,
+      code: 'AWAITING_OTHER_APPROVER'
+    };
+  }
+
+  return null;
+};
+
+const reviewOutpass = async (request, status, reviewerId, reviewNotes, reviewerSteps) => {
+  if (request.amendment?.status === 'pending') {
+    await request.recordAmendmentDecision(status, reviewerId, reviewNotes);
+    // The pass carries the return time, so an extended pass is signed again
+    if (status === 'approved') {
+      request.gatePass = await issueGatePass(request);
+      await request.save();
+    }
+    return request;
+  }
+
+  // Requests from before approval chains are decided in one step
+  if (request.approvalSteps.length === 0) {
+    if (status === 'approved') {
+      request.gatePass = await issueGatePass(request);
+    }
+
+    // Update status using the model method
+    return request.updateStatus(status, reviewerId, reviewNotes);
+  }
+
+  for (const step of getDecidableSteps(request, status, reviewerSteps)) {
+    await request.recordStepDecision(step, status, reviewerId, reviewNotes);
+  }
+
+  if (request.status === 'approved') {
+    request.gatePass = await issueGatePass(request);
+    await request.save();
+  }
+  return request;
+};
+
+// Students' names, roll numbers and rooms keyed by user id, for gate screens
+const getStudentsByUser = async (userIds) => {
+  const profiles = await StudentProfile.find({ user: { $in: userIds } })
+    .select('user name rollNumber phone hostelBlock roomNumber profileImage');
+  return new Map(profiles.map(profile => [profile.user.toString(), profile]));
+};
+
+// Hostel block of the outpass in req.params.id, for block-scoped permissions
+const outpassBlock = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const request = await OutpassRequest.findById(req.params.id).select('hostelBlock requestedBy');
+  if (!request) return null;
+
+  return request.hostelBlock || getStudentBlock(request.requestedBy);
+};
+
 // Configure multer for document uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -38,18 +251,59 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only JPEG, PNG, and PDF files are allowed'));
+      const error = new Error('Only JPEG, PNG, and PDF files are allowed');
+      error.statusCode = 400;
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error);
     }
   }
 });
 
+// Most documents one outpass can carry
+const MAX_OUTPASS_DOCUMENTS = 5;
+
+// documentTypes names each uploaded file's type, in upload order; one type may be sent as a plain string
+const documentTypesValidation = body('documentTypes').optional()
+  .custom(types => [].concat(types).every(type => DOCUMENT_TYPES.includes(type)))
+  .withMessage(`Document types must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+
+const toSupportingDocuments = (files, documentTypes) => {
+  const types = [].concat(documentTypes || []);
+  return (files || []).map((file, index) => ({
+    type: types[index] || 'other',
+    filename: file.filename,
+    originalName: file.originalname,
+    path: file.path,
+    mimeType: file.mimetype,
+    size: file.size
+  }));
+};
+
+// Delete uploaded files from disk; a file that's already gone is fine
+const removeFiles = (files) => Promise.all((files || []).map(file =>
+  fs.promises.unlink(file.path).catch(error => {
+    if (error.code !== 'ENOENT') console.error('Outpass document removal error:', error);
+  })
+));
+
+// Keep medicalCertificate pointing at the latest uploaded certificate
+const syncMedicalCertificate = (request) => {
+  const certificate = [...request.supportingDocuments].reverse().find(doc => doc.type === 'medical_certificate');
+  request.medicalCertificate = certificate ? {
+    filename: certificate.filename,
+    originalName: certificate.originalName,
+    path: certificate.path,
+    uploadedAt: certificate.uploadedAt
+  } : undefined;
+};
+
 // POST /api/outpass/request - Create outpass request (Students only)
 router.post('/request', [
   authenticateToken,
-  requireStudent,
-  upload.array('documents', 3),
+  requirePermission('outpass:create'),
+  keepRequestContext(upload.array('documents', 3)),
   body('reason').notEmpty().withMessage('Reason is required').isLength({ max: 500 }),
-  body('type').isIn(['home_visit', 'medical', 'academic', 'personal', 'family_event', 'emergency', 'other']),
+  body('type').isIn(OUTPASS_TYPES),
   body('outDate').isISO8601().withMessage('Valid out date required'),
   body('outTime').notEmpty().withMessage('Out time is required'),
   body('inDate').isISO8601().withMessage('Valid in date required'),
@@ -62,11 +316,20 @@ router.post('/request', [
   body('emergencyContact.relationship').notEmpty().withMessage('Emergency contact relationship is required'),
   body('emergencyContact.phoneNumber').isMobilePhone().withMessage('Valid emergency contact number required'),
   body('transportMode').isIn(['bus', 'train', 'flight', 'private_vehicle', 'taxi', 'other']),
-  body('rulesAcknowledged').isBoolean().withMessage('Rules acknowledgment required')
+  body('rulesAcknowledged').isBoolean().withMessage('Rules acknowledgment required'),
+  documentTypesValidation,
+  body('isRecurring').optional().isBoolean(),
+  body('recurringPattern').if(body('isRecurring').isIn([true, 'true'])).isIn(RECURRING_PATTERNS).withMessage('Recurring pattern must be daily, weekly or monthly'),
+  body('recurringUntil').if(body('isRecurring').isIn([true, 'true'])).isISO8601().withMessage('Valid recurrence end date required')
 ], async (req, res) => {
+  // Uploads are on disk before the request is checked; every exit before an outpass
+  // referencing them is saved removes them
+  let saved = false;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeFiles(req.files);
       return res.status(400).json({
         error: 'Validation failed',
         details: errors.array()
@@ -85,42 +348,69 @@ router.post('/request', [
       emergencyContact,
       transportMode,
       vehicleDetails,
-      parentApproval,
       isEmergency = false,
       specialInstructions,
-      rulesAcknowledged
+      rulesAcknowledged,
+      recurringPattern,
+      recurringUntil
     } = req.body;
+    const isRecurring = req.body.isRecurring === true || req.body.isRecurring === 'true';
 
     // Validate dates
     const outDateTime = new Date(`${outDate}T${outTime}`);
     const inDateTime = new Date(`${inDate}T${inTime}`);
     
     if (outDateTime >= inDateTime) {
+      await removeFiles(req.files);
       return res.status(400).json({
         error: 'In date/time must be after out date/time'
       });
     }
 
     if (outDateTime < new Date()) {
+      await removeFiles(req.files);
       return res.status(400).json({
         error: 'Out date/time cannot be in the past'
       });
     }
 
+    // A recurring request becomes one outpass per occurrence up to recurringUntil
+    let occurrences = [{ outDate: new Date(outDate), inDate: new Date(inDate) }];
+    if (isRecurring) {
+      const built = buildOccurrences({
+        outDate: new Date(outDate),
+        inDate: new Date(inDate),
+        durationMs: inDateTime - outDateTime,
+        pattern: recurringPattern,
+        until: new Date(recurringUntil)
+      });
+
+      if (built.error) {
+        await removeFiles(req.files);
+        return res.status(400).json({
+          error: built.error,
+          code: built.code
+        });
+      }
+      occurrences = built.occurrences;
+    }
+
     // Process uploaded documents
-    const supportingDocuments = req.files ? req.files.map(file => ({
-      type: 'other', // Can be enhanced to detect document type
-      filename: file.filename,
-      originalName: file.originalname,
-      path: file.path
-    })) : [];
-
-    const outpassRequest = new OutpassRequest({
+    const supportingDocuments = toSupportingDocuments(req.files, req.body.documentTypes);
+
+    const [profile, parents] = await Promise.all([
+      StudentProfile.findOne({ user: req.user.id }).select('name hostelBlock'),
+      findLinkedParents(req.user.id)
+    ]);
+
+    const series = isRecurring ? new mongoose.Types.ObjectId() : null;
+
+    const outpassRequests = occurrences.map((dates, index) => new OutpassRequest({
       reason,
       type,
-      outDate: new Date(outDate),
+      outDate: dates.outDate,
       outTime,
-      inDate: new Date(inDate),
+      inDate: dates.inDate,
       inTime,
       destination: {
         address: destination.address,
@@ -141,17 +431,80 @@ router.post('/request', [
       },
       transportMode,
       vehicleDetails,
-      parentApproval: parentApproval || { required: false, obtained: false },
       isEmergency,
       specialInstructions,
       rulesAcknowledged,
       supportingDocuments,
-      requestedBy: req.user.id
+      requestedBy: req.user.id,
+      hostelBlock: profile ? profile.hostelBlock : null,
+      ...(isRecurring && {
+        isRecurring,
+        recurringPattern,
+        recurringUntil: new Date(recurringUntil),
+        series,
+        seriesIndex: index
+      })
+    }));
+
+    // Overlap, quota, duration, notice and blackout rules for the outpass type
+    const violation = await checkOutpassPolicy({ studentId: req.user.id, outpasses: outpassRequests });
+    if (violation) {
+      await removeFiles(req.files);
+      const { httpStatus, ...details } = violation;
+      return res.status(httpStatus).json(details);
+    }
+
+    // The approval chain, including whether a parent has to consent, is decided here, not by the student
+    const policy = await OutpassPolicy.getPolicy(type);
+    outpassRequests.forEach(outpassRequest => {
+      outpassRequest.approvalSteps = buildApprovalSteps(outpassRequest, policy, parents.length > 0);
+      // Emergencies can bring their paperwork afterwards
+      outpassRequest.requiredDocuments = outpassRequest.isEmergency ? [] : policy.requiredDocuments;
+      syncMedicalCertificate(outpassRequest);
+    });
+
+    const missingDocuments = outpassRequests[0].getMissingDocuments();
+    if (missingDocuments.length > 0) {
+      await removeFiles(req.files);
+      return res.status(400).json({
+        error: `A ${type.replace(/_/g, ' ')} outpass needs: ${missingDocuments.join(', ').replace(/_/g, ' ')}`,
+        code: 'REQUIRED_DOCUMENTS_MISSING',
+        missing: missingDocuments
+      });
+    }
+
+    const consentRequired = outpassRequests[0].approvalSteps.some(each => each.step === 'parent');
+    outpassRequests.forEach(outpassRequest => {
+      outpassRequest.parentApproval = consentRequired
+        ? { required: true, obtained: false, status: 'pending', contactNumber: parents[0].phone }
+        : { required: false, obtained: false, status: 'not_required' };
     });
 
-    await outpassRequest.save();
+    // Validate every occurrence before saving any so a series isn't left half-created
+    await Promise.all(outpassRequests.map(outpassRequest => outpassRequest.validate()));
+    for (const outpassRequest of outpassRequests) {
+      await outpassRequest.save();
+      saved = true;
+    }
+
+    const [outpassRequest] = outpassRequests;
     await outpassRequest.populate('requestedBy', 'firstName lastName identifier');
 
+    if (consentRequired) {
+      await notifyParents(parents, profile ? profile.name : req.user.identifier, outpassRequest, outpassRequests.length);
+    }
+
+    if (isRecurring) {
+      return res.status(201).json({
+        success: true,
+        message: `Recurring outpass submitted with ${outpassRequests.length} occurrences`,
+        data: {
+          series,
+          occurrences: outpassRequests
+        }
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Outpass request submitted successfully',
@@ -159,6 +512,7 @@ router.post('/request', [
     });
 
   } catch (error) {
+    if (!saved) await removeFiles(req.files);
     console.error('Create outpass request error:', error);
     res.status(500).json({
       error: 'Failed to create outpass request',
@@ -179,16 +533,16 @@ router.get('/requests', authenticateToken, async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter based on user role
+    // Build filter based on permissions
     let filter = {};
     
+    // Reviewers see requests from their blocks
+    if (await hasPermission(req, 'outpass:view')) {
+      filter = await getBlockScopeFilter(req);
+    }
     // Students can only see their own requests
-    if (req.user.role === 'student') {
+    else if (await hasPermission(req, 'outpass:create')) {
       filter.requestedBy = req.user.id;
-    }
-    // Wardens and admins can see all requests
-    else if (req.user.role === 'warden' || req.user.role === 'admin') {
-      // Can see all requests
     } else {
       return res.status(403).json({
         error: 'Access denied'
@@ -256,8 +610,14 @@ router.get('/request/:id', [
       });
     }
 
-    // Check permissions - students can only view their own requests
-    if (req.user.role === 'student' && request.requestedBy._id.toString() !== req.user.id) {
+    // Check permissions - students can only view their own requests, parents their children's,
+    // staff those in their blocks
+    const isOwner = request.requestedBy._id.equals(req.user.id);
+    const isParent = !isOwner && await hasPermission(req, 'outpass:view_children') &&
+      await ParentProfile.exists({ user: req.user.id, children: request.requestedBy._id });
+    const block = request.hostelBlock || await getStudentBlock(request.requestedBy._id);
+
+    if (!isOwner && !isParent && !(await hasPermissionForBlock(req, 'outpass:view', block))) {
       return res.status(403).json({
         error: 'Access denied'
       });
@@ -278,13 +638,15 @@ router.get('/request/:id', [
   }
 });
 
-// PUT /api/outpass/request/:id/review - Review outpass request (Warden only)
+// PUT /api/outpass/request/:id/review - Review outpass request (outpass:review for the student's block)
 router.put('/request/:id/review', [
   authenticateToken,
-  requireWarden,
+  requirePermission('outpass:review', outpassBlock),
+  auditAction('outpass.review'),
   param('id').isMongoId().withMessage('Valid request ID required'),
   body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
-  body('reviewNotes').optional().isLength({ max: 300 })
+  body('reviewNotes').optional().isLength({ max: 300 }),
+  body('applyToSeries').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -305,21 +667,62 @@ router.put('/request/:id/review', [
       });
     }
 
-    // Can only review pending or under_review requests
-    if (!['pending', 'under_review'].includes(request.status)) {
-      return res.status(400).json({
-        error: 'Can only review pending or under review requests'
+    const reviewerSteps = await getReviewerSteps(req, request.hostelBlock || await getStudentBlock(request.requestedBy));
+
+    // Review every still-open occurrence of a recurring series in one go
+    if ((req.body.applyToSeries === true || req.body.applyToSeries === 'true') && request.series) {
+      const occurrences = await OutpassRequest.find({
+        series: request.series,
+        status: { $in: ['pending', 'under_review'] }
+      }).sort({ seriesIndex: 1 });
+
+      const reviewed = [];
+      const skipped = [];
+      for (const occurrence of occurrences) {
+        const problem = getReviewError(occurrence, status, reviewerSteps);
+        if (problem) {
+          skipped.push({ id: occurrence._id, outDate: occurrence.outDate, code: problem.code });
+          continue;
+        }
+
+        await reviewOutpass(occurrence, status, req.user.id, reviewNotes, reviewerSteps);
+        reviewed.push(occurrence._id);
+      }
+
+      return res.json({
+        success: true,
+        message: `${reviewed.length} occurrence(s) reviewed${skipped.length ? `, ${skipped.length} skipped` : ''}`,
+        data: {
+          series: request.series,
+          reviewed,
+          skipped
+        }
       });
     }
 
-    // Update status using the model method
-    await request.updateStatus(status, req.user.id, reviewNotes);
+    const problem = getReviewError(request, status, reviewerSteps);
+    if (problem) {
+      return res.status(problem.httpStatus).json({
+        error: problem.error,
+        code: problem.code
+      });
+    }
+
+    const isExtension = request.amendment?.status === 'pending';
+    await reviewOutpass(request, status, req.user.id, reviewNotes, reviewerSteps);
 
     await request.populate(['requestedBy', 'reviewedBy']);
 
+    let message = `Outpass request ${status} successfully`;
+    if (isExtension) {
+      message = `Extension ${status}`;
+    } else if (request.status === 'under_review') {
+      message = `Approval recorded, waiting for ${APPROVAL_STEP_LABELS[request.currentApprovalStep].toLowerCase()} approval`;
+    }
+
     res.json({
       success: true,
-      message: `Outpass request ${status} successfully`,
+      message,
       data: request
     });
 
@@ -332,72 +735,1296 @@ router.put('/request/:id/review', [
   }
 });
 
-// GET /api/outpass/stats - Get outpass statistics (Warden/Admin only)
-router.get('/stats', requireWarden, async (req, res) => {
+// DELETE /api/outpass/request/:id - Cancel your own outpass any time before checking out
+router.delete('/request/:id', [
+  requirePermission('outpass:create'),
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  body('reason').optional().isLength({ max: 300 })
+], async (req, res) => {
   try {
-    const { period = 'month', type } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Calculate date range
-    const now = new Date();
-    let startDate;
+    const request = await OutpassRequest.findById(req.params.id);
 
-    if (period === 'week') {
-      startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-    } else if (period === 'month') {
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-    } else if (period === 'year') {
-      startDate = new Date(now.getFullYear(), 0, 1);
+    if (!request || !request.requestedBy.equals(req.user.id)) {
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
     }
 
-    const filter = {};
-    if (startDate) filter.createdAt = { $gte: startDate };
-    if (type) filter.type = type;
+    if (!['pending', 'under_review', 'approved'].includes(request.status)) {
+      return res.status(409).json({
+        error: `A ${request.status.replace(/_/g, ' ')} outpass can't be cancelled`,
+        code: 'OUTPASS_NOT_CANCELLABLE'
+      });
+    }
 
-    const stats = await OutpassRequest.getStats(filter);
+    // Withdraw the gate pass along with the outpass
+    request.gatePass = undefined;
+    await request.updateStatus(
+      'cancelled',
+      req.user.id,
+      req.body.reason ? `Cancelled by student: ${req.body.reason}` : 'Cancelled by student'
+    );
 
-    // Get type-wise breakdown
-    const typeStats = await OutpassRequest.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: '$type',
-          count: { $sum: 1 },
-          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
-          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
-        }
-      }
-    ]);
+    res.json({
+      success: true,
+      message: 'Outpass request cancelled',
+      data: request
+    });
 
-    // Get currently checked out students
-    const checkedOutStudents = await OutpassRequest.find({
-      status: 'checked_out'
-    }).populate('requestedBy', 'firstName lastName identifier');
+  } catch (error) {
+    console.error('Cancel outpass request error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel outpass request',
+      details: error.message
+    });
+  }
+});
 
-    // Get overdue students
-    const overdueStudents = await OutpassRequest.find({
-      status: 'overdue'
-    }).populate('requestedBy', 'firstName lastName identifier');
+// PUT /api/outpass/request/:id/amendment - Ask for a later return on your approved pass.
+// The pass goes back under review until a warden decides the extension.
+router.put('/request/:id/amendment', [
+  requirePermission('outpass:create'),
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  body('inDate').isISO8601().withMessage('Valid in date required'),
+  body('inTime').notEmpty().withMessage('In time is required'),
+  body('reason').trim().notEmpty().withMessage('Reason for the extension is required').isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const request = await OutpassRequest.findById(req.params.id);
+
+    if (!request || !request.requestedBy.equals(req.user.id)) {
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
+    }
+
+    if (request.status !== 'approved') {
+      return res.status(409).json({
+        error: 'Only an approved outpass that hasn\'t checked out can be extended',
+        code: 'OUTPASS_NOT_AMENDABLE'
+      });
+    }
+
+    // The outpass as it would be with the new return
+    const extended = new OutpassRequest({
+      type: request.type,
+      outDate: request.outDate,
+      outTime: request.outTime,
+      inDate: new Date(req.body.inDate),
+      inTime: req.body.inTime,
+      isEmergency: request.isEmergency
+    });
+
+    if (extended.getScheduledReturn() <= request.getScheduledReturn()) {
+      return res.status(400).json({
+        error: 'The new return must be later than the current one',
+        code: 'EXTENSION_NOT_LATER'
+      });
+    }
+
+    const violation = await checkExtension({ studentId: req.user.id, outpass: request, extended });
+    if (violation) {
+      const { httpStatus, ...details } = violation;
+      return res.status(httpStatus).json(details);
+    }
+
+    // A block warden decides it unless the longer or later pass needs the chief warden
+    const policy = await OutpassPolicy.getPolicy(request.type);
+    const needsChiefWarden = buildApprovalSteps(extended, policy, false).some(each => each.step === 'chief_warden');
+    const step = needsChiefWarden ? 'chief_warden' : 'block_warden';
+
+    await request.requestAmendment({
+      inDate: extended.inDate,
+      inTime: extended.inTime,
+      reason: req.body.reason,
+      step
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Extension requested, waiting for ${APPROVAL_STEP_LABELS[step].toLowerCase()} approval`,
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Amend outpass request error:', error);
+    res.status(500).json({
+      error: 'Failed to request extension',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/outpass/approvals/pending - Requests in the reviewer's blocks waiting on a step they sign off
+router.get('/approvals/pending', [
+  requirePermission('outpass:review'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { steps, filter } = await getAwaitingReviewFilter(req);
+
+    const [requests, total] = await Promise.all([
+      OutpassRequest.find(filter)
+        .populate('requestedBy', 'firstName lastName identifier')
+        .sort({ isEmergency: -1, outDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OutpassRequest.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      message: 'Outpass statistics retrieved successfully',
       data: {
-        overview: stats,
-        typeBreakdown: typeStats,
-        currentlyOut: {
-          checkedOut: checkedOutStudents,
-          overdue: overdueStudents
-        },
-        period,
-        dateRange: { start: startDate, end: now }
+        steps,
+        requests,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
       }
     });
 
   } catch (error) {
-    console.error('Get outpass stats error:', error);
+    console.error('Pending approvals fetch error:', error);
     res.status(500).json({
-      error: 'Failed to fetch statistics',
-      details: error.message
+      error: 'Failed to fetch pending approvals',
+      code: 'PENDING_APPROVALS_ERROR'
+    });
+  }
+});
+
+// Most requests one bulk review may decide
+const MAX_BULK_REVIEW = 200;
+
+// GET /api/outpass/triage - The reviewer's queue ordered for working through a rush: earliest
+// departures first, emergencies first within a day, then students who have been overdue before
+router.get('/triage', [
+  requirePermission('outpass:review'),
+  query('type').optional().isIn(OUTPASS_TYPES),
+  query('outFrom').optional().isISO8601().withMessage('Valid date required'),
+  query('outTo').optional().isISO8601().withMessage('Valid date required'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { steps, filter } = await getAwaitingReviewFilter(req);
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.outFrom || req.query.outTo) {
+      filter.outDate = {
+        ...(req.query.outFrom && { $gte: new Date(req.query.outFrom) }),
+        ...(req.query.outTo && { $lte: new Date(req.query.outTo) })
+      };
+    }
+
+    const [result] = await OutpassRequest.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: OutpassRequest.collection.name,
+          let: { student: '$requestedBy' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$requestedBy', '$$student'] }, 'overdue.markedAt': { $ne: null } } },
+            { $count: 'count' }
+          ],
+          as: 'overdueHistory'
+        }
+      },
+      { $addFields: { pastOverdueCount: { $ifNull: [{ $first: '$overdueHistory.count' }, 0] } } },
+      { $project: { overdueHistory: 0, statusHistory: 0, gatePass: 0 } },
+      { $sort: { outDate: 1, isEmergency: -1, pastOverdueCount: -1, createdAt: 1 } },
+      {
+        $facet: {
+          requests: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const students = await getStudentsByUser(result.requests.map(request => request.requestedBy));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        steps,
+        requests: result.requests.map(request => ({
+          ...request,
+          student: students.get(request.requestedBy.toString()) || null
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass triage fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch triage queue',
+      code: 'TRIAGE_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/outpass/review/bulk - Approve or reject many requests with shared notes. Each
+// request is checked like a single review; the ones that can't be decided are reported back.
+router.post('/review/bulk', [
+  requirePermission('outpass:review'),
+  auditAction('outpass.bulk_review'),
+  body('ids').isArray({ min: 1, max: MAX_BULK_REVIEW }).withMessage(`Between 1 and ${MAX_BULK_REVIEW} request IDs required`),
+  body('ids.*').isMongoId().withMessage('Valid request ID required'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('reviewNotes').optional().isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, reviewNotes } = req.body;
+    const ids = [...new Set(req.body.ids)];
+    const requests = await OutpassRequest.find({ _id: { $in: ids } });
+    const requestsById = new Map(requests.map(request => [request._id.toString(), request]));
+
+    const reviewed = [];
+    const failed = [];
+    for (const id of ids) {
+      const request = requestsById.get(id);
+      if (!request) {
+        failed.push({ id, code: 'OUTPASS_NOT_FOUND', error: 'Outpass request not found' });
+        continue;
+      }
+
+      try {
+        const block = request.hostelBlock || await getStudentBlock(request.requestedBy);
+        if (!(await hasPermissionForBlock(req, 'outpass:review', block))) {
+          failed.push({ id, code: 'OUT_OF_SCOPE', error: `Block ${block} is outside your assigned hostel blocks` });
+          continue;
+        }
+
+        const reviewerSteps = await getReviewerSteps(req, block);
+        const problem = getReviewError(request, status, reviewerSteps);
+        if (problem) {
+          failed.push({ id, code: problem.code, error: problem.error });
+          continue;
+        }
+
+        await reviewOutpass(request, status, req.user.id, reviewNotes, reviewerSteps);
+        reviewed.push({ id, status: request.status });
+      } catch (error) {
+        console.error(`Bulk review error for outpass ${id}:`, error);
+        failed.push({ id, code: 'OUTPASS_REVIEW_ERROR', error: 'Failed to review outpass request' });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${reviewed.length} request(s) reviewed${failed.length ? `, ${failed.length} failed` : ''}`,
+      data: {
+        reviewed,
+        failed
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk outpass review error:', error);
+    res.status(500).json({
+      error: 'Failed to review outpass requests',
+      code: 'BULK_REVIEW_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/series/:series - All occurrences of a recurring outpass
+router.get('/series/:series', [
+  param('series').isMongoId().withMessage('Valid series ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const occurrences = await OutpassRequest.find({ series: req.params.series })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ seriesIndex: 1 });
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({
+        error: 'Recurring outpass not found'
+      });
+    }
+
+    const [first] = occurrences;
+    const isOwner = first.requestedBy.equals(req.user.id);
+    const block = first.hostelBlock || await getStudentBlock(first.requestedBy);
+
+    if (!isOwner && !(await hasPermissionForBlock(req, 'outpass:view', block))) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: req.params.series,
+        recurringPattern: first.recurringPattern,
+        recurringUntil: first.recurringUntil,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    console.error('Get outpass series error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recurring outpass',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/outpass/series/:series - Cancel the occurrences of a recurring outpass that
+// haven't started yet (from `from` onwards when given)
+router.delete('/series/:series', [
+  param('series').isMongoId().withMessage('Valid series ID required'),
+  query('from').optional().isISO8601().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const occurrences = await OutpassRequest.find({
+      series: req.params.series,
+      requestedBy: req.user.id
+    }).sort({ seriesIndex: 1 });
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({
+        error: 'Recurring outpass not found'
+      });
+    }
+
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : now;
+
+    const cancelled = [];
+    for (const occurrence of occurrences) {
+      const scheduledOut = occurrence.getScheduledOut();
+      if (!['pending', 'under_review', 'approved'].includes(occurrence.status)) continue;
+      if (scheduledOut < now || occurrence.outDate < from) continue;
+
+      occurrence.gatePass = undefined;
+      await occurrence.updateStatus('cancelled', req.user.id, 'Recurring outpass cancelled by student');
+      cancelled.push(occurrence._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${cancelled.length} upcoming occurrence(s) cancelled`,
+      data: {
+        series: req.params.series,
+        cancelled
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel outpass series error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel recurring outpass',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/outpass/request/:id/pass - The student's signed gate pass as a QR code
+router.get('/request/:id/pass', [
+  param('id').isMongoId().withMessage('Valid request ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const request = await OutpassRequest.findById(req.params.id);
+
+    if (!request || !request.requestedBy.equals(req.user.id)) {
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
+    }
+
+    if (!['approved', 'checked_out', 'overdue'].includes(request.status)) {
+      return res.status(409).json({
+        error: 'A gate pass is only available for approved outpasses',
+        code: 'GATE_PASS_UNAVAILABLE'
+      });
+    }
+
+    // Approved before passes were signed
+    if (!request.gatePass?.token) {
+      request.gatePass = await issueGatePass(request);
+      await request.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: request.gatePass.token,
+        qrCode: await QRCode.toDataURL(request.gatePass.token, { errorCorrectionLevel: 'M' }),
+        validFrom: request.getScheduledOut(),
+        validUntil: request.getScheduledReturn(),
+        issuedAt: request.gatePass.issuedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Gate pass fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to load gate pass',
+      code: 'GATE_PASS_ERROR'
+    });
+  }
+});
+
+// Outpass and document for the :id/:documentId routes below, or a 404 response
+const findDocument = async (req, res) => {
+  const request = await OutpassRequest.findById(req.params.id);
+  const document = request && request.supportingDocuments.id(req.params.documentId);
+
+  if (!document) {
+    res.status(404).json({
+      error: 'Document not found',
+      code: 'DOCUMENT_NOT_FOUND'
+    });
+    return {};
+  }
+  return { request, document };
+};
+
+// POST /api/outpass/request/:id/documents - Add documents to your own outpass (multipart "documents")
+router.post('/request/:id/documents', [
+  requirePermission('outpass:create'),
+  keepRequestContext(upload.array('documents', 3)),
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  documentTypesValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeFiles(req.files);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No documents uploaded',
+        code: 'NO_DOCUMENTS'
+      });
+    }
+
+    const request = await OutpassRequest.findById(req.params.id);
+
+    if (!request || !request.requestedBy.equals(req.user.id)) {
+      await removeFiles(req.files);
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
+    }
+
+    if (['rejected', 'cancelled'].includes(request.status)) {
+      await removeFiles(req.files);
+      return res.status(409).json({
+        error: `Documents can't be added to a ${request.status} outpass`,
+        code: 'OUTPASS_CLOSED'
+      });
+    }
+
+    if (request.supportingDocuments.length + req.files.length > MAX_OUTPASS_DOCUMENTS) {
+      await removeFiles(req.files);
+      return res.status(409).json({
+        error: `An outpass can have at most ${MAX_OUTPASS_DOCUMENTS} documents`,
+        code: 'DOCUMENT_LIMIT_REACHED'
+      });
+    }
+
+    request.supportingDocuments.push(...toSupportingDocuments(req.files, req.body.documentTypes));
+    syncMedicalCertificate(request);
+    await request.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} document(s) uploaded`,
+      data: {
+        documents: request.supportingDocuments,
+        missingDocuments: request.getMissingDocuments()
+      }
+    });
+
+  } catch (error) {
+    await removeFiles(req.files);
+    console.error('Outpass document upload error:', error);
+    res.status(500).json({
+      error: 'Failed to upload documents',
+      code: 'DOCUMENT_UPLOAD_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/request/:id/documents/:documentId - Download a document (the student or reviewers of their block)
+router.get('/request/:id/documents/:documentId', [
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  param('documentId').isMongoId().withMessage('Valid document ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { request, document } = await findDocument(req, res);
+    if (!document) return;
+
+    const isOwner = request.requestedBy.equals(req.user.id);
+    const block = request.hostelBlock || await getStudentBlock(request.requestedBy);
+
+    if (!isOwner && !(await hasPermissionForBlock(req, 'outpass:view', block))) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    if (!document.path || !fs.existsSync(document.path)) {
+      return res.status(404).json({
+        error: 'Document file is missing',
+        code: 'DOCUMENT_FILE_MISSING'
+      });
+    }
+
+    res.download(document.path, document.originalName || document.filename);
+
+  } catch (error) {
+    console.error('Outpass document download error:', error);
+    res.status(500).json({
+      error: 'Failed to download document',
+      code: 'DOCUMENT_DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// DELETE /api/outpass/request/:id/documents/:documentId - Remove a document from your own outpass while it's under review
+router.delete('/request/:id/documents/:documentId', [
+  requirePermission('outpass:create'),
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  param('documentId').isMongoId().withMessage('Valid document ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { request, document } = await findDocument(req, res);
+    if (!document) return;
+
+    if (!request.requestedBy.equals(req.user.id)) {
+      return res.status(404).json({
+        error: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    if (!['pending', 'under_review'].includes(request.status)) {
+      return res.status(409).json({
+        error: 'Documents can only be removed before the outpass is decided',
+        code: 'OUTPASS_NOT_EDITABLE'
+      });
+    }
+
+    request.supportingDocuments.pull(document._id);
+    syncMedicalCertificate(request);
+    await request.save();
+
+    // Occurrences of a recurring outpass share the files uploaded with it
+    if (!(await OutpassRequest.exists({ 'supportingDocuments.path': document.path }))) {
+      await removeFiles([document]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Document removed',
+      data: {
+        documents: request.supportingDocuments,
+        missingDocuments: request.getMissingDocuments()
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass document delete error:', error);
+    res.status(500).json({
+      error: 'Failed to remove document',
+      code: 'DOCUMENT_DELETE_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/gate/public-key - Key for gate devices to verify passes offline
+router.get('/gate/public-key', requirePermission('gate:check'), (req, res) => {
+  res.json({
+    success: true,
+    data: getPublicKey()
+  });
+});
+
+// POST /api/outpass/gate/verify - Scan a gate pass: checks the signature and the outpass,
+// then checks the student out (approved pass) or back in (pass already used to leave)
+router.post('/gate/verify', [
+  requirePermission('gate:check'),
+  body('token').notEmpty().withMessage('Pass token is required'),
+  body('location').trim().notEmpty().withMessage('Gate location is required').isLength({ max: 50 }),
+  body('notes').optional().isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let pass;
+    try {
+      pass = verifyGatePass(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Pass signature is not valid',
+        code: 'GATE_PASS_INVALID'
+      });
+    }
+
+    const request = await OutpassRequest.findById(pass.pid);
+
+    // A reissued pass replaces the old token, so only the latest one is accepted
+    if (!request || !request.requestedBy.equals(pass.sub) || request.gatePass?.token !== req.body.token) {
+      return res.status(400).json({
+        error: 'This pass has been replaced or withdrawn',
+        code: 'GATE_PASS_REVOKED'
+      });
+    }
+
+    const block = request.hostelBlock || await getStudentBlock(request.requestedBy);
+    if (!(await hasPermissionForBlock(req, 'gate:check', block))) {
+      return res.status(403).json({
+        error: `Block ${block} is outside your assigned hostel blocks`,
+        code: 'OUT_OF_SCOPE',
+        required: 'gate:check'
+      });
+    }
+
+    const checkingIn = ['checked_out', 'overdue'].includes(request.status);
+    const problem = checkingIn ? getCheckInError(request) : getCheckOutError(request);
+    if (problem) {
+      return res.status(409).json(problem);
+    }
+
+    setAuditAction(checkingIn ? 'gate.check_in' : 'gate.check_out');
+    const data = checkingIn ? await recordCheckIn(request, req) : (await recordCheckOut(request, req)).toObject();
+    const students = await getStudentsByUser([request.requestedBy]);
+
+    res.json({
+      success: true,
+      message: checkingIn ? 'Check-in recorded' : 'Check-out recorded',
+      data: {
+        action: checkingIn ? 'check_in' : 'check_out',
+        outpass: data,
+        student: students.get(request.requestedBy.toString()) || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Gate pass verify error:', error);
+    res.status(500).json({
+      error: 'Failed to verify gate pass',
+      code: 'GATE_PASS_VERIFY_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/gate/lookup - Find a student's usable passes by outpass ID or roll number
+router.get('/gate/lookup', [
+  requirePermission('gate:check'),
+  query('q').trim().notEmpty().withMessage('Outpass ID or roll number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q } = req.query;
+    const filter = {
+      ...await getBlockScopeFilter(req),
+      status: { $in: ['approved', 'checked_out', 'overdue'] }
+    };
+
+    if (/^[0-9a-fA-F]{24}$/.test(q)) {
+      filter._id = q;
+    } else {
+      const profile = await StudentProfile.findOne({ rollNumber: q.toUpperCase() }).select('user');
+      if (!profile) {
+        return res.status(404).json({
+          error: 'No student with this roll number',
+          code: 'STUDENT_NOT_FOUND'
+        });
+      }
+      filter.requestedBy = profile.user;
+    }
+
+    const requests = await OutpassRequest.find(filter)
+      .select('-statusHistory -supportingDocuments -medicalCertificate')
+      .sort({ outDate: 1 });
+
+    const students = await getStudentsByUser(requests.map(request => request.requestedBy));
+
+    res.json({
+      success: true,
+      data: {
+        passes: requests.map(request => ({
+          ...request.toObject(),
+          student: students.get(request.requestedBy.toString()) || null,
+          scheduledOut: request.getScheduledOut(),
+          scheduledReturn: request.getScheduledReturn()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Gate lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up outpass',
+      code: 'GATE_LOOKUP_ERROR'
+    });
+  }
+});
+
+// PUT /api/outpass/request/:id/check-out - Record a student leaving through the gate
+router.put('/request/:id/check-out', [
+  requirePermission('gate:check', outpassBlock),
+  auditAction('gate.check_out'),
+  ...gateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const request = await OutpassRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
+    }
+
+    const problem = getCheckOutError(request);
+    if (problem) {
+      return res.status(409).json(problem);
+    }
+
+    await recordCheckOut(request, req);
+
+    res.json({
+      success: true,
+      message: 'Check-out recorded',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Gate check-out error:', error);
+    res.status(500).json({
+      error: 'Failed to record check-out',
+      code: 'CHECK_OUT_ERROR'
+    });
+  }
+});
+
+// PUT /api/outpass/request/:id/check-in - Record a student returning through the gate
+router.put('/request/:id/check-in', [
+  requirePermission('gate:check', outpassBlock),
+  auditAction('gate.check_in'),
+  ...gateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const request = await OutpassRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Outpass request not found'
+      });
+    }
+
+    const problem = getCheckInError(request);
+    if (problem) {
+      return res.status(409).json(problem);
+    }
+
+    res.json({
+      success: true,
+      message: 'Check-in recorded',
+      data: await recordCheckIn(request, req)
+    });
+
+  } catch (error) {
+    console.error('Gate check-in error:', error);
+    res.status(500).json({
+      error: 'Failed to record check-in',
+      code: 'CHECK_IN_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/gate/out - Students of the user's blocks currently out, soonest due back first
+router.get('/gate/out', requirePermission('gate:view_out'), async (req, res) => {
+  try {
+    const requests = await OutpassRequest.find({
+      ...await getBlockScopeFilter(req),
+      status: { $in: ['checked_out', 'overdue'] }
+    })
+      .select('type status outDate outTime inDate inTime actualOutTime destination contactDuringLeave hostelBlock requestedBy')
+      .sort({ inDate: 1 });
+
+    const students = await getStudentsByUser(requests.map(request => request.requestedBy));
+    const now = new Date();
+
+    const out = requests
+      .map(request => ({
+        ...request.toObject(),
+        student: students.get(request.requestedBy.toString()) || null,
+        scheduledReturn: request.getScheduledReturn(),
+        isLate: now > request.getScheduledReturn()
+      }))
+      .sort((a, b) => a.scheduledReturn - b.scheduledReturn);
+
+    res.json({
+      success: true,
+      data: {
+        students: out,
+        total: out.length,
+        late: out.filter(entry => entry.isLate).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Gate currently out error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch students currently out',
+      code: 'CURRENTLY_OUT_ERROR'
+    });
+  }
+});
+
+// Per-type outpass policies
+const policyValidation = [
+  param('type').isIn(OUTPASS_TYPES).withMessage('Invalid outpass type'),
+  body('maxPerMonth').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Monthly limit must be a positive number'),
+  body('maxDurationHours').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum duration must be a positive number of hours'),
+  body('minNoticeHours').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Notice must be a number of hours'),
+  body('blackoutPeriods').optional().isArray({ max: 50 }).withMessage('Blackout periods must be an array'),
+  body('blackoutPeriods.*.from').isISO8601().withMessage('Blackout start date required'),
+  body('blackoutPeriods.*.to').isISO8601().withMessage('Blackout end date required')
+    .custom((to, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      return new Date(to) >= new Date(req.body.blackoutPeriods[index].from);
+    }).withMessage('Blackout end must be on or after its start'),
+  body('blackoutPeriods.*.label').optional().isString().trim().isLength({ max: 100 }),
+  body('requiredDocuments').optional().isArray().withMessage('Required documents must be an array'),
+  body('requiredDocuments.*').isIn(DOCUMENT_TYPES).withMessage('Unknown document type'),
+  body('approvalSteps').optional().isArray({ min: 1 }).withMessage('Approval steps must be a non-empty array')
+    .custom(steps => steps.some(step => step !== 'parent')).withMessage('A warden must approve every outpass'),
+  body('approvalSteps.*').isIn(APPROVAL_STEPS).withMessage('Unknown approval step'),
+  body('chiefWardenAfterHours').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Chief warden threshold must be a positive number of hours'),
+  body('lateNightAfter').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Late-night time must be HH:MM')
+];
+
+const serializePolicies = async () => {
+  const policies = await OutpassPolicy.getPolicies();
+  return OUTPASS_TYPES.map(type => ({ type, ...policies[type] }));
+};
+
+// GET /api/outpass/policies - Limits for every outpass type, so students know them before applying
+router.get('/policies', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        policies: await serializePolicies()
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass policies fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outpass policies',
+      code: 'OUTPASS_POLICIES_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/outpass/policies/:type - Replace the policy for an outpass type; omitted limits are lifted
+// and omitted approval steps fall back to the type's defaults
+router.put('/policies/:type', [requirePermission('outpass:policy'), auditAction('outpass_policy.update'), ...policyValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const update = POLICY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: req.body[field] ?? null }), {});
+    update.blackoutPeriods = (req.body.blackoutPeriods || []).map(({ from, to, label }) => ({ from, to, label }));
+    update.requiredDocuments = [...new Set(req.body.requiredDocuments || [])];
+    update.approvalSteps = APPROVAL_STEPS.filter(step =>
+      (req.body.approvalSteps || DEFAULT_OUTPASS_POLICIES[req.params.type].approvalSteps).includes(step));
+
+    await OutpassPolicy.findOneAndUpdate(
+      { type: req.params.type },
+      { ...update, updatedBy: req.user.id },
+      { upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Outpass policy updated for ${req.params.type}`,
+      data: {
+        policies: await serializePolicies()
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass policy update error:', error);
+    res.status(500).json({
+      error: 'Failed to update outpass policy',
+      code: 'OUTPASS_POLICY_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/outpass/policies/:type - Restore the default policy for an outpass type
+router.delete('/policies/:type', [
+  requirePermission('outpass:policy'),
+  auditAction('outpass_policy.reset'),
+  param('type').isIn(OUTPASS_TYPES).withMessage('Invalid outpass type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await OutpassPolicy.findOneAndDelete({ type: req.params.type });
+
+    res.json({
+      success: true,
+      message: `Default outpass policy restored for ${req.params.type}`,
+      data: {
+        policies: await serializePolicies()
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass policy reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset outpass policy',
+      code: 'OUTPASS_POLICY_RESET_ERROR'
+    });
+  }
+});
+
+// GET /api/outpass/stats - Get outpass statistics for the user's blocks
+router.get('/stats', requirePermission('outpass:stats'), async (req, res) => {
+  try {
+    const { period = 'month', type } = req.query;
+
+    // Calculate date range
+    const now = new Date();
+    let startDate;
+
+    if (period === 'week') {
+      startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
+    } else if (period === 'month') {
+      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+    } else if (period === 'year') {
+      startDate = new Date(now.getFullYear(), 0, 1);
+    }
+
+    const filter = await getBlockScopeFilter(req);
+    if (startDate) filter.createdAt = { $gte: startDate };
+    if (type) filter.type = type;
+
+    const stats = await OutpassRequest.getStats(filter);
+
+    // Get type-wise breakdown
+    const typeStats = await OutpassRequest.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    // Get currently checked out students
+    const checkedOutStudents = await OutpassRequest.find({
+      ...await getBlockScopeFilter(req),
+      status: 'checked_out'
+    }).populate('requestedBy', 'firstName lastName identifier');
+
+    // Get overdue students
+    const overdueStudents = await OutpassRequest.find({
+      ...await getBlockScopeFilter(req),
+      status: 'overdue'
+    }).populate('requestedBy', 'firstName lastName identifier');
+
+    res.json({
+      success: true,
+      message: 'Outpass statistics retrieved successfully',
+      data: {
+        overview: stats,
+        typeBreakdown: typeStats,
+        currentlyOut: {
+          checkedOut: checkedOutStudents,
+          overdue: overdueStudents
+        },
+        period,
+        dateRange: { start: startDate, end: now }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get outpass stats error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch statistics',
+      details: error.message
+    });
+  }
+});
+
+
+// Longest date range /analytics covers in one request
+const MAX_ANALYTICS_DAYS = 366;
+
+// CSV exports of /analytics, one per report
+const ANALYTICS_REPORTS = {
+  trend: (analytics) => toCsv(
+    ['Period', 'Requested', 'Granted', 'Rejected', 'Cancelled', 'Left', 'Overdue'],
+    analytics.trend.map(row => [row.bucket, row.requested, row.granted, row.rejected, row.cancelled, row.left, row.overdue])
+  ),
+  overdue: (analytics) => toCsv(
+    ['Group', 'Value', 'Requests', 'Left', 'Overdue', 'Overdue Rate'],
+    [
+      ...analytics.overdueByBlock.map(row => ['block', row.block, row.requests, row.left, row.overdue, row.overdueRate]),
+      ...analytics.overdueByType.map(row => ['type', row.type, row.requests, row.left, row.overdue, row.overdueRate])
+    ]
+  ),
+  leavers: (analytics) => toCsv(
+    ['Roll Number', 'Name', 'Block', 'Room', 'Requests', 'Left', 'Overdue', 'Hours Away', 'Last Left At'],
+    analytics.leavers.map(row => [
+      row.student.rollNumber,
+      row.student.name,
+      row.student.hostelBlock,
+      row.student.roomNumber,
+      row.requests,
+      row.left,
+      row.overdue,
+      row.hoursAway,
+      row.lastLeftAt ? row.lastLeftAt.toISOString() : ''
+    ])
+  ),
+  turnaround: (analytics) => toCsv(
+    ['Type', 'Decided', 'Average Hours', 'Max Hours'],
+    analytics.turnaround.byType.map(row => [row.type, row.decided, row.averageHours, row.maxHours])
+  )
+};
+
+// Local midnight of a "YYYY-MM-DD" date, and back
+const startOfDay = (date) => new Date(`${date}T00:00:00`);
+const toLocalDate = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+
+// GET /api/outpass/analytics - Trends and reports over outpasses requested between `from` and
+// `to` (inclusive, default the last 30 days) in the user's blocks. ?format=csv&report=... downloads one report.
+router.get('/analytics', [
+  requirePermission('outpass:stats'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('From must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('To must be YYYY-MM-DD'),
+  query('bucket').optional().isIn(Object.keys(BUCKET_FORMATS)).withMessage('Bucket must be day or week'),
+  query('block').optional().isString().trim(),
+  query('type').optional().isIn(OUTPASS_TYPES).withMessage('Invalid outpass type'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('format').optional().isIn(['json', 'csv']),
+  query('report').if(query('format').equals('csv'))
+    .isIn(Object.keys(ANALYTICS_REPORTS)).withMessage(`Report must be one of: ${Object.keys(ANALYTICS_REPORTS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const today = new Date();
+    const end = req.query.to
+      ? startOfDay(req.query.to)
+      : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    end.setDate(end.getDate() + 1);
+    const start = req.query.from
+      ? startOfDay(req.query.from)
+      : new Date(end.getFullYear(), end.getMonth(), end.getDate() - 30);
+
+    const days = Math.round((end - start) / (24 * 60 * 60 * 1000));
+    if (days < 1 || days > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({
+        error: `From must be on or before to, and the range at most ${MAX_ANALYTICS_DAYS} days`,
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const range = { from: toLocalDate(start), to: toLocalDate(new Date(end.getTime() - 1)) };
+    const match = {
+      ...await getBlockScopeFilter(req),
+      createdAt: { $gte: start, $lt: end }
+    };
+    if (req.query.type) match.type = req.query.type;
+    if (req.query.block) {
+      const block = req.query.block.toUpperCase();
+      match.hostelBlock = match.hostelBlock ? { $in: match.hostelBlock.$in.filter(code => code === block) } : block;
+    }
+
+    const analytics = await buildOutpassAnalytics(match, {
+      bucket: req.query.bucket || 'day',
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    const students = await getStudentsByUser(analytics.leavers.map(row => row.student));
+    analytics.leavers = analytics.leavers.map(row => ({
+      ...row,
+      student: students.get(row.student.toString()) || { _id: row.student }
+    }));
+
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="outpass-${req.query.report}-${range.from}-to-${range.to}.csv"`
+      });
+      return res.send(ANALYTICS_REPORTS[req.query.report](analytics));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        range,
+        bucket: req.query.bucket || 'day',
+        ...analytics
+      }
+    });
+
+  } catch (error) {
+    console.error('Outpass analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to build outpass analytics',
+      code: 'OUTPASS_ANALYTICS_ERROR'
     });
   }
 });
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const OutpassRequest = require('../models/OutpassRequest');
+const StudentProfile = require('../models/StudentProfile');
+const ParentProfile = require('../models/ParentProfile');
+const { requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../utils/audit');
+
+const router = express.Router();
+
+// What a parent sees of an outpass: the plan, the decision and the actual gate times
+const OUTPASS_FIELDS = [
+  'reason', 'type', 'status', 'outDate', 'outTime', 'inDate', 'inTime', 'destination',
+  'transportMode', 'isEmergency', 'parentApproval', 'reviewedAt', 'reviewNotes',
+  'actualOutTime', 'actualInTime', 'requestedBy', 'createdAt'
+].join(' ');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// The signed-in parent's profile; every route below is limited to its children
+const loadParentProfile = async (req, res, next) => {
+  try {
+    req.parentProfile = await ParentProfile.findOne({ user: req.user.id });
+
+    if (!req.parentProfile) {
+      return res.status(403).json({
+        error: 'Parent profile not found',
+        code: 'PARENT_PROFILE_NOT_FOUND'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Parent profile lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to load parent profile',
+      code: 'PARENT_PROFILE_ERROR'
+    });
+  }
+};
+
+router.use(loadParentProfile);
+
+// GET /api/parents/children - Linked students with their current outpass, if any
+router.get('/children', requirePermission('outpass:view_children'), async (req, res) => {
+  try {
+    const children = req.parentProfile.children;
+
+    const [profiles, activeOutpasses] = await Promise.all([
+      StudentProfile.find({ user: { $in: children } })
+        .select('user name rollNumber course year semester hostelBlock roomNumber status'),
+      OutpassRequest.find({
+        requestedBy: { $in: children },
+        status: { $in: ['approved', 'checked_out', 'overdue'] }
+      }).select(OUTPASS_FIELDS).sort({ outDate: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        children: profiles.map(profile => ({
+          ...profile.toObject(),
+          currentOutpass: activeOutpasses.find(outpass => outpass.requestedBy.equals(profile.user)) || null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Parent children fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch children',
+      code: 'CHILDREN_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/parents/children/:studentId/outpasses - A child's outpass history with check-out/in times
+router.get('/children/:studentId/outpasses', [
+  requirePermission('outpass:view_children'),
+  param('studentId').isMongoId().withMessage('Valid student ID required'),
+  query('status').optional().isString(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.parentProfile.hasChild(req.params.studentId)) {
+      return res.status(404).json({
+        error: 'Student is not linked to your account',
+        code: 'CHILD_NOT_LINKED'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { requestedBy: req.params.studentId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [outpasses, total] = await Promise.all([
+      OutpassRequest.find(filter)
+        .select(OUTPASS_FIELDS)
+        .sort({ outDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OutpassRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        outpasses,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Parent outpass history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outpass history',
+      code: 'OUTPASS_HISTORY_ERROR'
+    });
+  }
+});
+
+// GET /api/parents/consents - Outpasses waiting for this parent's consent
+router.get('/consents', requirePermission('outpass:consent'), async (req, res) => {
+  try {
+    const outpasses = await OutpassRequest.find({
+      requestedBy: { $in: req.parentProfile.children },
+      'parentApproval.status': 'pending',
+      status: { $in: ['pending', 'under_review'] }
+    })
+      .select(OUTPASS_FIELDS)
+      .populate('requestedBy', 'identifier')
+      .sort({ outDate: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        outpasses
+      }
+    });
+
+  } catch (error) {
+    console.error('Parent consents fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pending consents',
+      code: 'CONSENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/parents/outpasses/:id/consent - Approve or decline an outpass for a linked child
+router.put('/outpasses/:id/consent', [
+  requirePermission('outpass:consent'),
+  auditAction('outpass.parent_consent'),
+  param('id').isMongoId().withMessage('Valid request ID required'),
+  body('decision').isIn(['approved', 'declined']).withMessage('Decision must be approved or declined'),
+  body('notes').optional().isLength({ max: 300 }),
+  body('applyToSeries').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const outpass = await OutpassRequest.findById(req.params.id);
+
+    if (!outpass || !req.parentProfile.hasChild(outpass.requestedBy)) {
+      return res.status(404).json({
+        error: 'Outpass request not found',
+        code: 'OUTPASS_NOT_FOUND'
+      });
+    }
+
+    if (outpass.parentApproval?.status !== 'pending' || !['pending', 'under_review'].includes(outpass.status)) {
+      return res.status(409).json({
+        error: 'This outpass is not waiting for parent consent',
+        code: 'CONSENT_NOT_PENDING'
+      });
+    }
+
+    // One answer for every occurrence of a recurring outpass still waiting on the parent
+    const outpasses = (req.body.applyToSeries === true || req.body.applyToSeries === 'true') && outpass.series
+      ? await OutpassRequest.find({
+        series: outpass.series,
+        'parentApproval.status': 'pending',
+        status: { $in: ['pending', 'under_review'] }
+      }).sort({ seriesIndex: 1 })
+      : [outpass];
+
+    for (const each of outpasses) {
+      await each.recordParentDecision(req.body.decision, req.user.id, req.body.notes);
+    }
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'approved' ? 'Consent given' : 'Outpass declined',
+      data: outpasses.length === 1 ? outpasses[0] : { series: outpass.series, outpasses }
+    });
+
+  } catch (error) {
+    console.error('Parent consent error:', error);
+    res.status(500).json({
+      error: 'Failed to record consent',
+      code: 'CONSENT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const RollCall = require('../models/RollCall');
+const Block = require('../models/Block');
+const {
+  requirePermission,
+  getUserBlocks,
+  getBlockScopeFilter
+} = require('../middleware/auth');
+const { auditAction } = require('../utils/audit');
+const { toCsv } = require('../utils/roster');
+const { toNight, getRollCallTime, buildRollCallEntries, flagAbsentees } = require('../utils/rollCall');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Block of the roll call in req.params.id, for block-scoped permissions
+const rollCallBlock = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const rollCall = await RollCall.findById(req.params.id).select('block');
+  return rollCall ? rollCall.block : null;
+};
+
+const serializeRollCall = (rollCall) => ({
+  ...rollCall.toObject(),
+  summary: rollCall.getSummary()
+});
+
+const findOpenRollCall = async (req, res) => {
+  const rollCall = await RollCall.findById(req.params.id);
+
+  if (!rollCall) {
+    res.status(404).json({
+      error: 'Roll call not found',
+      code: 'ROLL_CALL_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (rollCall.status !== 'open') {
+    res.status(409).json({
+      error: 'This roll call is closed',
+      code: 'ROLL_CALL_CLOSED'
+    });
+    return null;
+  }
+
+  return rollCall;
+};
+
+const dateValidation = query('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD');
+
+// POST /api/rollcalls - Start tonight's roll call for a block, or one floor of it
+router.post('/', [
+  requirePermission('rollcall:take', req => String(req.body.block || '').toUpperCase()),
+  auditAction('rollcall.start'),
+  body('block').custom(code => Block.isConfigured(code).then(ok => ok || Promise.reject(new Error('Unknown block')))),
+  body('floor').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Floor must be a number'),
+  body('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const block = req.body.block.toUpperCase();
+    const floor = req.body.floor === undefined || req.body.floor === null ? null : parseInt(req.body.floor);
+    const date = toNight(req.body.date);
+
+    if (date > toNight()) {
+      return res.status(400).json({
+        error: 'Roll calls can only be taken for tonight or earlier nights',
+        code: 'ROLL_CALL_IN_FUTURE'
+      });
+    }
+
+    // A whole-block roll call covers every floor, so it can't coexist with floor roll calls
+    const existing = await RollCall.findOne({
+      block,
+      date,
+      ...(floor !== null && { floor: { $in: [floor, null] } })
+    }).select('_id floor status');
+    if (existing) {
+      const scope = existing.floor === null ? 'the whole of block' : `floor ${existing.floor} of block`;
+      return res.status(409).json({
+        error: `A roll call for ${scope} ${block} already exists for this night`,
+        code: 'ROLL_CALL_EXISTS',
+        rollCall: existing._id
+      });
+    }
+
+    const takenAt = getRollCallTime(date);
+    const rollCall = await RollCall.create({
+      block,
+      floor,
+      date,
+      takenAt,
+      entries: await buildRollCallEntries(block, floor, takenAt),
+      startedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Roll call started with ${rollCall.entries.length} student(s)`,
+      data: serializeRollCall(rollCall)
+    });
+
+  } catch (error) {
+    console.error('Roll call start error:', error);
+    res.status(500).json({
+      error: 'Failed to start roll call',
+      code: 'ROLL_CALL_START_ERROR'
+    });
+  }
+});
+
+// GET /api/rollcalls - Roll calls in the user's blocks, newest night first
+router.get('/', [
+  requirePermission('rollcall:view'),
+  dateValidation,
+  query('block').optional().isString().trim(),
+  query('status').optional().isIn(['open', 'closed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = await getBlockScopeFilter(req, 'block');
+    if (req.query.date) filter.date = toNight(req.query.date);
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.block) {
+      const block = req.query.block.toUpperCase();
+      filter.block = filter.block ? { $in: filter.block.$in.filter(code => code === block) } : block;
+    }
+
+    const [rollCalls, total] = await Promise.all([
+      RollCall.find(filter)
+        .select('block floor date status startedBy closedAt entries.status entries.flagged')
+        .populate('startedBy', 'identifier')
+        .sort({ date: -1, block: 1, floor: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RollCall.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rollCalls: rollCalls.map(rollCall => {
+          const { entries, ...rest } = rollCall.toObject();
+          return { ...rest, summary: rollCall.getSummary() };
+        }),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Roll call list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roll calls',
+      code: 'ROLL_CALL_LIST_ERROR'
+    });
+  }
+});
+
+// GET /api/rollcalls/report - Presence across the user's blocks for one night (default
+// tonight): head counts, flagged absentees and blocks with no roll call. ?format=csv for a download.
+router.get('/report', [
+  requirePermission('rollcall:view'),
+  dateValidation,
+  query('format').optional().isIn(['json', 'csv'])
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const date = toNight(req.query.date);
+    const rollCalls = await RollCall.find({ ...(await getBlockScopeFilter(req, 'block')), date })
+      .sort({ block: 1, floor: 1 });
+
+    if (req.query.format === 'csv') {
+      const csv = toCsv(
+        ['Block', 'Floor', 'Room', 'Roll Number', 'Name', 'Status', 'Flagged', 'Outpass', 'Marked At', 'Notes'],
+        rollCalls.flatMap(rollCall => rollCall.entries.map(entry => [
+          rollCall.block,
+          rollCall.floor === null ? '' : rollCall.floor,
+          entry.roomNumber,
+          entry.rollNumber,
+          entry.name,
+          entry.status,
+          entry.flagged ? 'yes' : '',
+          entry.outpass ? String(entry.outpass) : '',
+          entry.markedAt ? entry.markedAt.toISOString() : '',
+          entry.notes
+        ]))
+      );
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="presence-${date.toISOString().slice(0, 10)}.csv"`
+      });
+      return res.send(csv);
+    }
+
+    const blocks = await getUserBlocks(req);
+    const activeCodes = await Block.getActiveCodes();
+    const counted = new Set(rollCalls.map(rollCall => rollCall.block));
+
+    const totals = { total: 0, unmarked: 0, present: 0, absent: 0, on_leave: 0, flagged: 0 };
+    const summaries = rollCalls.map(rollCall => {
+      const summary = rollCall.getSummary();
+      Object.keys(totals).forEach(key => {
+        totals[key] += summary[key];
+      });
+      return {
+        _id: rollCall._id,
+        block: rollCall.block,
+        floor: rollCall.floor,
+        status: rollCall.status,
+        closedAt: rollCall.closedAt,
+        summary
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        totals,
+        rollCalls: summaries,
+        flagged: rollCalls.flatMap(rollCall => rollCall.entries
+          .filter(entry => entry.flagged)
+          .map(entry => ({
+            block: rollCall.block,
+            student: entry.student,
+            name: entry.name,
+            rollNumber: entry.rollNumber,
+            roomNumber: entry.roomNumber,
+            notes: entry.notes
+          }))),
+        missingBlocks: activeCodes.filter(code => !counted.has(code) && (blocks === null || blocks.includes(code)))
+      }
+    });
+
+  } catch (error) {
+    console.error('Presence report error:', error);
+    res.status(500).json({
+      error: 'Failed to build presence report',
+      code: 'PRESENCE_REPORT_ERROR'
+    });
+  }
+});
+
+// GET /api/rollcalls/:id - A roll call with every student's mark
+router.get('/:id', [
+  requirePermission('rollcall:view', rollCallBlock),
+  param('id').isMongoId().withMessage('Valid roll call ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rollCall = await RollCall.findById(req.params.id)
+      .populate('startedBy closedBy', 'identifier');
+
+    if (!rollCall) {
+      return res.status(404).json({
+        error: 'Roll call not found',
+        code: 'ROLL_CALL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeRollCall(rollCall)
+    });
+
+  } catch (error) {
+    console.error('Roll call fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roll call',
+      code: 'ROLL_CALL_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/rollcalls/:id/entries - Mark students present, absent or on leave
+router.put('/:id/entries', [
+  requirePermission('rollcall:take', rollCallBlock),
+  auditAction('rollcall.mark'),
+  param('id').isMongoId().withMessage('Valid roll call ID required'),
+  body('entries').isArray({ min: 1 }).withMessage('Entries must be a non-empty array'),
+  body('entries.*.student').isMongoId().withMessage('Valid student ID required'),
+  body('entries.*.status').isIn(['present', 'absent', 'on_leave']).withMessage('Status must be present, absent or on_leave'),
+  body('entries.*.notes').optional().isString().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rollCall = await findOpenRollCall(req, res);
+    if (!rollCall) return;
+
+    const unknown = [];
+    req.body.entries.forEach(({ student, status, notes }) => {
+      const entry = rollCall.entries.find(each => each.student.equals(student));
+      if (!entry) {
+        unknown.push(student);
+        return;
+      }
+
+      entry.status = status;
+      entry.markedBy = req.user.id;
+      entry.markedAt = new Date();
+      if (notes !== undefined) entry.notes = notes;
+    });
+
+    await rollCall.save();
+
+    res.json({
+      success: true,
+      message: `${req.body.entries.length - unknown.length} student(s) marked`,
+      data: {
+        ...serializeRollCall(rollCall),
+        unknown
+      }
+    });
+
+  } catch (error) {
+    console.error('Roll call marking error:', error);
+    res.status(500).json({
+      error: 'Failed to mark roll call',
+      code: 'ROLL_CALL_MARK_ERROR'
+    });
+  }
+});
+
+// PUT /api/rollcalls/:id/close - Finish the roll call. Students still unmarked count as
+// absent, and absentees without an outpass are flagged.
+router.put('/:id/close', [
+  requirePermission('rollcall:take', rollCallBlock),
+  auditAction('rollcall.close'),
+  param('id').isMongoId().withMessage('Valid roll call ID required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const rollCall = await findOpenRollCall(req, res);
+    if (!rollCall) return;
+
+    rollCall.entries
+      .filter(entry => entry.status === 'unmarked')
+      .forEach(entry => {
+        entry.status = 'absent';
+      });
+
+    const flagged = await flagAbsentees(rollCall, rollCall.takenAt || getRollCallTime(rollCall.date));
+    rollCall.status = 'closed';
+    rollCall.closedBy = req.user.id;
+    rollCall.closedAt = new Date();
+    await rollCall.save();
+
+    res.json({
+      success: true,
+      message: flagged.length > 0
+        ? `Roll call closed, ${flagged.length} absentee(s) without an outpass`
+        : 'Roll call closed',
+      data: {
+        ...serializeRollCall(rollCall),
+        flagged
+      }
+    });
+
+  } catch (error) {
+    console.error('Roll call close error:', error);
+    res.status(500).json({
+      error: 'Failed to close roll call',
+      code: 'ROLL_CALL_CLOSE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
-const { requireStudent } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
 // GET /api/students/dashboard
-router.get('/dashboard', requireStudent, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:student'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Block = require('../models/Block');
+const AllocationRule = require('../models/AllocationRule');
+require('dotenv').config();
+
+// The original four blocks, allocated by the serial part of the roll number
+const DEFAULT_BLOCKS = [
+  { code: 'A', name: 'Block A', serialFrom: 1, serialTo: 50 },
+  { code: 'B', name: 'Block B', serialFrom: 51, serialTo: 100 },
+  { code: 'C', name: 'Block C', serialFrom: 101, serialTo: 150 },
+  { code: 'D', name: 'Block D', serialFrom: 151, serialTo: null }
+];
+
+// Safe to run on an existing database: blocks that already exist are left alone
+// and the default rules are only added when no rules have been configured
+const seedBlocks = async () => {
+  for (const { code, name } of DEFAULT_BLOCKS) {
+    await Block.updateOne(
+      { code },
+      { $setOnInsert: { code, name, floors: 4, capacity: 200, gender: 'mixed' } },
+      { upsert: true }
+    );
+  }
+
+  if (await AllocationRule.countDocuments() === 0) {
+    await AllocationRule.insertMany(DEFAULT_BLOCKS.map(({ code, serialFrom, serialTo }, index) => ({
+      name: `Roll numbers ${serialFrom}${serialTo ? `-${serialTo}` : '+'} to Block ${code}`,
+      block: code,
+      priority: (index + 1) * 10,
+      conditions: { serialFrom, serialTo }
+    })));
+  }
+
+  console.log(`🏢 Hostel blocks ready: ${DEFAULT_BLOCKS.map(block => block.code).join(', ')}`);
+};
+
+module.exports = { seedBlocks };
+
+// Run directly to add the default blocks to an existing database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hostel-hub')
+    .then(seedBlocks)
+    .catch(error => console.error('❌ Block seeding failed:', error))
+    .finally(() => mongoose.connection.close());
+}
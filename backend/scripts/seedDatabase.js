@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const StudentProfile = require('../models/StudentProfile');
 const StaffProfile = require('../models/StaffProfile');
+const Block = require('../models/Block');
+const AllocationRule = require('../models/AllocationRule');
+const { seedBlocks } = require('./seedBlocks');
+const { allocateBlock } = require('../utils/allocation');
 require('dotenv').config();
 
 const seedDatabase = async () => {
@@ -14,8 +18,13 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await StudentProfile.deleteMany({});
     await StaffProfile.deleteMany({});
+    await Block.deleteMany({});
+    await AllocationRule.deleteMany({});
     console.log('🧹 Cleared existing data');
 
+    // Blocks must exist before any profile referencing them is saved
+    await seedBlocks();
+
     // Create Admin User
     const adminUser = new User({
       identifier: 'ADM001',
@@ -59,6 +68,7 @@ const seedDatabase = async () => {
       workingHours: { start: '08:00', end: '20:00' }
     });
     await wardenProfile.save();
+    await Block.updateMany({ code: { $in: ['A', 'B'] } }, { $addToSet: { wardens: wardenUser._id } });
     console.log('👨‍💼 Created warden user: EMP001 / warden123456');
 
     // Create Canteen Owner User
@@ -131,13 +141,9 @@ const seedDatabase = async () => {
     for (const studentData of students) {
       const { rollNumber, name, course, year, email, phone, parentPhone, roomNumber } = studentData;
       
-      // Determine hostel block based on roll number
-      const rollNum = parseInt(rollNumber.substring(7));
-      let hostelBlock;
-      if (rollNum <= 50) hostelBlock = 'A';
-      else if (rollNum <= 100) hostelBlock = 'B'; 
-      else if (rollNum <= 150) hostelBlock = 'C';
-      else hostelBlock = 'D';
+      // Determine hostel block from the allocation rules
+      const { block } = await allocateBlock({ rollNumber });
+      const hostelBlock = block.code;
 
       const user = new User({
         identifier: rollNumber,
@@ -19,10 +19,17 @@ const announcementRoutes = require('./routes/announcements');
 const canteenRoutes = require('./routes/canteen');
 const cartRoutes = require('./routes/cart');
 const adminRoutes = require('./routes/admin');
+const blockRoutes = require('./routes/blocks');
+const parentRoutes = require('./routes/parents');
+const rollCallRoutes = require('./routes/rollcalls');
+const lateEntryRoutes = require('./routes/lateEntries');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
 const errorHandler = require('./middleware/errorHandler');
+const { startScheduledJobs, stopScheduledJobs } = require('./utils/scheduler');
+const { isSmsConfigured } = require('./utils/sms');
 
 const app = express();
 const server = createServer(app);
@@ -38,13 +45,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hostel-hu
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startScheduledJobs();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Security middleware
 app.use(helmet());
 app.use(compression());
 
+// Request id and per-request context for the audit log
+app.use(requestContext);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || "*",
@@ -59,7 +72,22 @@ const limiter = rateLimit({
     error: 'Too many requests from this IP, please try again later.'
   }
 });
-app.use('/api/', limiter);
+
+// Login has its own per-account throttling, so the shared per-IP budget only needs to
+// stop credential spraying and can be generous for hostels behind a single NAT
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_IP_RATE_LIMIT) || 500,
+  message: {
+    error: 'Too many login attempts from this IP, please try again later.'
+  }
+});
+
+app.use('/api/auth/login', loginLimiter);
+app.use('/api/', (req, res, next) => {
+  if (req.path === '/auth/login') return next();
+  return limiter(req, res, next);
+});
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -89,8 +117,18 @@ app.use('/api/canteen', authenticateToken, canteenRoutes);
 app.use('/api/cart', authenticateToken, cartRoutes);
 app.use('/api/orders', authenticateToken, cartRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
-
-// Static file serving
+app.use('/api/blocks', authenticateToken, blockRoutes);
+app.use('/api/parents', authenticateToken, parentRoutes);
+app.use('/api/rollcalls', authenticateToken, rollCallRoutes);
+app.use('/api/late-entries', authenticateToken, lateEntryRoutes);
+
+// Static file serving. Outpass documents are private and only served through
+// /api/outpass/request/:id/documents to the student and their reviewers.
+app.use('/uploads/outpass', (req, res) => {
+  res.status(404).json({
+    error: 'Not found'
+  });
+});
 app.use('/uploads', express.static('uploads'));
 
 // Socket.IO for real-time features
@@ -160,11 +198,16 @@ server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Health check: http://localhost:${PORT}/health`);
   console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
+
+  if (!isSmsConfigured()) {
+    console.warn('⚠️  SMS_WEBHOOK_URL is not set: parent login codes and consent texts will fail (SMS_TRANSPORT=log prints them in development)');
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM received, shutting down gracefully');
+  stopScheduledJobs();
   server.close(() => {
     console.log('✅ Process terminated');
     mongoose.connection.close();
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ParentProfile = require('../models/ParentProfile');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/admin');
+const { routeHandler, runAsAdmin } = require('./helpers/routes');
+
+const unlock = routeHandler(adminRoutes, 'post', '/users/:id/unlock');
+
+const accountWithRole = (role, identifier) => {
+  const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), identifier, email: `${identifier}@example.com`, role });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  return user;
+};
+
+describe('admin unlock', () => {
+  let cleared;
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'create').mockImplementation(async entry => entry);
+    cleared = jest.spyOn(LoginAttempt, 'clear').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('clears the identifier of a password account', async () => {
+    const user = accountWithRole('warden', 'EMP001');
+
+    const { body } = await runAsAdmin(unlock, { params: { id: String(user._id) } });
+
+    expect(cleared.mock.calls).toEqual([['EMP001']]);
+    expect(body.message).toBe('EMP001 has been unlocked');
+  });
+
+  it('also clears the phone number a parent signs in with', async () => {
+    const user = accountWithRole('parent', 'PAR001');
+    jest.spyOn(ParentProfile, 'findOne').mockReturnValue({ select: async () => ({ phone: '+919000000001' }) });
+    cleared.mockImplementation(async key => ({ deletedCount: key === '+919000000001' ? 1 : 0 }));
+
+    const { body } = await runAsAdmin(unlock, { params: { id: String(user._id) } });
+
+    expect(cleared.mock.calls).toEqual([['PAR001'], ['+919000000001']]);
+    expect(body.message).toBe('PAR001 has been unlocked');
+  });
+});
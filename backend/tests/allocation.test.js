@@ -0,0 +1,32 @@
+const Block = require('../models/Block');
+const AllocationRule = require('../models/AllocationRule');
+const StudentProfile = require('../models/StudentProfile');
+const { allocateBlock } = require('../utils/allocation');
+
+const block = (code, capacity) => new Block({ code, name: `Block ${code}`, floors: 1, capacity });
+
+describe('allocateBlock', () => {
+  beforeEach(() => {
+    jest.spyOn(Block, 'find').mockResolvedValue([block('A', 2), block('B', 2)]);
+    jest.spyOn(AllocationRule, 'find').mockReturnValue({ sort: async () => [] });
+    // A has one free bed, B has two
+    jest.spyOn(StudentProfile, 'aggregate').mockResolvedValue([{ _id: 'A', count: 1 }]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('places a student in the least occupied block', async () => {
+    const allocation = await allocateBlock({ rollNumber: '22CS001' });
+    expect(allocation.block.code).toBe('B');
+  });
+
+  it('counts pending placements towards occupancy', async () => {
+    const allocation = await allocateBlock({ rollNumber: '22CS001', pending: new Map([['B', 2]]) });
+    expect(allocation.block.code).toBe('A');
+  });
+
+  it('reports no bed once pending placements fill every block', async () => {
+    const allocation = await allocateBlock({ rollNumber: '22CS001', pending: new Map([['A', 1], ['B', 2]]) });
+    expect(allocation).toBeNull();
+  });
+});
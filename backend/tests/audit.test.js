@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/admin');
+const { routeHandler, runAsAdmin } = require('./helpers/routes');
+
+describe('force logout audit', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('writes a single user.force_logout entry', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const created = jest.spyOn(AuditLog, 'create').mockImplementation(async entry => entry);
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(User, 'findById').mockResolvedValue(User.hydrate({
+      _id: userId,
+      identifier: 'STU001',
+      email: 'stu001@example.com',
+      password: 'hashed',
+      role: 'student',
+      deviceTokens: [{ token: 'device-1' }]
+    }));
+    jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+    const handler = routeHandler(adminRoutes, 'post', '/users/:id/logout-all');
+    const { status, body } = await runAsAdmin(handler, { params: { id: String(userId) } });
+
+    expect(status).toBe(200);
+    expect(body.data.revokedSessions).toBe(2);
+    expect(created).toHaveBeenCalledTimes(1);
+    expect(created.mock.calls[0][0]).toMatchObject({
+      action: 'user.force_logout',
+      target: { type: 'User', id: userId },
+      metadata: { revokedSessions: 2 }
+    });
+  });
+});
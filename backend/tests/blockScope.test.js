@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const RolePermission = require('../models/RolePermission');
+const StaffProfile = require('../models/StaffProfile');
+const StudentProfile = require('../models/StudentProfile');
+const { requirePermission, hasPermissionForBlock, getStudentBlock, NO_BLOCK } = require('../middleware/auth');
+
+// Query stand-in resolving to `result` whether or not .select() is chained
+const queryResolving = (result) => ({ select: async () => result });
+
+const staffCovering = (hostelBlocks) => {
+  jest.spyOn(RolePermission, 'getPermissions').mockResolvedValue(['outpass:review']);
+  jest.spyOn(StaffProfile, 'findOne').mockReturnValue(queryResolving({ hostelBlocks }));
+  return { user: { id: new mongoose.Types.ObjectId(), role: 'warden' } };
+};
+
+// Runs the middleware, resolving with the response status, or 'next' when it lets the request through
+const runMiddleware = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ status: this.statusCode, body }); }
+  };
+  middleware(req, res, () => resolve({ status: 'next' }));
+});
+
+describe('block scope', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('getStudentBlock', () => {
+    it('returns the student\'s block', async () => {
+      jest.spyOn(StudentProfile, 'findOne').mockReturnValue(queryResolving({ hostelBlock: 'A' }));
+      await expect(getStudentBlock(new mongoose.Types.ObjectId())).resolves.toBe('A');
+    });
+
+    it('returns NO_BLOCK for a student without a block or profile', async () => {
+      jest.spyOn(StudentProfile, 'findOne').mockReturnValueOnce(queryResolving({ hostelBlock: null }));
+      await expect(getStudentBlock(new mongoose.Types.ObjectId())).resolves.toBe(NO_BLOCK);
+
+      StudentProfile.findOne.mockReturnValueOnce(queryResolving(null));
+      await expect(getStudentBlock(new mongoose.Types.ObjectId())).resolves.toBe(NO_BLOCK);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('lets block-scoped staff act in their blocks', async () => {
+      const req = staffCovering(['A']);
+      await expect(runMiddleware(requirePermission('outpass:review', async () => 'A'), req)).resolves.toEqual({ status: 'next' });
+    });
+
+    it('denies block-scoped staff for other blocks and unassigned students', async () => {
+      const req = staffCovering(['A']);
+      const outside = await runMiddleware(requirePermission('outpass:review', async () => 'B'), req);
+      const unassigned = await runMiddleware(requirePermission('outpass:review', async () => NO_BLOCK), req);
+
+      expect(outside).toMatchObject({ status: 403, body: { code: 'OUT_OF_SCOPE' } });
+      expect(unassigned).toMatchObject({ status: 403, body: { code: 'OUT_OF_SCOPE' } });
+    });
+
+    it('lets staff covering every block act on unassigned students', async () => {
+      const req = staffCovering(['ALL']);
+      await expect(runMiddleware(requirePermission('outpass:review', async () => NO_BLOCK), req)).resolves.toEqual({ status: 'next' });
+    });
+
+    it('leaves a missing record to the route', async () => {
+      const req = staffCovering(['A']);
+      await expect(runMiddleware(requirePermission('outpass:review', async () => null), req)).resolves.toEqual({ status: 'next' });
+    });
+  });
+
+  describe('hasPermissionForBlock', () => {
+    it('applies the same rule to unassigned students', async () => {
+      await expect(hasPermissionForBlock(staffCovering(['A']), 'outpass:review', NO_BLOCK)).resolves.toBe(false);
+      await expect(hasPermissionForBlock(staffCovering(['ALL']), 'outpass:review', NO_BLOCK)).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const {
+  GATE_EARLY_EXIT_MINUTES,
+  signGatePass,
+  verifyGatePass,
+  getCheckOutError,
+  getCheckInError
+} = require('../utils/gatePass');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const outpass = ({ status = 'approved', out = new Date(Date.now() + HOUR_MS), back = new Date(Date.now() + 5 * HOUR_MS) } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  requestedBy: new mongoose.Types.ObjectId(),
+  hostelBlock: 'A',
+  status,
+  getScheduledOut: () => out,
+  getScheduledReturn: () => back
+});
+
+describe('gate pass', () => {
+  beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterAll(() => jest.restoreAllMocks());
+
+  it('signs a pass that verifies with the outpass claims', () => {
+    const request = outpass();
+    const { token, validFrom, validUntil } = signGatePass(request, '22CS001');
+    const claims = verifyGatePass(token);
+
+    expect(claims).toMatchObject({
+      purpose: 'gate_pass',
+      pid: request._id.toString(),
+      rn: '22CS001',
+      blk: 'A',
+      sub: request.requestedBy.toString(),
+      from: Math.floor(validFrom.getTime() / 1000),
+      until: Math.floor(validUntil.getTime() / 1000)
+    });
+  });
+
+  it('rejects altered passes and other tokens', () => {
+    const { token } = signGatePass(outpass(), '22CS001');
+    const [header, payload, signature] = token.split('.');
+    const altered = Buffer.from(JSON.stringify({ ...jwt.decode(token), rn: '22CS999' })).toString('base64url');
+
+    expect(() => verifyGatePass(`${header}.${altered}.${signature}`)).toThrow();
+    expect(() => verifyGatePass(`${header}.${payload}.${signature.slice(0, -4)}AAAA`)).toThrow();
+    expect(() => verifyGatePass(jwt.sign({ purpose: 'access' }, 'secret'))).toThrow();
+  });
+
+  describe('check-out window', () => {
+    it('opens GATE_EARLY_EXIT_MINUTES before departure and closes at the planned return', () => {
+      const out = new Date('2026-10-20T10:00:00');
+      const back = new Date('2026-10-20T18:00:00');
+      const request = outpass({ out, back });
+      const justBefore = new Date(out.getTime() - GATE_EARLY_EXIT_MINUTES * 60 * 1000 - 1000);
+
+      expect(getCheckOutError(request, justBefore)).toMatchObject({ code: 'OUTPASS_NOT_YET_VALID' });
+      expect(getCheckOutError(request, out)).toBeNull();
+      expect(getCheckOutError(request, new Date(back.getTime() + 1000))).toMatchObject({ code: 'OUTPASS_EXPIRED' });
+    });
+
+    it('only lets approved passes out and checked-out ones in', () => {
+      expect(getCheckOutError(outpass({ status: 'pending' }))).toMatchObject({ code: 'OUTPASS_NOT_APPROVED' });
+      expect(getCheckInError(outpass({ status: 'approved' }))).toMatchObject({ code: 'OUTPASS_NOT_CHECKED_OUT' });
+      expect(getCheckInError(outpass({ status: 'overdue' }))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { requestContext, setContextUser } = require('../../middleware/requestContext');
+
+// Final handler of a route, run without its permission and validation middleware
+const routeHandler = (router, method, path) => {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const stack = layer.route.stack;
+  return stack[stack.length - 1].handle;
+};
+
+// Runs `handler` inside a request context with an admin as the actor, resolving with the JSON sent
+const runAsAdmin = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    set() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ status: this.statusCode, body }); }
+  };
+  const fullReq = { get: () => null, ip: '127.0.0.1', body: {}, query: {}, ...req };
+
+  requestContext(fullReq, res, () => {
+    setContextUser({ id: new mongoose.Types.ObjectId(), identifier: 'ADMIN1', role: 'admin' });
+    handler(fullReq, res);
+  });
+});
+
+module.exports = {
+  routeHandler,
+  runAsAdmin
+};
@@ -0,0 +1,28 @@
+const { DEFAULT_CURFEW, getCurfew, getMinutesLate } = require('../utils/lateEntries');
+
+const at = (time) => new Date(`2026-10-19T${time}:00`);
+
+describe('late entries', () => {
+  it('falls back to the default curfew for blocks without one', () => {
+    expect(getCurfew(null)).toBe(DEFAULT_CURFEW);
+    expect(getCurfew({ curfew: null })).toBe(DEFAULT_CURFEW);
+    expect(getCurfew({ curfew: '23:30' })).toBe('23:30');
+  });
+
+  it('counts minutes from curfew until the morning', () => {
+    expect(getMinutesLate(at('22:30'), '22:00')).toBe(30);
+    expect(getMinutesLate(at('01:00'), '22:00')).toBe(180);
+    expect(getMinutesLate(at('05:59'), '22:00')).toBe(479);
+  });
+
+  it('returns null outside curfew hours', () => {
+    expect(getMinutesLate(at('21:59'), '22:00')).toBeNull();
+    expect(getMinutesLate(at('06:00'), '22:00')).toBeNull();
+    expect(getMinutesLate(at('12:00'), '22:00')).toBeNull();
+  });
+
+  it('handles a curfew after midnight', () => {
+    expect(getMinutesLate(at('00:45'), '00:30')).toBe(15);
+    expect(getMinutesLate(at('23:50'), '00:30')).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+const OutpassRequest = require('../models/OutpassRequest');
+const { buildOutpassAnalytics } = require('../utils/outpassAnalytics');
+
+// What the $facet stage returns for a small range
+const facetResult = {
+  trend: [{ _id: '2026-10-18', requested: 3, granted: 2, rejected: 1, cancelled: 0, left: 2, overdue: 1 }],
+  duration: [{ _id: null, averagePlannedHours: 5.04, averageActualHours: 6.66, returned: 2 }],
+  byBlock: [{ _id: 'A', requests: 3, left: 2, overdue: 1 }, { _id: 'B', requests: 1, left: 0, overdue: 0 }],
+  byType: [{ _id: 'day_out', requests: 4, left: 2, overdue: 1 }],
+  leavers: [{ _id: 'student-1', requests: 2, left: 2, overdue: 1, hoursAway: 13.333, lastLeftAt: null }],
+  turnaround: [
+    { _id: 'day_out', decided: 3, averageHours: 2, maxHours: 4 },
+    { _id: 'home', decided: 1, averageHours: 6, maxHours: 6.04 }
+  ]
+};
+
+describe('buildOutpassAnalytics', () => {
+  let aggregate;
+
+  beforeEach(() => {
+    aggregate = jest.spyOn(OutpassRequest, 'aggregate').mockResolvedValue([facetResult]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes the match and limit to the pipeline', async () => {
+    await buildOutpassAnalytics({ hostelBlock: 'A' }, { bucket: 'week', limit: 5 });
+    const [pipeline] = aggregate.mock.calls[0];
+
+    expect(pipeline[0]).toEqual({ $match: { hostelBlock: 'A' } });
+    expect(pipeline[1].$facet.trend[0].$group._id.$dateToString.format).toBe('%G-W%V');
+    expect(pipeline[1].$facet.leavers).toContainEqual({ $limit: 5 });
+  });
+
+  it('shapes rows, rates and the weighted turnaround', async () => {
+    const analytics = await buildOutpassAnalytics({});
+
+    expect(analytics.trend).toEqual([{ bucket: '2026-10-18', requested: 3, granted: 2, rejected: 1, cancelled: 0, left: 2, overdue: 1 }]);
+    expect(analytics.duration).toEqual({ averagePlannedHours: 5, averageActualHours: 6.7, returned: 2 });
+    expect(analytics.overdueByBlock).toEqual([
+      { block: 'A', requests: 3, left: 2, overdue: 1, overdueRate: 0.5 },
+      { block: 'B', requests: 1, left: 0, overdue: 0, overdueRate: null }
+    ]);
+    expect(analytics.leavers[0]).toMatchObject({ student: 'student-1', hoursAway: 13.3 });
+    expect(analytics.turnaround).toMatchObject({ decided: 4, averageHours: 3, maxHours: 6 });
+  });
+
+  it('reports empty ranges without dividing by zero', async () => {
+    aggregate.mockResolvedValue([{ trend: [], duration: [], byBlock: [], byType: [], leavers: [], turnaround: [] }]);
+
+    const analytics = await buildOutpassAnalytics({});
+
+    expect(analytics.duration).toEqual({ averagePlannedHours: null, averageActualHours: null, returned: 0 });
+    expect(analytics.turnaround).toEqual({ decided: 0, averageHours: null, maxHours: null, byType: [] });
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Block = require('../models/Block');
+const StudentProfile = require('../models/StudentProfile');
+const StaffProfile = require('../models/StaffProfile');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for the driver so update validators run without a database
+const stubFindOneAndUpdate = (Model) =>
+  jest.spyOn(Model.collection, 'findOneAndUpdate').mockResolvedValue({ value: { _id: new mongoose.Types.ObjectId(), user: userId } });
+
+const updateBlocks = (Model, update) =>
+  Model.findOneAndUpdate({ user: userId }, { $set: update }, { new: true, runValidators: true });
+
+describe('profile block validation', () => {
+  let isConfigured;
+
+  beforeEach(() => {
+    isConfigured = jest.spyOn(Block, 'isConfigured').mockImplementation(async code => ['A', 'B'].includes(code));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('in update validators', () => {
+    it('moves a student to a configured block', async () => {
+      stubFindOneAndUpdate(StudentProfile);
+      await expect(updateBlocks(StudentProfile, { hostelBlock: 'b' })).resolves.toBeTruthy();
+      expect(isConfigured).toHaveBeenCalledWith('B');
+    });
+
+    it('rejects moving a student to an unknown block', async () => {
+      stubFindOneAndUpdate(StudentProfile);
+      await expect(updateBlocks(StudentProfile, { hostelBlock: 'Z' })).rejects.toMatchObject({
+        name: 'ValidationError',
+        errors: { hostelBlock: expect.objectContaining({ message: 'Hostel block Z is not a configured block' }) }
+      });
+    });
+
+    it('reassigns staff to configured blocks', async () => {
+      stubFindOneAndUpdate(StaffProfile);
+      await expect(updateBlocks(StaffProfile, { hostelBlocks: ['A', 'B'] })).resolves.toBeTruthy();
+    });
+
+    it('rejects reassigning staff to an unknown block', async () => {
+      stubFindOneAndUpdate(StaffProfile);
+      await expect(updateBlocks(StaffProfile, { hostelBlocks: ['A', 'Z'] })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    it('accepts ALL without a lookup', async () => {
+      stubFindOneAndUpdate(StaffProfile);
+      await expect(updateBlocks(StaffProfile, { hostelBlocks: ['ALL'] })).resolves.toBeTruthy();
+      expect(isConfigured).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('on documents', () => {
+    it('skips the check when the block is unchanged', async () => {
+      const profile = StudentProfile.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        rollNumber: 'STU001',
+        name: 'Student',
+        roomNumber: '101',
+        year: 2,
+        course: 'B.Tech',
+        hostelBlock: 'RETIRED',
+        phone: '9000000000',
+        parentPhone: '9000000001'
+      });
+
+      profile.roomNumber = '102';
+      await expect(profile.validate()).resolves.toBeUndefined();
+      expect(isConfigured).not.toHaveBeenCalled();
+    });
+
+    it('checks a newly set block', async () => {
+      const staff = new StaffProfile({ user: userId, hostelBlocks: ['A', 'Z'] });
+      const error = await staff.validate(['hostelBlocks']).catch(err => err);
+
+      expect(error).toBeInstanceOf(mongoose.Error.ValidationError);
+      expect(Object.keys(error.errors)).toEqual(['hostelBlocks.1']);
+    });
+  });
+});
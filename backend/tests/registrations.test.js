@@ -0,0 +1,15 @@
+const { EMAIL_VERIFICATION_EXPIRE_HOURS, isStaleRegistration } = require('../utils/registrations');
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('isStaleRegistration', () => {
+  it('is true only for unverified accounts past the link lifetime', () => {
+    expect(isStaleRegistration({ emailVerified: false, createdAt: hoursAgo(EMAIL_VERIFICATION_EXPIRE_HOURS + 1) })).toBe(true);
+    expect(isStaleRegistration({ emailVerified: false, createdAt: hoursAgo(1) })).toBe(false);
+    expect(isStaleRegistration({ emailVerified: true, createdAt: hoursAgo(EMAIL_VERIFICATION_EXPIRE_HOURS + 1) })).toBe(false);
+  });
+
+  it('leaves accounts created before verification existed alone', () => {
+    expect(isStaleRegistration({ createdAt: hoursAgo(1000) })).toBe(false);
+  });
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { requestContext, keepRequestContext, getRequestContext } = require('../middleware/requestContext');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const buildApp = (uploadMiddleware) => {
+  const app = express();
+  app.use(requestContext);
+  app.post('/upload', uploadMiddleware, (req, res) => {
+    const context = getRequestContext();
+    res.json({ requestId: context ? context.requestId : null, files: (req.files || []).length });
+  });
+  return app;
+};
+
+describe('keepRequestContext', () => {
+  it('keeps the request context after a multipart upload', async () => {
+    const res = await request(buildApp(keepRequestContext(upload.array('files', 2))))
+      .post('/upload')
+      .set('X-Request-Id', 'upload-1')
+      .field('title', 'Notice')
+      .attach('files', Buffer.from('hello'), 'hello.txt');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ requestId: 'upload-1', files: 1 });
+  });
+
+  it('keeps the request context when the body is not multipart', async () => {
+    const res = await request(buildApp(keepRequestContext(upload.array('files', 2))))
+      .post('/upload')
+      .set('X-Request-Id', 'plain-1')
+      .send({ title: 'Notice' });
+
+    expect(res.body).toEqual({ requestId: 'plain-1', files: 0 });
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const StudentProfile = require('../models/StudentProfile');
+const SemesterRollover = require('../models/SemesterRollover');
+const { canRerun, runSemesterRollover } = require('../utils/rollover');
+
+const runBy = new mongoose.Types.ObjectId();
+
+// Active student in their third semester of a four-year programme
+const student = (rollNumber) => ({
+  rollNumber,
+  name: `Student ${rollNumber}`,
+  course: 'B.Tech',
+  user: { _id: new mongoose.Types.ObjectId(), isActive: true },
+  getSemester: () => 3,
+  save: jest.fn().mockResolvedValue()
+});
+
+const findProfiles = (result) =>
+  jest.spyOn(StudentProfile, 'find').mockReturnValue({ populate: () => ({ sort: result }) });
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('semester rollover', () => {
+  let saved;
+
+  beforeEach(() => {
+    // Status at each save of the rollover record
+    saved = [];
+    jest.spyOn(SemesterRollover.prototype, 'save').mockImplementation(async function() {
+      saved.push(this.status);
+      return this;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the term, saves progress per student and completes', async () => {
+    findProfiles(async () => [student('22CS001'), student('22CS002')]);
+
+    const rollover = await runSemesterRollover({ term: '2024-25 Even', dryRun: false, defaultDuration: 4, runBy });
+
+    expect(rollover.status).toBe('completed');
+    expect(rollover.summary.promoted).toBe(2);
+    expect(saved).toEqual(['running', 'running', 'running', 'completed']);
+  });
+
+  it('marks the run failed when it stops on an error', async () => {
+    findProfiles(async () => { throw new Error('connection lost'); });
+
+    await expect(runSemesterRollover({ term: '2024-25 Even', dryRun: false, defaultDuration: 4, runBy }))
+      .rejects.toThrow('connection lost');
+    expect(saved).toEqual(['running', 'failed']);
+  });
+
+  it('reruns a failed term without moving students on twice', async () => {
+    const done = student('22CS001');
+    const pending = student('22CS002');
+    findProfiles(async () => [done, pending]);
+
+    const previous = new SemesterRollover({ term: '2024-25 Even', runBy, defaultDuration: 4, status: 'failed' });
+    previous.addRow({ rollNumber: '22CS001', fromSemester: 3, toSemester: 4, status: 'promoted', messages: [] });
+    previous.addRow({ rollNumber: '22CS002', fromSemester: 3, status: 'failed', messages: ['Write conflict'] });
+    jest.spyOn(SemesterRollover, 'findOneAndUpdate').mockImplementation(async () => {
+      previous.status = 'running';
+      return previous;
+    });
+
+    const rollover = await runSemesterRollover({ term: '2024-25 Even', dryRun: false, defaultDuration: 4, runBy, previous });
+
+    expect(done.save).not.toHaveBeenCalled();
+    expect(pending.save).toHaveBeenCalledTimes(1);
+    expect(rollover.rows.map(row => [row.rollNumber, row.status])).toEqual([['22CS001', 'promoted'], ['22CS002', 'promoted']]);
+    expect(rollover.summary).toMatchObject({ total: 2, promoted: 2, failed: 0 });
+    expect(rollover.status).toBe('completed');
+  });
+
+  it('returns null when another rerun claimed the term first', async () => {
+    jest.spyOn(SemesterRollover, 'findOneAndUpdate').mockResolvedValue(null);
+    const previous = new SemesterRollover({ term: '2024-25 Even', runBy, defaultDuration: 4, status: 'failed' });
+
+    await expect(runSemesterRollover({ term: '2024-25 Even', dryRun: false, defaultDuration: 4, runBy, previous }))
+      .resolves.toBeNull();
+  });
+
+  it('only reruns failed or stalled runs', () => {
+    expect(canRerun({ status: 'failed', updatedAt: new Date() })).toBe(true);
+    expect(canRerun({ status: 'running', updatedAt: minutesAgo(60) })).toBe(true);
+    expect(canRerun({ status: 'running', updatedAt: minutesAgo(1) })).toBe(false);
+    expect(canRerun({ status: 'completed', updatedAt: minutesAgo(60) })).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+const { toCsv, parseCsv } = require('../utils/roster');
+
+describe('roster CSV', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    expect(toCsv(['Name', 'Notes'], [['Doe, Jane', 'Said "hi"\nthen left']]))
+      .toBe('Name,Notes\n"Doe, Jane","Said ""hi""\nthen left"');
+  });
+
+  it('defuses cells a spreadsheet would run as formulas', () => {
+    expect(toCsv(['Value'], [['=HYPERLINK("x")'], ['+1'], ['-2'], ['@SUM(A1)']]))
+      .toBe('Value\n"\'=HYPERLINK(""x"")"\n\'+1\n\'-2\n\'@SUM(A1)');
+  });
+
+  it('leaves numbers alone', () => {
+    expect(toCsv(['Count'], [[-3], [0]])).toBe('Count\n-3\n0');
+  });
+
+  it('reads back quoted cells', () => {
+    expect(parseCsv('name,notes\n"Doe, Jane","Said ""hi"""\n')).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'Said "hi"']
+    ]);
+  });
+});
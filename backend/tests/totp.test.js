@@ -0,0 +1,32 @@
+const { generateSecret, generateToken, verifyToken, keyUri } = require('../utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateToken(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateToken(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateToken(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('accepts codes from the adjacent time steps only', () => {
+    const now = 1700000000 * 1000;
+    const secret = generateSecret();
+
+    expect(verifyToken(secret, generateToken(secret, now), 1, now)).toBe(true);
+    expect(verifyToken(secret, generateToken(secret, now - 30 * 1000), 1, now)).toBe(true);
+    expect(verifyToken(secret, generateToken(secret, now - 90 * 1000), 1, now)).toBe(false);
+  });
+
+  it('rejects malformed codes and missing secrets', () => {
+    expect(verifyToken(RFC_SECRET, '12345')).toBe(false);
+    expect(verifyToken(RFC_SECRET, 'abcdef')).toBe(false);
+    expect(verifyToken(null, '287082')).toBe(false);
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    expect(keyUri('22CS001', 'Hostel Hub', RFC_SECRET))
+      .toBe(`otpauth://totp/Hostel%20Hub%3A22CS001?secret=${RFC_SECRET}&issuer=Hostel+Hub&algorithm=SHA1&digits=6&period=30`);
+  });
+});
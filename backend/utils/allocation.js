@@ -0,0 +1,60 @@
+const Block = require('../models/Block');
+const AllocationRule = require('../models/AllocationRule');
+const StudentProfile = require('../models/StudentProfile');
+const { parseRollNumber } = require('./rollNumber');
+
+// Students currently placed in each block, keyed by block code (alumni have moved out)
+const getOccupancy = async (codes) => {
+  const match = { status: { $ne: 'alumni' } };
+  if (codes) match.hostelBlock = { $in: codes };
+  const counts = await StudentProfile.aggregate([
+    { $match: match },
+    { $group: { _id: '$hostelBlock', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+// Pick a block for a student. Rules are tried in priority order and the first
+// one whose block is active, accepts the student's gender and has a free bed
+// wins. With no usable rule the least occupied eligible block is used.
+// Returns { block, rule } or null when every eligible block is full.
+// `pending` adds placements not saved yet (block code -> change in students), e.g. a dry-run import.
+const allocateBlock = async ({ rollNumber, gender, pending = new Map() }) => {
+  const student = { ...parseRollNumber(rollNumber), gender };
+
+  const [blocks, rules] = await Promise.all([
+    Block.find({ isActive: true }),
+    AllocationRule.find({ isActive: true }).sort({ priority: 1, createdAt: 1 })
+  ]);
+
+  const eligible = new Map(
+    blocks
+      .filter(block => block.acceptsGender(gender))
+      .map(block => [block.code, block])
+  );
+
+  if (eligible.size === 0) return null;
+
+  const occupancy = await getOccupancy([...eligible.keys()]);
+  pending.forEach((count, code) => occupancy.set(code, (occupancy.get(code) || 0) + count));
+  const hasRoom = (block) => (occupancy.get(block.code) || 0) < block.capacity;
+
+  for (const rule of rules) {
+    const block = eligible.get(rule.block);
+    if (block && rule.matches(student) && hasRoom(block)) {
+      return { block, rule };
+    }
+  }
+
+  const fallback = [...eligible.values()]
+    .filter(hasRoom)
+    .sort((a, b) => (occupancy.get(a.code) || 0) / a.capacity - (occupancy.get(b.code) || 0) / b.capacity)[0];
+
+  return fallback ? { block: fallback, rule: null } : null;
+};
+
+module.exports = {
+  allocateBlock,
+  getOccupancy
+};
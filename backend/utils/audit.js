@@ -0,0 +1,262 @@
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../middleware/requestContext');
+
+// Never copied into the log, at any depth
+const REDACTED_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpires',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.recoveryCodes',
+  'loginOtp.hash',
+  'gatePass.token'
+];
+
+// Bookkeeping that would only add noise to every entry
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt', 'statusHistory', 'deviceTokens'];
+
+const REDACTED = '[redacted]';
+
+const isIgnored = (path) =>
+  IGNORED_FIELDS.some(field => path === field || path.startsWith(`${field}.`));
+
+// Plain JSON copy so Mongoose arrays, subdocuments and ObjectIds store cleanly
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Copy of the value at `path` with any secret inside it replaced
+const redactValue = (path, value) => {
+  if (value === undefined) return undefined;
+  if (REDACTED_FIELDS.some(field => path === field || path.startsWith(`${field}.`))) {
+    return REDACTED;
+  }
+
+  const copy = toPlain(value);
+  REDACTED_FIELDS
+    .filter(field => field.startsWith(`${path}.`))
+    .forEach(field => {
+      const keys = field.slice(path.length + 1).split('.');
+      const parent = keys.length === 1 ? copy : getPath(copy, keys.slice(0, -1).join('.'));
+      const key = keys[keys.length - 1];
+      if (parent && typeof parent === 'object' && parent[key] !== undefined) {
+        parent[key] = REDACTED;
+      }
+    });
+  return copy;
+};
+
+// Before/after values of the given paths, leaving out ones that did not change
+const diffSnapshots = (before, after, paths) => {
+  const changes = { before: {}, after: {} };
+
+  paths
+    .filter(path => !isIgnored(path))
+    .forEach(path => {
+      const previous = before ? getPath(before, path) : undefined;
+      const next = after ? getPath(after, path) : undefined;
+
+      if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+      if (previous !== undefined) changes.before[path] = redactValue(path, previous);
+      if (next !== undefined) changes.after[path] = redactValue(path, next);
+    });
+
+  return changes;
+};
+
+// Strip secrets from a raw update document before it is stored as metadata
+const redactUpdate = (update) => {
+  const copy = toPlain(update) || {};
+  const redactFields = (fields) => {
+    Object.keys(fields).forEach(path => {
+      if (REDACTED_FIELDS.some(field => path === field || path.startsWith(`${field}.`))) {
+        fields[path] = REDACTED;
+      }
+    });
+  };
+
+  redactFields(copy);
+  Object.keys(copy)
+    .filter(key => key.startsWith('$') && copy[key] && typeof copy[key] === 'object')
+    .forEach(key => redactFields(copy[key]));
+  return copy;
+};
+
+const hasChanges = (changes) =>
+  Object.keys(changes.before).length > 0 || Object.keys(changes.after).length > 0;
+
+const topLevelPaths = (...snapshots) => [
+  ...new Set(snapshots.filter(Boolean).flatMap(snapshot => Object.keys(snapshot)))
+].filter(path => path !== '_id');
+
+// Only staff and admin actions are audited; students acting on their own records are not
+const getAuditActor = (context) => {
+  if (!context || context.skip || !context.user || context.user.role === 'student') return null;
+  return context.user;
+};
+
+const writeEntry = async (context, { action, target, changes, metadata }) => {
+  const actor = getAuditActor(context);
+  if (!actor) return null;
+
+  try {
+    return await AuditLog.create({
+      actor: actor.id,
+      actorIdentifier: actor.identifier,
+      role: actor.role,
+      action,
+      target,
+      changes,
+      metadata,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      requestId: context.requestId
+    });
+  } catch (error) {
+    // The change itself already happened; losing the entry must not fail the request
+    console.error('Audit log write error:', error);
+    return null;
+  }
+};
+
+// Explicit entry for actions that don't go through an audited model (sessions, lockouts)
+const recordAudit = (entry) => writeEntry(getRequestContext(), entry);
+
+// Name the action for audited changes made from here on in the current request
+const setAuditAction = (action) => {
+  const context = getRequestContext();
+  if (context) context.action = action;
+};
+
+// Name the action for every audited change made while handling this route
+const auditAction = (action) => (req, res, next) => {
+  setAuditAction(action);
+  next();
+};
+
+// Leave a route's writes out of the log (read receipts and similar bookkeeping)
+const skipAudit = (req, res, next) => {
+  const context = getRequestContext();
+  if (context) context.skip = true;
+  next();
+};
+
+// Schema plugin: writes an AuditLog entry for each create, update and delete of the
+// model made by an authenticated staff member. Routes without an auditAction() label
+// are logged as e.g. "menu_item.update".
+const auditPlugin = (schema, { name }) => {
+  const prefix = name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+  const actionFor = (context, operation) => context.action || `${prefix}.${operation}`;
+
+  // Keep the loaded state so a later save can report what it replaced
+  schema.post('init', function() {
+    if (getAuditActor(getRequestContext())) {
+      this.$locals.auditOriginal = this.toObject({ depopulate: true });
+    }
+  });
+
+  // Registered last in each model file, so it sees changes made by the model's own hooks
+  schema.pre('save', function(next) {
+    const context = getRequestContext();
+    if (getAuditActor(context)) {
+      const paths = this.isNew ? topLevelPaths(this.toObject({ depopulate: true })) : this.directModifiedPaths();
+      this.$locals.audit = {
+        context,
+        operation: this.isNew ? 'create' : 'update',
+        changes: diffSnapshots(this.isNew ? null : this.$locals.auditOriginal, this.toObject({ depopulate: true }), paths)
+      };
+    }
+    next();
+  });
+
+  schema.post('save', async function() {
+    const audit = this.$locals.audit;
+    if (!audit) return;
+
+    this.$locals.audit = null;
+    this.$locals.auditOriginal = this.toObject({ depopulate: true });
+
+    if (audit.operation === 'update' && !hasChanges(audit.changes)) return;
+
+    await writeEntry(audit.context, {
+      action: actionFor(audit.context, audit.operation),
+      target: { type: name, id: this._id },
+      changes: audit.changes
+    });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    const context = getRequestContext();
+    if (!getAuditActor(context)) return;
+
+    const snapshot = this.toObject({ depopulate: true });
+    await writeEntry(context, {
+      action: actionFor(context, 'delete'),
+      target: { type: name, id: this._id },
+      changes: diffSnapshots(snapshot, null, topLevelPaths(snapshot))
+    });
+  });
+
+  // Single-document query updates: load the document on both sides to build the diff
+  schema.pre(['findOneAndUpdate', 'findOneAndDelete'], async function() {
+    const context = getRequestContext();
+    if (!getAuditActor(context)) return;
+
+    this._audit = {
+      context,
+      before: await this.model.findOne(this.getFilter()).lean()
+    };
+  });
+
+  schema.post(['findOneAndUpdate', 'findOneAndDelete'], async function(result) {
+    const audit = this._audit;
+    if (!audit) return;
+
+    const id = (audit.before && audit.before._id) || (result && result._id);
+    if (!id) return;
+
+    const deleting = this.op === 'findOneAndDelete';
+    const after = deleting ? null : await this.model.findById(id).lean();
+    const changes = diffSnapshots(audit.before, after, topLevelPaths(audit.before, after));
+    if (!hasChanges(changes)) return;
+
+    const operation = deleting ? 'delete' : audit.before ? 'update' : 'create';
+    await writeEntry(audit.context, {
+      action: actionFor(audit.context, operation),
+      target: { type: name, id },
+      changes
+    });
+  });
+
+  // Bulk query writes don't expose the affected documents; record the filter instead
+  schema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], async function(result) {
+    const context = getRequestContext();
+    if (!getAuditActor(context)) return;
+
+    const affected = result ? result.modifiedCount || result.deletedCount || 0 : 0;
+    if (affected === 0) return;
+
+    const operation = this.op.startsWith('delete') ? 'delete' : 'update';
+    await writeEntry(context, {
+      action: actionFor(context, operation),
+      target: { type: name },
+      metadata: {
+        filter: toPlain(this.getFilter()),
+        update: operation === 'update' ? redactUpdate(this.getUpdate()) : undefined,
+        affected
+      }
+    });
+  });
+};
+
+module.exports = {
+  auditPlugin,
+  auditAction,
+  setAuditAction,
+  skipAudit,
+  recordAudit,
+  diffSnapshots
+};
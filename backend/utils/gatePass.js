@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Gate passes are JWTs signed with an ES256 key pair, so a gate device holding only the
+// public key can check a scanned pass offline. Set GATE_PASS_PRIVATE_KEY and
+// GATE_PASS_PUBLIC_KEY (PEM, "\n" escapes allowed); without them a key pair is generated
+// at startup and passes issued before a restart stop verifying.
+const GATE_PASS = 'gate_pass';
+
+// How long before the planned departure a student may leave through the gate
+const GATE_EARLY_EXIT_MINUTES = parseInt(process.env.GATE_EARLY_EXIT_MINUTES) || 60;
+
+let keys = null;
+
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+const getKeys = () => {
+  if (!keys) {
+    let privateKey;
+    let publicKey;
+
+    if (process.env.GATE_PASS_PRIVATE_KEY && process.env.GATE_PASS_PUBLIC_KEY) {
+      privateKey = readPem(process.env.GATE_PASS_PRIVATE_KEY);
+      publicKey = readPem(process.env.GATE_PASS_PUBLIC_KEY);
+    } else {
+      console.warn('⚠️ GATE_PASS_PRIVATE_KEY/GATE_PASS_PUBLIC_KEY not set, using a temporary gate pass key');
+      ({ privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+        namedCurve: 'P-256',
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      }));
+    }
+
+    // Lets devices pick the right public key after a rotation
+    const keyId = crypto.createHash('sha256')
+      .update(crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+
+    keys = { privateKey, publicKey, keyId };
+  }
+  return keys;
+};
+
+const getPublicKey = () => {
+  const { publicKey, keyId } = getKeys();
+  return { publicKey, keyId, algorithm: 'ES256' };
+};
+
+// Signed pass for an approved outpass. Validity is carried as claims rather than exp so
+// a late student's pass still verifies for check-in.
+const signGatePass = (outpass, rollNumber) => {
+  const { privateKey, keyId } = getKeys();
+  const validFrom = outpass.getScheduledOut();
+  const validUntil = outpass.getScheduledReturn();
+
+  const token = jwt.sign({
+    purpose: GATE_PASS,
+    pid: outpass._id.toString(),
+    rn: rollNumber,
+    blk: outpass.hostelBlock,
+    from: Math.floor(validFrom.getTime() / 1000),
+    until: Math.floor(validUntil.getTime() / 1000)
+  }, privateKey, {
+    algorithm: 'ES256',
+    subject: outpass.requestedBy.toString(),
+    keyid: keyId
+  });
+
+  return { token, keyId, issuedAt: new Date(), validFrom, validUntil };
+};
+
+// Decoded claims of a genuine pass; throws for forged, altered or unrelated tokens
+const verifyGatePass = (token) => {
+  const payload = jwt.verify(token, getKeys().publicKey, { algorithms: ['ES256'] });
+  if (payload.purpose !== GATE_PASS) {
+    throw new jwt.JsonWebTokenError('Not a gate pass');
+  }
+  return payload;
+};
+
+// Why the student can't leave on this outpass right now, or null when they can
+const getCheckOutError = (outpass, now = new Date()) => {
+  if (outpass.status !== 'approved') {
+    return {
+      error: `Outpass is ${outpass.status.replace(/_/g, ' ')}, only approved passes can check out`,
+      code: 'OUTPASS_NOT_APPROVED'
+    };
+  }
+
+  const earliestExit = new Date(outpass.getScheduledOut().getTime() - GATE_EARLY_EXIT_MINUTES * 60 * 1000);
+  if (now < earliestExit) {
+    return {
+      error: `This pass is valid from ${earliestExit.toLocaleString()}`,
+      code: 'OUTPASS_NOT_YET_VALID'
+    };
+  }
+
+  if (now > outpass.getScheduledReturn()) {
+    return {
+      error: 'This pass expired without being used',
+      code: 'OUTPASS_EXPIRED'
+    };
+  }
+
+  return null;
+};
+
+const getCheckInError = (outpass) => {
+  if (!['checked_out', 'overdue'].includes(outpass.status)) {
+    return {
+      error: 'This student has not checked out on this pass',
+      code: 'OUTPASS_NOT_CHECKED_OUT'
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  GATE_EARLY_EXIT_MINUTES,
+  signGatePass,
+  verifyGatePass,
+  getPublicKey,
+  getCheckOutError,
+  getCheckInError
+};
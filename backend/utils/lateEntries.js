@@ -0,0 +1,107 @@
+const LateEntry = require('../models/LateEntry');
+const OutpassRequest = require('../models/OutpassRequest');
+const Block = require('../models/Block');
+const { sendMail } = require('./mailer');
+
+// Curfew of blocks that haven't set their own
+const DEFAULT_CURFEW = process.env.DEFAULT_CURFEW || '22:00';
+
+// Entries from curfew until this time are late; after it the hostel day has started again
+const CURFEW_ENDS = '06:00';
+
+// Days of late entries counted towards the repeat-offender thresholds
+const LATE_ENTRY_WINDOW_DAYS = parseInt(process.env.LATE_ENTRY_WINDOW_DAYS) || 30;
+
+// Late-entry counts within the window at which the block's wardens are notified
+const LATE_ENTRY_THRESHOLDS = (process.env.LATE_ENTRY_THRESHOLDS || '3,5,10')
+  .split(',')
+  .map(count => parseInt(count))
+  .filter(count => count > 0)
+  .sort((a, b) => a - b);
+
+// An overdue outpass checked in this close to a late entry is the one the student was returning from
+const LINK_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+const DAY_MINUTES = 24 * 60;
+
+// "HH:MM" as minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const getCurfew = (block) => (block && block.curfew) || DEFAULT_CURFEW;
+
+// Minutes past curfew of an entry at `at`, or null when it falls outside curfew hours
+const getMinutesLate = (at, curfew) => {
+  const curfewMinutes = toMinutes(curfew);
+  const minutes = ((at.getHours() * 60 + at.getMinutes()) - curfewMinutes + DAY_MINUTES) % DAY_MINUTES;
+  const curfewLength = (toMinutes(CURFEW_ENDS) - curfewMinutes + DAY_MINUTES) % DAY_MINUTES;
+  return minutes < curfewLength ? minutes : null;
+};
+
+const windowStart = (at) => new Date(at.getTime() - LATE_ENTRY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Overdue outpass of the student checked in around `at`
+const findOverdueReturn = (studentId, at) => OutpassRequest.findOne({
+  requestedBy: studentId,
+  status: 'returned',
+  'overdue.markedAt': { $ne: null },
+  actualInTime: { $gte: new Date(at.getTime() - LINK_WINDOW_MS), $lte: new Date(at.getTime() + LINK_WINDOW_MS) }
+})
+  .select('_id')
+  .sort({ actualInTime: -1 });
+
+// Attach an overdue outpass, once checked in, to late entries logged for the student before it
+const linkLateEntries = (outpass) => LateEntry.updateMany({
+  student: outpass.requestedBy,
+  outpass: null,
+  enteredAt: {
+    $gte: new Date(outpass.actualInTime.getTime() - LINK_WINDOW_MS),
+    $lte: new Date(outpass.actualInTime.getTime() + LINK_WINDOW_MS)
+  }
+}, { outpass: outpass._id });
+
+// Late entries of the student in the window ending at `at`
+const countRecentLateEntries = (studentId, at) => LateEntry.countDocuments({
+  student: studentId,
+  enteredAt: { $gte: windowStart(at), $lte: at }
+});
+
+// Email the block's wardens that a student crossed a repeat-offender threshold
+const notifyRepeatOffender = async (entry, profile) => {
+  const block = entry.hostelBlock
+    ? await Block.findOne({ code: entry.hostelBlock }).populate({ path: 'wardens', select: 'email isActive', match: { isActive: true } })
+    : null;
+  const wardens = block ? block.wardens.filter(Boolean) : [];
+
+  const name = profile ? profile.name : 'A student';
+  const text = `${name}${profile ? ` (${profile.rollNumber}, room ${profile.roomNumber}, block ${profile.hostelBlock})` : ''} ` +
+    `has come in after curfew ${entry.offenceCount} times in the last ${LATE_ENTRY_WINDOW_DAYS} days.\n\n` +
+    `Latest: ${entry.enteredAt.toLocaleString()}, ${entry.minutesLate} minutes after the ${entry.curfew} curfew.\n` +
+    `Reason given: ${entry.reason}`;
+
+  const results = await Promise.allSettled(wardens.map(warden => sendMail({
+    to: warden.email,
+    subject: `Repeated late entry: ${name}`,
+    text
+  })));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Late entry notification error:', result.reason));
+
+  return wardens.length;
+};
+
+module.exports = {
+  DEFAULT_CURFEW,
+  LATE_ENTRY_WINDOW_DAYS,
+  LATE_ENTRY_THRESHOLDS,
+  getCurfew,
+  getMinutesLate,
+  windowStart,
+  findOverdueReturn,
+  linkLateEntries,
+  countRecentLateEntries,
+  notifyRepeatOffender
+};
@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Build transport from environment
+// MAIL_TRANSPORT=smtp (default) uses SMTP_* settings, MAIL_TRANSPORT=json logs messages instead of sending
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+};
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the transport (e.g. a stub in dev or tests)
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Hostel Hub <no-reply@hostelhub.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    console.log('📧 Mail (json transport):', info.message);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport
+};
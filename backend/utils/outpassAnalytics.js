@@ -0,0 +1,170 @@
+const OutpassRequest = require('../models/OutpassRequest');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses of outpasses that were granted, whatever happened after
+const GRANTED_STATUSES = ['approved', 'checked_out', 'overdue', 'returned'];
+
+// Trend buckets: calendar days, or ISO weeks ("2026-W42")
+const BUCKET_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V'
+};
+
+// Buckets follow the server's local days, like outDate and the roll call nights
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const isGranted = { $in: ['$status', GRANTED_STATUSES] };
+const hasLeft = { $ne: [{ $ifNull: ['$actualOutTime', null] }, null] };
+const wasOverdue = { $ne: [{ $ifNull: ['$overdue.markedAt', null] }, null] };
+const isReturned = { $ne: [{ $ifNull: ['$actualInTime', null] }, null] };
+
+// Hours between two date expressions; null when either is missing, which $avg skips
+const hoursBetween = (from, to) => ({
+  $cond: [
+    { $and: [{ $ne: [{ $ifNull: [from, null] }, null] }, { $ne: [{ $ifNull: [to, null] }, null] }] },
+    { $divide: [{ $subtract: [to, from] }, HOUR_MS] },
+    null
+  ]
+});
+
+const toInt = (input) => ({ $convert: { input, to: 'int', onError: 0, onNull: 0 } });
+
+// outDate/inDate are local midnight; add the "HH:MM" time to get the planned moment
+const atTime = (date, time) => ({
+  $add: [date, {
+    $multiply: [{
+      $add: [
+        { $multiply: [toInt({ $substrBytes: [time, 0, 2] }), 60] },
+        toInt({ $substrBytes: [time, 3, 2] })
+      ]
+    }, 60 * 1000]
+  }]
+});
+
+const plannedHours = hoursBetween(atTime('$outDate', '$outTime'), atTime('$inDate', '$inTime'));
+const actualHours = hoursBetween('$actualOutTime', '$actualInTime');
+const turnaroundHours = hoursBetween('$createdAt', '$reviewedAt');
+
+const round = (value, places = 1) => (value === null || value === undefined
+  ? null
+  : Math.round(value * 10 ** places) / 10 ** places);
+
+const rate = (part, whole) => (whole > 0 ? round(part / whole, 3) : null);
+
+// Overdue rate among outpasses the students actually left on
+const overdueGroup = (key) => ({
+  $group: {
+    _id: key,
+    requests: { $sum: 1 },
+    left: countIf(hasLeft),
+    overdue: countIf(wasOverdue)
+  }
+});
+
+// Analytics over the outpasses matching `match` (requested within the range):
+// trend, durations, overdue rates by block and type, frequent leavers and approval turnaround
+const buildOutpassAnalytics = async (match, { bucket = 'day', limit = 10 } = {}) => {
+  const [result] = await OutpassRequest.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        trend: [
+          {
+            $group: {
+              _id: { $dateToString: { format: BUCKET_FORMATS[bucket], date: '$createdAt', timezone: TIMEZONE } },
+              requested: { $sum: 1 },
+              granted: countIf(isGranted),
+              rejected: countIf({ $eq: ['$status', 'rejected'] }),
+              cancelled: countIf({ $eq: ['$status', 'cancelled'] }),
+              left: countIf(hasLeft),
+              overdue: countIf(wasOverdue)
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        duration: [
+          {
+            $group: {
+              _id: null,
+              averagePlannedHours: { $avg: plannedHours },
+              averageActualHours: { $avg: { $cond: [isReturned, actualHours, null] } },
+              returned: countIf(isReturned)
+            }
+          }
+        ],
+        byBlock: [overdueGroup('$hostelBlock'), { $sort: { _id: 1 } }],
+        byType: [overdueGroup('$type'), { $sort: { _id: 1 } }],
+        leavers: [
+          {
+            $group: {
+              _id: '$requestedBy',
+              requests: { $sum: 1 },
+              left: countIf(hasLeft),
+              overdue: countIf(wasOverdue),
+              hoursAway: { $sum: { $cond: [isReturned, actualHours, 0] } },
+              lastLeftAt: { $max: '$actualOutTime' }
+            }
+          },
+          { $match: { left: { $gt: 0 } } },
+          { $sort: { left: -1, overdue: -1, hoursAway: -1 } },
+          { $limit: limit }
+        ],
+        turnaround: [
+          { $match: { reviewedAt: { $ne: null } } },
+          {
+            $group: {
+              _id: '$type',
+              decided: { $sum: 1 },
+              averageHours: { $avg: turnaroundHours },
+              maxHours: { $max: turnaroundHours }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const overdueRow = (field) => ({ _id, requests, left, overdue }) => ({
+    [field]: _id,
+    requests,
+    left,
+    overdue,
+    overdueRate: rate(overdue, left)
+  });
+  const [duration = {}] = result.duration;
+  const decided = result.turnaround.reduce((sum, row) => sum + row.decided, 0);
+
+  return {
+    trend: result.trend.map(({ _id, ...row }) => ({ bucket: _id, ...row })),
+    duration: {
+      averagePlannedHours: round(duration.averagePlannedHours),
+      averageActualHours: round(duration.averageActualHours),
+      returned: duration.returned || 0
+    },
+    overdueByBlock: result.byBlock.map(overdueRow('block')),
+    overdueByType: result.byType.map(overdueRow('type')),
+    leavers: result.leavers.map(({ _id, hoursAway, ...row }) => ({ student: _id, ...row, hoursAway: round(hoursAway) })),
+    turnaround: {
+      decided,
+      averageHours: decided > 0
+        ? round(result.turnaround.reduce((sum, row) => sum + row.averageHours * row.decided, 0) / decided)
+        : null,
+      maxHours: decided > 0 ? round(Math.max(...result.turnaround.map(row => row.maxHours))) : null,
+      byType: result.turnaround.map(({ _id, decided: count, averageHours, maxHours }) => ({
+        type: _id,
+        decided: count,
+        averageHours: round(averageHours),
+        maxHours: round(maxHours)
+      }))
+    }
+  };
+};
+
+module.exports = {
+  BUCKET_FORMATS,
+  buildOutpassAnalytics
+};
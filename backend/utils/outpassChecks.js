@@ -0,0 +1,174 @@
+const OutpassRequest = require('../models/OutpassRequest');
+const OutpassPolicy = require('../models/OutpassPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Outpasses that still hold the student's time: a new one may not overlap these
+const ACTIVE_STATUSES = ['pending', 'under_review', 'approved', 'checked_out', 'overdue'];
+
+// Outpasses that count towards the monthly quota
+const COUNTED_STATUSES = [...ACTIVE_STATUSES, 'returned'];
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Active outpass of the student, other than excludeId, overlapping any of the given ones
+const findOverlap = async (studentId, outpasses, excludeId = null) => {
+  const starts = outpasses.map(outpass => outpass.getScheduledOut());
+  const ends = outpasses.map(outpass => outpass.getScheduledReturn());
+
+  // outDate/inDate are stored at midnight, so widen the prefilter by a day each side
+  const existing = await OutpassRequest.find({
+    requestedBy: studentId,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    status: { $in: ACTIVE_STATUSES },
+    outDate: { $lte: new Date(Math.max(...ends) + 24 * HOUR_MS) },
+    inDate: { $gte: new Date(Math.min(...starts) - 24 * HOUR_MS) }
+  }).select('outDate outTime inDate inTime status type');
+
+  return existing.find(other => outpasses.some((outpass, index) =>
+    overlaps(starts[index], ends[index], other.getScheduledOut(), other.getScheduledReturn())
+  )) || null;
+};
+
+// First month whose quota the new outpasses would exceed, with its usage
+const findQuotaExcess = async (studentId, type, outpasses, maxPerMonth) => {
+  const added = {};
+  outpasses.forEach(outpass => {
+    const key = monthKey(outpass.getScheduledOut());
+    added[key] = (added[key] || 0) + 1;
+  });
+
+  for (const month of Object.keys(added).sort()) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const used = await OutpassRequest.countDocuments({
+      requestedBy: studentId,
+      type,
+      status: { $in: COUNTED_STATUSES },
+      outDate: { $gte: new Date(year, monthIndex - 1, 1), $lt: new Date(year, monthIndex, 1) }
+    });
+
+    if (used + added[month] > maxPerMonth) {
+      return { month, used };
+    }
+  }
+
+  return null;
+};
+
+const getDurationError = (outpass, policy) => {
+  const hours = (outpass.getScheduledReturn() - outpass.getScheduledOut()) / HOUR_MS;
+  if (!policy.maxDurationHours || hours <= policy.maxDurationHours) return null;
+
+  return {
+    httpStatus: 400,
+    error: `A ${outpass.type.replace(/_/g, ' ')} outpass can last at most ${policy.maxDurationHours} hours`,
+    code: 'OUTPASS_TOO_LONG',
+    maxDurationHours: policy.maxDurationHours
+  };
+};
+
+const getBlackoutError = (outpass, policy) => {
+  const blackout = policy.blackoutPeriods.find(period =>
+    overlaps(outpass.getScheduledOut(), outpass.getScheduledReturn(), new Date(period.from), new Date(period.to))
+  );
+  if (!blackout) return null;
+
+  return {
+    httpStatus: 400,
+    error: `Outpasses of this type are not allowed${blackout.label ? ` during ${blackout.label}` : ''} ` +
+      `(${new Date(blackout.from).toDateString()} to ${new Date(blackout.to).toDateString()})`,
+    code: 'BLACKOUT_PERIOD',
+    blackout
+  };
+};
+
+// Why the student can't take these new outpasses (all occurrences of a series), as
+// { httpStatus, error, code, ... }, or null when the type's policy allows them.
+// Emergencies skip the notice and blackout rules but may still not overlap another outpass.
+const checkOutpassPolicy = async ({ studentId, outpasses, now = new Date() }) => {
+  const [first] = outpasses;
+  const policy = await OutpassPolicy.getPolicy(first.type);
+  const isEmergency = first.isEmergency || first.type === 'emergency';
+
+  const tooLong = getDurationError(first, policy);
+  if (tooLong) return tooLong;
+
+  if (!isEmergency && policy.minNoticeHours) {
+    const noticeHours = (first.getScheduledOut() - now) / HOUR_MS;
+    if (noticeHours < policy.minNoticeHours) {
+      return {
+        httpStatus: 400,
+        error: `A ${first.type.replace(/_/g, ' ')} outpass must be requested at least ${policy.minNoticeHours} hours in advance`,
+        code: 'INSUFFICIENT_NOTICE',
+        minNoticeHours: policy.minNoticeHours
+      };
+    }
+  }
+
+  if (!isEmergency) {
+    for (const outpass of outpasses) {
+      const blackout = getBlackoutError(outpass, policy);
+      if (blackout) return blackout;
+    }
+  }
+
+  const conflict = await findOverlap(studentId, outpasses);
+  if (conflict) {
+    return {
+      httpStatus: 409,
+      error: 'You already have an outpass during this time',
+      code: 'OUTPASS_OVERLAP',
+      conflictingRequest: conflict._id
+    };
+  }
+
+  if (policy.maxPerMonth) {
+    const excess = await findQuotaExcess(studentId, first.type, outpasses, policy.maxPerMonth);
+    if (excess) {
+      return {
+        httpStatus: 409,
+        error: `You can take at most ${policy.maxPerMonth} ${first.type.replace(/_/g, ' ')} outpasses a month ` +
+          `(${excess.used} already in ${excess.month})`,
+        code: 'OUTPASS_QUOTA_EXCEEDED',
+        maxPerMonth: policy.maxPerMonth,
+        month: excess.month,
+        used: excess.used
+      };
+    }
+  }
+
+  return null;
+};
+
+// Why an approved outpass can't be extended as `extended` (a copy with the proposed return),
+// or null. Notice and quota don't apply to an outpass that was already granted.
+const checkExtension = async ({ studentId, outpass, extended }) => {
+  const policy = await OutpassPolicy.getPolicy(outpass.type);
+
+  const tooLong = getDurationError(extended, policy);
+  if (tooLong) return tooLong;
+
+  if (!outpass.isEmergency && outpass.type !== 'emergency') {
+    const blackout = getBlackoutError(extended, policy);
+    if (blackout) return blackout;
+  }
+
+  const conflict = await findOverlap(studentId, [extended], outpass._id);
+  if (conflict) {
+    return {
+      httpStatus: 409,
+      error: 'The extension runs into another of your outpasses',
+      code: 'OUTPASS_OVERLAP',
+      conflictingRequest: conflict._id
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  checkOutpassPolicy,
+  checkExtension
+};
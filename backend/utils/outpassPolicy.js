@@ -0,0 +1,104 @@
+// Per-type outpass rules. Admins override these through /api/outpass/policies; types
+// without an override use DEFAULT_OUTPASS_POLICIES. null means no limit.
+const OUTPASS_TYPES = ['home_visit', 'medical', 'academic', 'personal', 'family_event', 'emergency', 'other'];
+
+// Kinds of supporting document a student can upload with an outpass
+const DOCUMENT_TYPES = ['medical_certificate', 'invitation_letter', 'travel_ticket', 'parent_letter', 'other'];
+
+// Sign-offs an outpass can need, in the order they are given
+const APPROVAL_STEPS = ['parent', 'block_warden', 'chief_warden'];
+
+const APPROVAL_STEP_LABELS = {
+  parent: 'Parent',
+  block_warden: 'Block warden',
+  chief_warden: 'Chief warden'
+};
+
+// Outpass types that need a linked parent's consent unless an admin changed the type's steps
+const PARENT_CONSENT_TYPES = (process.env.PARENT_CONSENT_TYPES || 'home_visit,family_event,personal')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+// Late-night passes run into the hours from lateNightAfter until this time
+const LATE_NIGHT_ENDS = '06:00';
+
+const BASE_POLICY = {
+  maxPerMonth: null,
+  maxDurationHours: null,
+  minNoticeHours: null,
+  blackoutPeriods: [],
+  requiredDocuments: [],
+  approvalSteps: ['block_warden'],
+  // Longer outpasses, and ones leaving or returning after lateNightAfter, also need the chief warden
+  chiefWardenAfterHours: 72,
+  lateNightAfter: '22:00'
+};
+
+const withParentStep = (type, policy) => (PARENT_CONSENT_TYPES.includes(type)
+  ? { ...policy, approvalSteps: ['parent', ...policy.approvalSteps] }
+  : policy);
+
+const DEFAULT_OUTPASS_POLICIES = Object.fromEntries(Object.entries({
+  home_visit: { ...BASE_POLICY, maxPerMonth: 2, maxDurationHours: 7 * 24, minNoticeHours: 24 },
+  medical: { ...BASE_POLICY, maxDurationHours: 3 * 24, requiredDocuments: ['medical_certificate'] },
+  academic: { ...BASE_POLICY, maxDurationHours: 14 * 24, minNoticeHours: 24 },
+  personal: { ...BASE_POLICY, maxPerMonth: 4, maxDurationHours: 12, minNoticeHours: 2 },
+  family_event: { ...BASE_POLICY, maxPerMonth: 2, maxDurationHours: 4 * 24, minNoticeHours: 48 },
+  // Emergencies go straight to the block warden
+  emergency: { ...BASE_POLICY, chiefWardenAfterHours: null, lateNightAfter: null },
+  other: { ...BASE_POLICY, maxPerMonth: 4, maxDurationHours: 24, minNoticeHours: 12 }
+}).map(([type, policy]) => [type, withParentStep(type, policy)]));
+
+// Fields an admin can set on a policy
+const POLICY_FIELDS = [
+  'maxPerMonth',
+  'maxDurationHours',
+  'minNoticeHours',
+  'blackoutPeriods',
+  'requiredDocuments',
+  'approvalSteps',
+  'chiefWardenAfterHours',
+  'lateNightAfter'
+];
+
+// "HH:MM" as minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const isLateNight = (time, lateNightAfter) => {
+  const minutes = toMinutes(time);
+  return minutes >= toMinutes(lateNightAfter) || minutes < toMinutes(LATE_NIGHT_ENDS);
+};
+
+// Ordered approval steps for a new outpass under its type's policy. The parent step is
+// dropped for emergencies and for students without a linked parent.
+const buildApprovalSteps = (outpass, policy, hasParents) => {
+  const steps = new Set(policy.approvalSteps);
+
+  if (policy.chiefWardenAfterHours && outpass.totalDurationHours > policy.chiefWardenAfterHours) {
+    steps.add('chief_warden');
+  }
+  if (policy.lateNightAfter &&
+    (isLateNight(outpass.outTime, policy.lateNightAfter) || isLateNight(outpass.inTime, policy.lateNightAfter))) {
+    steps.add('chief_warden');
+  }
+  if (!hasParents || outpass.isEmergency) {
+    steps.delete('parent');
+  }
+
+  return APPROVAL_STEPS.filter(step => steps.has(step)).map(step => ({ step }));
+};
+
+module.exports = {
+  OUTPASS_TYPES,
+  DOCUMENT_TYPES,
+  APPROVAL_STEPS,
+  APPROVAL_STEP_LABELS,
+  PARENT_CONSENT_TYPES,
+  DEFAULT_OUTPASS_POLICIES,
+  POLICY_FIELDS,
+  buildApprovalSteps
+};
@@ -0,0 +1,147 @@
+const OutpassRequest = require('../models/OutpassRequest');
+const StudentProfile = require('../models/StudentProfile');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { findLinkedParents } = require('./parentConsent');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+// Minutes after the planned return before a student still out is marked overdue
+const OVERDUE_GRACE_MINUTES = parseInt(process.env.OVERDUE_GRACE_MINUTES) || 30;
+
+// Hours past the planned return at which an overdue student is escalated again. The
+// last threshold also alerts admins.
+const OVERDUE_ESCALATION_HOURS = (process.env.OVERDUE_ESCALATION_HOURS || '2,12,24')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Escalation level an overdue request should be at, given how long it is past its return time
+const getEscalationLevel = (outpass, now) => {
+  const hoursLate = (now - outpass.getScheduledReturn()) / HOUR_MS;
+  return OVERDUE_ESCALATION_HOURS.filter(hours => hoursLate >= hours).length;
+};
+
+const formatLateness = (outpass, now) => {
+  const minutes = Math.max(Math.floor((now - outpass.getScheduledReturn()) / (60 * 1000)), 0);
+  return minutes < 120 ? `${minutes} minutes` : `${Math.floor(minutes / 60)} hours`;
+};
+
+// Student, wardens of the student's block, linked parents and, at the last level, admins
+const getRecipients = async (outpass, level) => {
+  const [student, profile, block, parents, admins] = await Promise.all([
+    User.findById(outpass.requestedBy).select('email identifier'),
+    StudentProfile.findOne({ user: outpass.requestedBy }).select('name rollNumber roomNumber hostelBlock'),
+    outpass.hostelBlock
+      ? Block.findOne({ code: outpass.hostelBlock }).populate({ path: 'wardens', select: 'email isActive', match: { isActive: true } })
+      : null,
+    findLinkedParents(outpass.requestedBy),
+    level > 0 && level === OVERDUE_ESCALATION_HOURS.length
+      ? User.find({ role: 'admin', isActive: true }).select('email')
+      : []
+  ]);
+
+  return {
+    student,
+    profile,
+    wardens: block ? block.wardens.filter(Boolean) : [],
+    parents,
+    admins
+  };
+};
+
+// Tell everyone concerned; a failed delivery to one recipient doesn't stop the others
+const notifyOverdue = async (outpass, level, now) => {
+  const { student, profile, wardens, parents, admins } = await getRecipients(outpass, level);
+  const name = profile ? profile.name : student ? student.identifier : 'A student';
+  const lateness = formatLateness(outpass, now);
+  const due = `${outpass.inDate.toDateString()} ${outpass.inTime}`;
+  const escalation = level > 0 ? ` (escalation ${level} of ${OVERDUE_ESCALATION_HOURS.length})` : '';
+
+  const staffText = `${name}${profile ? ` (${profile.rollNumber}, room ${profile.roomNumber}, block ${profile.hostelBlock})` : ''} ` +
+    `was due back at ${due} and is ${lateness} overdue${escalation}.\n\n` +
+    `Destination: ${outpass.destination.city}, ${outpass.destination.state}\n` +
+    `Contact during leave: ${outpass.contactDuringLeave.primaryNumber}\n` +
+    `Emergency contact: ${outpass.emergencyContact.name} (${outpass.emergencyContact.relationship}) ${outpass.emergencyContact.phoneNumber}`;
+  const parentText = `${name} was due back at the hostel at ${due} and has not returned (${lateness} late). ` +
+    'Please contact them or the hostel office.';
+  const studentText = `You were due back at the hostel at ${due} and are ${lateness} late. ` +
+    'Return as soon as possible or contact your warden.';
+
+  const deliveries = [
+    ...(student ? [sendMail({ to: student.email, subject: 'You are overdue from your outpass', text: studentText })] : []),
+    sendSms({ to: outpass.contactDuringLeave.primaryNumber, message: studentText }),
+    ...[...wardens, ...admins].map(staff => sendMail({
+      to: staff.email,
+      subject: `Overdue outpass: ${name}${escalation}`,
+      text: staffText
+    })),
+    ...parents.flatMap(parent => [
+      sendSms({ to: parent.phone, message: parentText }),
+      sendMail({ to: parent.user.email, subject: `${name} has not returned to the hostel`, text: parentText })
+    ])
+  ];
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Overdue notification error:', result.reason));
+};
+
+// Mark checked-out requests past their return time (plus the grace period) overdue and
+// escalate overdue ones as they cross each threshold. Safe to run as often as you like.
+const runOverdueCheck = async (now = new Date()) => {
+  const summary = { markedOverdue: 0, escalated: 0, failed: 0 };
+
+  // inDate is midnight of the return day; the exact time is checked per request
+  const candidates = await OutpassRequest.find({
+    status: { $in: ['checked_out', 'overdue'] },
+    inDate: { $lte: now }
+  });
+
+  for (const outpass of candidates) {
+    try {
+      if (outpass.status === 'checked_out') {
+        if (!(await outpass.checkOverdueStatus(OVERDUE_GRACE_MINUTES, now))) continue;
+
+        // A request found long after its return time starts at the level it has reached
+        outpass.overdue.escalationLevel = getEscalationLevel(outpass, now);
+        outpass.overdue.lastNotifiedAt = now;
+        await outpass.save();
+
+        await notifyOverdue(outpass, outpass.overdue.escalationLevel, now);
+        summary.markedOverdue += 1;
+        continue;
+      }
+
+      const level = getEscalationLevel(outpass, now);
+      if (level <= (outpass.overdue?.escalationLevel || 0)) continue;
+
+      outpass.overdue.escalationLevel = level;
+      outpass.overdue.lastNotifiedAt = now;
+      outpass.statusHistory.push({
+        status: 'overdue',
+        changedBy: null,
+        notes: `Escalation ${level} of ${OVERDUE_ESCALATION_HOURS.length} - ${formatLateness(outpass, now)} past return time`
+      });
+      await outpass.save();
+
+      await notifyOverdue(outpass, level, now);
+      summary.escalated += 1;
+    } catch (error) {
+      console.error(`Overdue check failed for outpass ${outpass._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  OVERDUE_GRACE_MINUTES,
+  OVERDUE_ESCALATION_HOURS,
+  runOverdueCheck
+};
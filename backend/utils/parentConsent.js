@@ -0,0 +1,37 @@
+const ParentProfile = require('../models/ParentProfile');
+const { sendSms } = require('./sms');
+const { sendMail } = require('./mailer');
+
+// Parent profiles linked to a student, with their account when it is still active
+const findLinkedParents = async (studentId) => {
+  const parents = await ParentProfile.find({ children: studentId })
+    .populate({ path: 'user', select: 'email isActive', match: { isActive: true } });
+  return parents.filter(parent => parent.user);
+};
+
+// Text and email each parent; a failed delivery to one parent doesn't stop the others.
+// For a recurring series, `outpass` is the first occurrence.
+const notifyParents = async (parents, studentName, outpass, occurrences = 1) => {
+  const when = `${outpass.outDate.toDateString()} ${outpass.outTime} to ${outpass.inDate.toDateString()} ${outpass.inTime}`;
+  const repeats = occurrences > 1 ? `, repeating ${outpass.recurringPattern} (${occurrences} times)` : '';
+  const message = `${studentName} has requested an outpass (${outpass.type.replace(/_/g, ' ')}) for ${when}${repeats}. ` +
+    'Open the Hostel Hub app to approve or decline.';
+
+  const results = await Promise.allSettled(parents.flatMap(parent => [
+    sendSms({ to: parent.phone, message }),
+    sendMail({
+      to: parent.user.email,
+      subject: `Outpass consent needed for ${studentName}`,
+      text: `${message}\n\nDestination: ${outpass.destination.city}, ${outpass.destination.state}\nReason: ${outpass.reason}`
+    })
+  ]));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Parent consent notification error:', result.reason));
+};
+
+module.exports = {
+  findLinkedParents,
+  notifyParents
+};
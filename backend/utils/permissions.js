@@ -0,0 +1,139 @@
+// Permission catalog. Route guards name these with requirePermission();
+// admins can change which roles hold them through /api/admin/permissions.
+const PERMISSIONS = {
+  'dashboard:student': 'View the student dashboard',
+  'dashboard:staff': 'View the staff dashboard',
+
+  'outpass:create': 'Request outpasses',
+  'outpass:view': 'View outpass requests of students in assigned blocks',
+  'outpass:review': 'Approve or reject outpasses in assigned blocks',
+  'outpass:approve_final': 'Give chief warden sign-off on long and late-night outpasses in assigned blocks',
+  'outpass:stats': 'View outpass statistics for assigned blocks',
+  'outpass:consent': 'Give or refuse parent consent for linked students\' outpasses',
+  'outpass:view_children': 'View linked students\' outpass history and gate times',
+  'outpass:policy': 'Set monthly limits, maximum duration, notice and blackout dates per outpass type',
+
+  'gate:check': 'Look up approved outpasses and record check-out and check-in at the gate',
+  'gate:view_out': 'See which students of assigned blocks are currently out',
+
+  'rollcall:take': 'Start, mark and close nightly roll calls in assigned blocks',
+  'rollcall:view': 'View roll calls and the daily presence report for assigned blocks',
+
+  'late_entry:record': 'Record students entering after curfew in assigned blocks',
+  'late_entry:view': 'View late entries and repeat offenders of assigned blocks',
+  'late_entry:view_own': 'View your own late-entry history',
+
+  'maintenance:create': 'Raise maintenance requests',
+  'maintenance:view': 'View maintenance requests in assigned blocks',
+  'maintenance:update': 'Update the status of maintenance requests in assigned blocks',
+  'maintenance:assign': 'Assign maintenance requests in assigned blocks',
+  'maintenance:stats': 'View maintenance statistics for assigned blocks',
+
+  'dining:rate': 'Rate mess meals',
+  'dining:manage_menu': 'Create and edit the mess menu',
+  'dining:stats': 'View mess rating statistics',
+
+  'announcements:create': 'Publish announcements',
+  'announcements:manage': 'Edit or delete announcements published by others',
+  'announcements:pin': 'Pin announcements',
+  'announcements:stats': 'View announcement statistics',
+
+  'canteen:manage_menu': 'Manage canteen categories and menu items',
+  'canteen:manage_orders': 'View and update all canteen orders',
+  'canteen:stats': 'View canteen order statistics',
+
+  'users:manage': 'Create, edit, deactivate and sign out users',
+  'users:import': 'Import student rosters',
+  'students:rollover': 'Run the semester rollover and archive graduating students',
+  'blocks:manage': 'Configure hostel blocks and allocation rules',
+  'permissions:manage': 'Change which roles hold which permissions',
+  'audit:view': 'View and export the audit log of staff and admin actions'
+};
+
+// Permissions limited to the hostel blocks in the holder's StaffProfile.hostelBlocks
+const SCOPED_PERMISSIONS = [
+  'outpass:view',
+  'outpass:review',
+  'outpass:approve_final',
+  'outpass:stats',
+  'gate:check',
+  'gate:view_out',
+  'rollcall:take',
+  'rollcall:view',
+  'late_entry:record',
+  'late_entry:view',
+  'maintenance:view',
+  'maintenance:update',
+  'maintenance:assign',
+  'maintenance:stats'
+];
+
+// Only meaningful for accounts with linked children
+const PARENT_ONLY_PERMISSIONS = ['outpass:consent', 'outpass:view_children'];
+
+const WARDEN_PERMISSIONS = [
+  'dashboard:staff',
+  'outpass:view',
+  'outpass:review',
+  'outpass:stats',
+  'gate:view_out',
+  'rollcall:take',
+  'rollcall:view',
+  'late_entry:record',
+  'late_entry:view',
+  'maintenance:view',
+  'maintenance:update',
+  'maintenance:assign',
+  'maintenance:stats',
+  'dining:manage_menu',
+  'announcements:create',
+  'announcements:stats'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [
+    'dashboard:student',
+    'outpass:create',
+    'late_entry:view_own',
+    'maintenance:create',
+    'dining:rate'
+  ],
+  warden: WARDEN_PERMISSIONS,
+  // A warden who also signs off outpasses that need the chief warden
+  chief_warden: [...WARDEN_PERMISSIONS, 'outpass:approve_final'],
+  canteen_owner: [
+    'dashboard:staff',
+    'canteen:manage_menu',
+    'canteen:manage_orders',
+    'canteen:stats'
+  ],
+  security: [
+    'dashboard:staff',
+    'gate:check',
+    'gate:view_out',
+    'late_entry:record'
+  ],
+  parent: [
+    'outpass:consent',
+    'outpass:view_children'
+  ],
+  admin: Object.keys(PERMISSIONS).filter(permission => !PARENT_ONLY_PERMISSIONS.includes(permission))
+};
+
+// Admins always keep this so nobody can lock themselves out of the mapping editor
+const LOCKED_PERMISSIONS = {
+  admin: ['permissions:manage']
+};
+
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+const isScopedPermission = (permission) => SCOPED_PERMISSIONS.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  SCOPED_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+  isKnownPermission,
+  isScopedPermission
+};
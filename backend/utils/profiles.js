@@ -0,0 +1,17 @@
+const StudentProfile = require('../models/StudentProfile');
+const StaffProfile = require('../models/StaffProfile');
+const ParentProfile = require('../models/ParentProfile');
+
+// Each role keeps its details in one profile collection
+const getProfileModel = (role) => {
+  if (role === 'student') return StudentProfile;
+  if (role === 'parent') return ParentProfile;
+  return StaffProfile;
+};
+
+const findProfile = (user) => getProfileModel(user.role).findOne({ user: user._id });
+
+module.exports = {
+  getProfileModel,
+  findProfile
+};
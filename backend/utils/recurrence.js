@@ -0,0 +1,73 @@
+// Recurring outpasses are stored as one OutpassRequest per occurrence sharing a `series` id
+const RECURRING_PATTERNS = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on occurrences generated for one series
+const MAX_RECURRING_OCCURRENCES = parseInt(process.env.MAX_RECURRING_OCCURRENCES) || 30;
+
+// Shortest gap between two occurrences of each pattern
+const MIN_INTERVAL_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 28 * 24 * 60 * 60 * 1000
+};
+
+// The date `steps` occurrences after `date`
+const shiftDate = (date, pattern, steps) => {
+  const shifted = new Date(date);
+
+  if (pattern === 'daily') {
+    shifted.setUTCDate(shifted.getUTCDate() + steps);
+  } else if (pattern === 'weekly') {
+    shifted.setUTCDate(shifted.getUTCDate() + steps * 7);
+  } else {
+    shifted.setUTCMonth(shifted.getUTCMonth() + steps);
+    // 31 Jan + 1 month is the last day of February, not early March
+    if (shifted.getUTCDate() !== date.getUTCDate()) shifted.setUTCDate(0);
+  }
+
+  return shifted;
+};
+
+// Out/in dates of every occurrence leaving on or before `until`. Returns { error, code }
+// instead when the series can't be built.
+const buildOccurrences = ({ outDate, inDate, durationMs, pattern, until }) => {
+  if (durationMs >= MIN_INTERVAL_MS[pattern]) {
+    return {
+      error: `A ${pattern} outpass must end before the next one starts`,
+      code: 'RECURRING_OVERLAP'
+    };
+  }
+
+  if (until < outDate) {
+    return {
+      error: 'Recurrence end date must be on or after the first out date',
+      code: 'INVALID_RECURRENCE_END'
+    };
+  }
+
+  const occurrences = [];
+  for (let step = 0; ; step += 1) {
+    const occurrenceOut = shiftDate(outDate, pattern, step);
+    if (occurrenceOut > until) break;
+
+    if (occurrences.length === MAX_RECURRING_OCCURRENCES) {
+      return {
+        error: `A recurring outpass can have at most ${MAX_RECURRING_OCCURRENCES} occurrences`,
+        code: 'TOO_MANY_OCCURRENCES'
+      };
+    }
+
+    occurrences.push({
+      outDate: occurrenceOut,
+      inDate: shiftDate(inDate, pattern, step)
+    });
+  }
+
+  return { occurrences };
+};
+
+module.exports = {
+  RECURRING_PATTERNS,
+  MAX_RECURRING_OCCURRENCES,
+  buildOccurrences
+};
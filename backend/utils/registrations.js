@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const StudentProfile = require('../models/StudentProfile');
+const StaffProfile = require('../models/StaffProfile');
+
+// Lifetime of an email verification link; registrations still unverified after it expire
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+const getStaleBefore = (now) => new Date(now.getTime() - EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+
+// Self-registration never verified within the link lifetime
+const isStaleRegistration = (user, now = new Date()) =>
+  user.emailVerified === false && user.createdAt < getStaleBefore(now);
+
+const removeRegistration = async (user) => {
+  await Promise.all([
+    StudentProfile.deleteOne({ user: user._id }),
+    StaffProfile.deleteOne({ user: user._id })
+  ]);
+  await user.deleteOne();
+};
+
+// Delete expired self-registrations so they stop holding their roll number and email
+const purgeStaleRegistrations = async (now = new Date()) => {
+  const summary = { removed: 0, failed: 0 };
+  const stale = await User.find({ emailVerified: false, createdAt: { $lt: getStaleBefore(now) } });
+
+  for (const user of stale) {
+    try {
+      await removeRegistration(user);
+      console.log(`🧹 Removed unverified registration ${user.identifier} (${user.email})`);
+      summary.removed += 1;
+    } catch (error) {
+      console.error(`Failed to remove unverified registration ${user._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_EXPIRE_HOURS,
+  isStaleRegistration,
+  removeRegistration,
+  purgeStaleRegistrations
+};
@@ -0,0 +1,90 @@
+const OutpassRequest = require('../models/OutpassRequest');
+const StudentProfile = require('../models/StudentProfile');
+
+// Floor of a room from the hundreds of its number: 204 -> 2, G12 -> 0
+const getFloor = (roomNumber) => {
+  const digits = String(roomNumber || '').match(/\d+/);
+  return digits ? Math.floor(parseInt(digits[0]) / 100) : null;
+};
+
+// Local midnight of a "YYYY-MM-DD" date, or of today
+const toNight = (date) => {
+  const day = date ? new Date(`${date}T00:00:00`) : new Date();
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+};
+
+// Time of night a roll call for an earlier night is taken to have happened
+const ROLL_CALL_TIME = process.env.ROLL_CALL_TIME || '22:00';
+
+// Moment a roll call for `night` counts students at: now for tonight's, ROLL_CALL_TIME for earlier ones
+const getRollCallTime = (night, now = new Date()) => {
+  if (night.getTime() === toNight().getTime()) return now;
+
+  const [hours, minutes] = ROLL_CALL_TIME.split(':').map(Number);
+  return new Date(night.getFullYear(), night.getMonth(), night.getDate(), hours, minutes || 0);
+};
+
+// Outpasses keyed by student id. Students who checked out (or are overdue) are away; an
+// approved pass covering `at` also explains an absence when the student skipped the gate.
+const findOutpassesByStudent = async (studentIds, at, statuses) => {
+  const outpasses = await OutpassRequest.find({
+    requestedBy: { $in: studentIds },
+    status: { $in: statuses }
+  }).select('requestedBy status outDate outTime inDate inTime');
+
+  const byStudent = new Map();
+  outpasses
+    .filter(outpass => outpass.status !== 'approved' ||
+      (outpass.getScheduledOut() <= at && at <= outpass.getScheduledReturn()))
+    .forEach(outpass => byStudent.set(outpass.requestedBy.toString(), outpass));
+  return byStudent;
+};
+
+// Entries for a new roll call: every active resident of the block (and floor), with the
+// ones currently out on an outpass already marked on leave
+const buildRollCallEntries = async (block, floor, at = new Date()) => {
+  const profiles = (await StudentProfile.find({ hostelBlock: block, status: 'active' })
+    .select('user name rollNumber roomNumber')
+    .sort({ roomNumber: 1, rollNumber: 1 }))
+    .filter(profile => floor === null || getFloor(profile.roomNumber) === floor);
+
+  const away = await findOutpassesByStudent(profiles.map(profile => profile.user), at, ['checked_out', 'overdue']);
+
+  return profiles.map(profile => {
+    const outpass = away.get(profile.user.toString());
+    return {
+      student: profile.user,
+      name: profile.name,
+      rollNumber: profile.rollNumber,
+      roomNumber: profile.roomNumber,
+      status: outpass ? 'on_leave' : 'unmarked',
+      outpass: outpass ? outpass._id : null
+    };
+  });
+};
+
+// Flag absentees with no outpass covering the roll call; returns the flagged entries
+const flagAbsentees = async (rollCall, at = new Date()) => {
+  const absent = rollCall.entries.filter(entry => entry.status === 'absent');
+  const covered = await findOutpassesByStudent(
+    absent.map(entry => entry.student),
+    at,
+    ['approved', 'checked_out', 'overdue']
+  );
+
+  absent.forEach(entry => {
+    const outpass = covered.get(entry.student.toString());
+    entry.outpass = outpass ? outpass._id : entry.outpass;
+    entry.flagged = !outpass;
+  });
+
+  return absent.filter(entry => entry.flagged);
+};
+
+module.exports = {
+  getFloor,
+  toNight,
+  getRollCallTime,
+  buildRollCallEntries,
+  flagAbsentees
+};
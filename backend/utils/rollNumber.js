@@ -0,0 +1,27 @@
+// Student roll numbers look like 2022CSE001: admission year, branch code, serial number
+const STUDENT_ROLL_NUMBER_PATTERN = /^\d{4}[A-Z]{3}\d{3}$/;
+
+const isStudentRollNumber = (identifier) => STUDENT_ROLL_NUMBER_PATTERN.test(identifier);
+
+const parseRollNumber = (rollNumber) => {
+  const normalized = rollNumber.toUpperCase();
+
+  return {
+    admissionYear: parseInt(normalized.substring(0, 4)),
+    branch: normalized.substring(4, 7),
+    serial: parseInt(normalized.substring(7))
+  };
+};
+
+// Year of study implied by the admission year, clamped to the 1-5 range profiles allow
+const getYearOfStudy = (rollNumber) => {
+  const { admissionYear } = parseRollNumber(rollNumber);
+  return Math.min(5, Math.max(1, new Date().getFullYear() - admissionYear + 1));
+};
+
+module.exports = {
+  STUDENT_ROLL_NUMBER_PATTERN,
+  isStudentRollNumber,
+  parseRollNumber,
+  getYearOfStudy
+};
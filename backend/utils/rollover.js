@@ -0,0 +1,164 @@
+const StudentProfile = require('../models/StudentProfile');
+const Session = require('../models/Session');
+const OutpassRequest = require('../models/OutpassRequest');
+const SemesterRollover = require('../models/SemesterRollover');
+
+// Outpasses that can no longer be used once the student has left
+const OPEN_OUTPASS_STATUSES = ['pending', 'under_review', 'approved'];
+
+// Outpasses the student is still away on; these stay open for the gate to check them in
+const AWAY_OUTPASS_STATUSES = ['checked_out', 'overdue'];
+
+// Archive a graduate: release the room, keep the profile as read-only history and close the account
+const graduateStudent = async (profile, runBy) => {
+  const user = profile.user;
+
+  profile.lastRoom = {
+    hostelBlock: profile.hostelBlock,
+    roomNumber: profile.roomNumber
+  };
+  profile.roomNumber = 'TBD';
+  profile.status = 'alumni';
+  profile.graduatedAt = new Date();
+  await profile.save();
+
+  user.isActive = false;
+  user.deviceTokens = [];
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'graduated');
+
+  const outpasses = await OutpassRequest.find({
+    requestedBy: user._id,
+    status: { $in: OPEN_OUTPASS_STATUSES }
+  });
+
+  for (const outpass of outpasses) {
+    await outpass.updateStatus('cancelled', runBy, 'Cancelled: student graduated');
+  }
+};
+
+// Report lines for a graduate's outpasses still out, so the office can follow them up
+const describeOutpassesAway = async (userId) => {
+  const away = await OutpassRequest.find({
+    requestedBy: userId,
+    status: { $in: AWAY_OUTPASS_STATUSES }
+  }).select('_id status');
+
+  return away.map(outpass => `Still out on outpass ${outpass._id} (${outpass.status}); check them in at the gate`);
+};
+
+// A real run saves after every student; one that hasn't saved for this long died mid-run
+const ROLLOVER_STALE_MINUTES = parseInt(process.env.ROLLOVER_STALE_MINUTES) || 15;
+
+// Whether an earlier real run of a term may be run again: it failed, or stopped saving progress
+const canRerun = (rollover, now = new Date()) => rollover.status === 'failed' ||
+  (rollover.status === 'running' && rollover.updatedAt < new Date(now.getTime() - ROLLOVER_STALE_MINUTES * 60 * 1000));
+
+// Take over an earlier run of the term; null when another rerun got there first
+const claimRerun = (previous, { runBy, defaultDuration, durations }) =>
+  SemesterRollover.findOneAndUpdate(
+    { _id: previous._id, status: previous.status, updatedAt: previous.updatedAt },
+    { $set: { status: 'running', runBy, defaultDuration, durations } },
+    { new: true }
+  );
+
+// Move every active student up one semester. Students already in the last semester of
+// their programme (durations by course, in years, falling back to defaultDuration)
+// graduate instead. With dryRun nothing is written except the report itself.
+// `previous` is an earlier run of the term that canRerun() allows; its promoted and graduated
+// students are left alone. Returns null when another rerun claimed it first.
+const runSemesterRollover = async ({ term, dryRun, defaultDuration, durations = [], runBy, previous = null }) => {
+  let rollover;
+  if (previous) {
+    rollover = await claimRerun(previous, { runBy, defaultDuration, durations });
+    if (!rollover) return null;
+    rollover.keepRolledOverRows();
+  } else {
+    rollover = new SemesterRollover({
+      runBy,
+      term,
+      dryRun,
+      status: dryRun ? 'completed' : 'running',
+      defaultDuration,
+      durations
+    });
+
+    // Claim the term first so two runs for the same term can't both promote everyone
+    if (!dryRun) await rollover.save();
+  }
+
+  const rolledOver = new Set(rollover.rows.map(row => row.rollNumber));
+  const durationByCourse = new Map(durations.map(entry => [entry.course.trim().toLowerCase(), entry.years]));
+  const durationFor = (course) => durationByCourse.get(String(course).trim().toLowerCase()) || defaultDuration;
+
+  try {
+    const profiles = await StudentProfile.find({ status: { $ne: 'alumni' } })
+      .populate('user', 'identifier isActive deviceTokens')
+      .sort({ rollNumber: 1 });
+
+    for (const profile of profiles) {
+      if (rolledOver.has(profile.rollNumber)) continue;
+
+      const fromSemester = profile.getSemester();
+      const row = {
+        rollNumber: profile.rollNumber,
+        name: profile.name,
+        course: profile.course,
+        fromSemester,
+        messages: []
+      };
+
+      if (!profile.user) {
+        row.status = 'failed';
+        row.messages.push('Profile has no user account');
+      } else if (!profile.user.isActive) {
+        row.status = 'skipped';
+        row.messages.push('Account is deactivated');
+      } else if (fromSemester >= durationFor(profile.course) * 2) {
+        try {
+          row.messages.push(...await describeOutpassesAway(profile.user._id));
+          if (!dryRun) await graduateStudent(profile, runBy);
+          row.status = 'graduated';
+        } catch (error) {
+          row.status = 'failed';
+          row.messages.push(error.message);
+        }
+      } else {
+        row.toSemester = fromSemester + 1;
+        try {
+          if (!dryRun) {
+            profile.semester = row.toSemester;
+            profile.year = Math.ceil(row.toSemester / 2);
+            await profile.save();
+          }
+          row.status = 'promoted';
+        } catch (error) {
+          row.status = 'failed';
+          row.messages.push(error.message);
+        }
+      }
+
+      rollover.addRow(row);
+      // Saved as it goes, so a rerun after a failure knows who has already moved on
+      if (!dryRun) await rollover.save();
+    }
+  } catch (error) {
+    // Release the term for a rerun; if even this save fails, the run goes stale instead
+    if (!dryRun) {
+      rollover.status = 'failed';
+      await rollover.save().catch(saveError => console.error('Failed to mark rollover as failed:', saveError));
+    }
+    throw error;
+  }
+
+  rollover.status = 'completed';
+  await rollover.save();
+  return rollover;
+};
+
+module.exports = {
+  canRerun,
+  runSemesterRollover,
+  graduateStudent
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Spreadsheet header -> StudentProfile field. Headers are matched case-insensitively
+// ignoring spaces, dots, dashes and underscores, so "Roll No." and "roll_number" both work.
+const HEADER_ALIASES = {
+  rollnumber: 'rollNumber',
+  rollno: 'rollNumber',
+  roll: 'rollNumber',
+  name: 'name',
+  studentname: 'name',
+  fullname: 'name',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  mobile: 'phone',
+  phonenumber: 'phone',
+  parentphone: 'parentPhone',
+  parentmobile: 'parentPhone',
+  guardianphone: 'parentPhone',
+  course: 'course',
+  branch: 'course',
+  year: 'year',
+  roomnumber: 'roomNumber',
+  roomno: 'roomNumber',
+  room: 'roomNumber',
+  hostelblock: 'hostelBlock',
+  block: 'hostelBlock',
+  gender: 'gender',
+  sex: 'gender'
+};
+
+const normalizeHeader = (header) => {
+  const key = String(header || '').toLowerCase().replace(/[\s._-]/g, '');
+  return HEADER_ALIASES[key] || null;
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (sheetRow) => {
+    // ExcelJS row values are 1-indexed
+    const values = sheetRow.values.slice(1).map(value => {
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'object' && value.text !== undefined) return value.text; // hyperlinks, e.g. emails
+      if (typeof value === 'object' && value.result !== undefined) return value.result; // formulas
+      return value;
+    });
+    rows.push(values.map(value => String(value)));
+  });
+
+  return rows;
+};
+
+// Parse an uploaded roster into [{ rowNumber, data }] using the header row for field names.
+// rowNumber is the 1-based spreadsheet row so errors can be matched to the original file.
+const parseRoster = async (buffer, filename) => {
+  const extension = path.extname(filename).toLowerCase();
+  let table;
+
+  if (extension === '.xlsx') {
+    table = await parseXlsx(buffer);
+  } else if (extension === '.csv') {
+    table = parseCsv(buffer.toString('utf8').replace(/^﻿/, ''));
+  } else {
+    throw new Error('Roster must be a .csv or .xlsx file');
+  }
+
+  if (table.length === 0) {
+    throw new Error('Roster file is empty');
+  }
+
+  const fields = table[0].map(normalizeHeader);
+  if (!fields.includes('rollNumber')) {
+    throw new Error('Roster is missing a roll number column');
+  }
+
+  return table.slice(1)
+    .map((cells, index) => {
+      const data = {};
+      fields.forEach((field, column) => {
+        if (field && cells[column] !== undefined) {
+          data[field] = String(cells[column]).trim();
+        }
+      });
+      return { rowNumber: index + 2, data };
+    })
+    .filter(row => Object.values(row.data).some(value => value !== ''));
+};
+
+// Spreadsheets run text starting with these as a formula; quote it with a leading '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\n');
+};
+
+module.exports = {
+  parseRoster,
+  parseCsv,
+  toCsv
+};
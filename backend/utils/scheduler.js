@@ -0,0 +1,50 @@
+const { CronJob } = require('cron');
+const { runOverdueCheck } = require('./overdue');
+const { purgeStaleRegistrations } = require('./registrations');
+
+// Background jobs started with the server. Set SCHEDULED_JOBS=false on all but one
+// instance when running several behind a load balancer.
+const OVERDUE_CHECK_CRON = process.env.OVERDUE_CHECK_CRON || '*/5 * * * *';
+const REGISTRATION_CLEANUP_CRON = process.env.REGISTRATION_CLEANUP_CRON || '0 * * * *';
+
+const jobs = [];
+
+// Skip a tick while the previous run of the same job is still going
+const guarded = (name, task) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await task();
+      if (summary && Object.values(summary).some(count => count > 0)) {
+        console.log(`⏰ ${name}:`, summary);
+      }
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const startScheduledJobs = () => {
+  if (process.env.SCHEDULED_JOBS === 'false' || jobs.length > 0) return;
+
+  jobs.push(new CronJob(OVERDUE_CHECK_CRON, guarded('overdue check', () => runOverdueCheck()), null, true));
+  console.log(`⏰ Overdue outpass check scheduled (${OVERDUE_CHECK_CRON})`);
+
+  jobs.push(new CronJob(REGISTRATION_CLEANUP_CRON, guarded('registration cleanup', () => purgeStaleRegistrations()), null, true));
+  console.log(`⏰ Unverified registration cleanup scheduled (${REGISTRATION_CLEANUP_CRON})`);
+};
+
+const stopScheduledJobs = () => {
+  jobs.splice(0).forEach(job => job.stop());
+};
+
+module.exports = {
+  startScheduledJobs,
+  stopScheduledJobs
+};
@@ -0,0 +1,68 @@
+// Text messages for phone-only users (parent login codes, consent requests)
+// SMS_TRANSPORT=webhook (default) POSTs { to, message } as JSON to SMS_WEBHOOK_URL for a
+// gateway to deliver; SMS_TRANSPORT=log prints messages, codes included, to the console instead
+let transport = null;
+
+// Whether messages can actually reach a phone (or the console, when logging was asked for)
+const isSmsConfigured = () => process.env.SMS_TRANSPORT === 'log' || Boolean(process.env.SMS_WEBHOOK_URL);
+
+const createTransport = () => {
+  if (process.env.SMS_TRANSPORT !== 'log') {
+    return {
+      send: async ({ to, message }) => {
+        if (!process.env.SMS_WEBHOOK_URL) {
+          throw new Error('SMS_WEBHOOK_URL is not set; set it, or SMS_TRANSPORT=log in development');
+        }
+
+        const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(process.env.SMS_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` })
+          },
+          body: JSON.stringify({ to, message })
+        });
+
+        if (!response.ok) {
+          throw new Error(`SMS gateway responded with ${response.status}`);
+        }
+        return { to };
+      }
+    };
+  }
+
+  return {
+    send: async ({ to, message }) => {
+      console.log(`📱 SMS to ${to}: ${message}`);
+      return { to };
+    }
+  };
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. a stub in dev or tests)
+const setTransport = (replacement) => {
+  transport = replacement;
+};
+
+const sendSms = ({ to, message }) => getTransport().send({ to, message });
+
+// Phone numbers are stored and matched as digits with an optional leading +
+const normalizePhone = (phone) => {
+  const trimmed = String(phone || '').trim();
+  return (trimmed.startsWith('+') ? '+' : '') + trimmed.replace(/\D/g, '');
+};
+
+module.exports = {
+  isSmsConfigured,
+  sendSms,
+  setTransport,
+  getTransport,
+  normalizePhone
+};
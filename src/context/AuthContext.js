@@ -114,6 +114,12 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AuthActionTypes.CLEAR_ERROR });
 
       const response = await ApiService.login(credentials);
+
+      // The login screen hands over to the two-factor screen
+      if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+        dispatch({ type: AuthActionTypes.SET_LOADING, payload: false });
+        return response;
+      }
       
       dispatch({ 
         type: AuthActionTypes.LOGIN_SUCCESS, 
@@ -130,17 +136,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Called once the two-factor screen has stored the session tokens
+  const completeTwoFactorLogin = (user) => {
+    dispatch({ 
+      type: AuthActionTypes.LOGIN_SUCCESS, 
+      payload: user 
+    });
+  };
+
   const register = async (userData) => {
     try {
       dispatch({ type: AuthActionTypes.SET_LOADING, payload: true });
       dispatch({ type: AuthActionTypes.CLEAR_ERROR });
 
       const response = await ApiService.register(userData);
-      
-      dispatch({ 
-        type: AuthActionTypes.LOGIN_SUCCESS, 
-        payload: response.user 
-      });
+
+      // The account stays signed out until the emailed link is used
+      dispatch({ type: AuthActionTypes.SET_LOADING, payload: false });
 
       return response;
     } catch (error) {
@@ -192,6 +204,7 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     updateProfile,
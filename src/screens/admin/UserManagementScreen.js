@@ -0,0 +1,593 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  Modal,
+} from 'react-native';
+import ApiService from '../../services/api';
+
+const ROLE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'student', label: 'Students' },
+  { value: 'warden', label: 'Wardens' },
+  { value: 'canteen_owner', label: 'Canteen' },
+  { value: 'admin', label: 'Admins' },
+];
+
+const STAFF_ROLES = ['warden', 'canteen_owner', 'admin'];
+
+// Roles limited to the hostel blocks they are given
+const BLOCK_SCOPED_ROLES = ['warden'];
+
+const EMPTY_FORM = {
+  identifier: '',
+  email: '',
+  password: '',
+  role: 'student',
+  name: '',
+  phone: '',
+  course: '',
+  year: '1',
+  roomNumber: '',
+  hostelBlock: '',
+  parentPhone: '',
+  designation: '',
+  hostelBlocks: [],
+};
+
+const UserManagementScreen = () => {
+  const [users, setUsers] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [blockFilter, setBlockFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [createModalVisible, setCreateModalVisible] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    loadBlocks();
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [roleFilter, blockFilter]);
+
+  const loadBlocks = async () => {
+    try {
+      const response = await ApiService.getBlocks();
+      setBlocks((response.data?.blocks || []).map(block => block.code));
+    } catch (error) {
+      console.error('Error loading blocks:', error);
+    }
+  };
+
+  const loadUsers = async () => {
+    try {
+      setLoading(true);
+      const params = { limit: 50 };
+      if (search.trim()) params.search = search.trim();
+      if (roleFilter) params.role = roleFilter;
+      if (blockFilter) params.hostelBlock = blockFilter;
+
+      const response = await ApiService.getUsers(params);
+      setUsers(response.data?.users || []);
+    } catch (error) {
+      console.error('Error loading users:', error);
+      Alert.alert('Error', 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadUsers();
+    setRefreshing(false);
+  };
+
+  const replaceUser = (updatedUser) => {
+    setUsers(prev => prev.map(u => (u.id === updatedUser.id ? { ...u, ...updatedUser, profile: updatedUser.profile || u.profile } : u)));
+  };
+
+  const handleToggleActive = async (user) => {
+    try {
+      const response = await ApiService.setUserActive(user.id, !user.isActive);
+      replaceUser(response.data.user);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    try {
+      const response = await ApiService.resetUserPassword(user.id);
+      Alert.alert(
+        'Password Reset',
+        `Temporary password for ${user.identifier}:\n\n${response.data.temporaryPassword}\n\nAsk them to change it after logging in.`
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleChangeRole = (user) => {
+    // Moving between student and staff needs profile details, so the console only switches staff roles
+    const options = STAFF_ROLES
+      .filter(role => role !== user.role)
+      .map(role => ({
+        text: getRoleDisplayName(role),
+        onPress: async () => {
+          try {
+            const response = await ApiService.changeUserRole(user.id, {
+              role,
+              designation: user.profile?.designation || 'Staff',
+              ...(BLOCK_SCOPED_ROLES.includes(role) && user.profile?.hostelBlocks?.length
+                ? { hostelBlocks: user.profile.hostelBlocks }
+                : {})
+            });
+            replaceUser(response.data.user);
+          } catch (error) {
+            Alert.alert('Error', error.message);
+          }
+        }
+      }));
+
+    Alert.alert('Change Role', `Select a new role for ${user.identifier}`, [
+      ...options,
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const openUserActions = (user) => {
+    const actions = [
+      {
+        text: user.isActive ? 'Deactivate' : 'Activate',
+        style: user.isActive ? 'destructive' : 'default',
+        onPress: () => handleToggleActive(user)
+      },
+      { text: 'Reset Password', onPress: () => handleResetPassword(user) },
+      {
+        text: 'Unlock Login',
+        onPress: async () => {
+          try {
+            const response = await ApiService.unlockUser(user.id);
+            Alert.alert('Unlock', response.message);
+          } catch (error) {
+            Alert.alert('Error', error.message);
+          }
+        }
+      },
+    ];
+
+    if (STAFF_ROLES.includes(user.role)) {
+      actions.push({ text: 'Change Role', onPress: () => handleChangeRole(user) });
+    }
+
+    Alert.alert(user.profile?.name || user.identifier, `${user.identifier} • ${user.email}`, [
+      ...actions,
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  // "All blocks" replaces any picked blocks; picking a block drops "All blocks"
+  const handleToggleBlock = (block) => {
+    setFormData(prev => {
+      if (block === 'ALL') {
+        return { ...prev, hostelBlocks: prev.hostelBlocks.includes('ALL') ? [] : ['ALL'] };
+      }
+      const current = prev.hostelBlocks.filter(code => code !== 'ALL');
+      return {
+        ...prev,
+        hostelBlocks: current.includes(block) ? current.filter(code => code !== block) : [...current, block]
+      };
+    });
+  };
+
+  const handleCreateUser = async () => {
+    if (!formData.identifier.trim() || !formData.email.trim() || !formData.name.trim()) {
+      Alert.alert('Validation Error', 'Identifier, email and name are required');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      Alert.alert('Validation Error', 'Password must be at least 6 characters long');
+      return;
+    }
+
+    const isStudent = formData.role === 'student';
+    if (isStudent && !formData.hostelBlock) {
+      Alert.alert('Validation Error', 'Please choose a hostel block');
+      return;
+    }
+
+    const isBlockScoped = BLOCK_SCOPED_ROLES.includes(formData.role);
+    if (isBlockScoped && formData.hostelBlocks.length === 0) {
+      Alert.alert('Validation Error', 'Please choose the hostel blocks this user covers');
+      return;
+    }
+
+    const payload = {
+      identifier: formData.identifier.trim().toUpperCase(),
+      email: formData.email.trim(),
+      password: formData.password,
+      role: formData.role,
+      name: formData.name.trim(),
+      phone: formData.phone.trim(),
+      ...(isStudent ? {
+        course: formData.course.trim(),
+        year: parseInt(formData.year),
+        roomNumber: formData.roomNumber.trim(),
+        hostelBlock: formData.hostelBlock,
+        parentPhone: formData.parentPhone.trim(),
+      } : {
+        designation: formData.designation.trim(),
+        ...(isBlockScoped ? { hostelBlocks: formData.hostelBlocks } : {}),
+      }),
+    };
+
+    try {
+      const response = await ApiService.createUser(payload);
+      setUsers(prev => [response.data.user, ...prev]);
+      setCreateModalVisible(false);
+      setFormData(EMPTY_FORM);
+    } catch (error) {
+      Alert.alert('Create Failed', error.message);
+    }
+  };
+
+  const getRoleDisplayName = (role) => {
+    switch (role) {
+      case 'student': return 'Student';
+      case 'warden': return 'Warden';
+      case 'canteen_owner': return 'Canteen Owner';
+      case 'admin': return 'Administrator';
+      default: return role;
+    }
+  };
+
+  // `selected` is one value, or a list for multi-select chips
+  const isChipSelected = (selected, value) =>
+    Array.isArray(selected) ? selected.includes(value) : selected === value;
+
+  const renderFilterChips = (options, selected, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value || 'all'}
+          style={[styles.chip, isChipSelected(selected, option.value) && styles.chipSelected]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text style={[styles.chipText, isChipSelected(selected, option.value) && styles.chipTextSelected]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderUserItem = (user) => (
+    <TouchableOpacity
+      key={user.id}
+      style={[styles.userCard, !user.isActive && styles.userCardInactive]}
+      onPress={() => openUserActions(user)}
+    >
+      <View style={styles.userHeader}>
+        <Text style={styles.userName}>{user.profile?.name || user.identifier}</Text>
+        <View style={[styles.statusBadge, { backgroundColor: user.isActive ? '#10b981' : '#6b7280' }]}>
+          <Text style={styles.statusText}>{user.isActive ? 'ACTIVE' : 'INACTIVE'}</Text>
+        </View>
+      </View>
+      <Text style={styles.userMeta}>{user.identifier} • {getRoleDisplayName(user.role)}</Text>
+      <Text style={styles.userMeta}>{user.email}</Text>
+      {user.profile?.hostelBlock && (
+        <Text style={styles.userMeta}>🏢 Block {user.profile.hostelBlock}, Room {user.profile.roomNumber}</Text>
+      )}
+      {user.profile?.hostelBlocks && (
+        <Text style={styles.userMeta}>🏢 Blocks: {user.profile.hostelBlocks.join(', ')}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderFormInput = (field, label, options = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={styles.textInput}
+        value={formData[field]}
+        onChangeText={(text) => handleInputChange(field, text)}
+        autoCapitalize="none"
+        {...options}
+      />
+    </View>
+  );
+
+  const renderCreateModal = () => (
+    <Modal
+      visible={createModalVisible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+    >
+      <View style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={() => setCreateModalVisible(false)}>
+            <Text style={styles.modalCloseButton}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Add User</Text>
+          <View style={{ width: 24 }} />
+        </View>
+
+        <ScrollView style={styles.modalContent}>
+          <Text style={styles.inputLabel}>Role</Text>
+          {renderFilterChips(ROLE_FILTERS.slice(1), formData.role, (role) => handleInputChange('role', role))}
+
+          {renderFormInput('identifier', 'Roll Number / Employee ID', { autoCapitalize: 'characters' })}
+          {renderFormInput('email', 'Email', { keyboardType: 'email-address' })}
+          {renderFormInput('password', 'Initial Password', { secureTextEntry: true })}
+          {renderFormInput('name', 'Full Name', { autoCapitalize: 'words' })}
+          {renderFormInput('phone', 'Phone', { keyboardType: 'phone-pad' })}
+
+          {formData.role === 'student' ? (
+            <>
+              {renderFormInput('course', 'Course', { autoCapitalize: 'words' })}
+              {renderFormInput('year', 'Year', { keyboardType: 'number-pad' })}
+              {renderFormInput('roomNumber', 'Room Number')}
+              <Text style={styles.inputLabel}>Hostel Block</Text>
+              {renderFilterChips(
+                blocks.map(block => ({ value: block, label: `Block ${block}` })),
+                formData.hostelBlock,
+                (block) => handleInputChange('hostelBlock', block)
+              )}
+              {renderFormInput('parentPhone', 'Parent Phone', { keyboardType: 'phone-pad' })}
+            </>
+          ) : (
+            <>
+              {renderFormInput('designation', 'Designation', { autoCapitalize: 'words' })}
+              {BLOCK_SCOPED_ROLES.includes(formData.role) && (
+                <>
+                  <Text style={styles.inputLabel}>Hostel Blocks</Text>
+                  {renderFilterChips(
+                    [
+                      { value: 'ALL', label: 'All blocks' },
+                      ...blocks.map(block => ({ value: block, label: `Block ${block}` }))
+                    ],
+                    formData.hostelBlocks,
+                    handleToggleBlock
+                  )}
+                </>
+              )}
+            </>
+          )}
+
+          <TouchableOpacity style={styles.primaryButton} onPress={handleCreateUser}>
+            <Text style={styles.primaryButtonText}>CREATE USER</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filterCard}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search name, roll number, email..."
+          value={search}
+          onChangeText={setSearch}
+          onSubmitEditing={loadUsers}
+          returnKeyType="search"
+          autoCapitalize="none"
+        />
+        {renderFilterChips(ROLE_FILTERS, roleFilter, setRoleFilter)}
+        {renderFilterChips(
+          [{ value: '', label: 'All Blocks' }, ...blocks.map(block => ({ value: block, label: `Block ${block}` }))],
+          blockFilter,
+          setBlockFilter
+        )}
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        {loading ? (
+          <Text style={styles.emptyText}>Loading users...</Text>
+        ) : users.length === 0 ? (
+          <Text style={styles.emptyText}>No users found</Text>
+        ) : (
+          users.map(renderUserItem)
+        )}
+      </ScrollView>
+
+      <TouchableOpacity style={styles.fab} onPress={() => setCreateModalVisible(true)}>
+        <Text style={styles.fabText}>＋</Text>
+      </TouchableOpacity>
+
+      {renderCreateModal()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  filterCard: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#f9fafb',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#2563eb',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: 'white',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  userCard: {
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 16,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  userCardInactive: {
+    opacity: 0.6,
+  },
+  userHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  userName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    flex: 1,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  statusText: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  userMeta: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#6b7280',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  fab: {
+    position: 'absolute',
+    right: 20,
+    bottom: 20,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#2563eb',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+  },
+  fabText: {
+    color: 'white',
+    fontSize: 28,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: 'white',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  modalCloseButton: {
+    fontSize: 20,
+    color: '#6b7280',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  modalContent: {
+    padding: 16,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 6,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#f9fafb',
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 8,
+    marginBottom: 40,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default UserManagementScreen;
@@ -79,15 +79,40 @@ const LoginScreen = ({ navigation }) => {
     if (!validateForm()) return;
 
     try {
-      await login({
+      const response = await login({
         identifier: formData.identifier.toUpperCase(),
         password: formData.password,
         platform: Platform.OS,
       });
+
+      if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+        navigation.navigate('TwoFactor', {
+          challengeToken: response.challengeToken,
+          mode: response.twoFactorRequired ? 'verify' : 'setup',
+        });
+        return;
+      }
       
       // Navigation is handled by App.js based on authentication state
     } catch (error) {
-      Alert.alert('Login Failed', error.message);
+      if (error.code === 'ACCOUNT_LOCKED') {
+        Alert.alert(
+          'Account Locked',
+          `Too many failed attempts. Try again in ${Math.ceil(error.retryAfter / 60)} minutes or reset your password.`
+        );
+      } else if (error.code === 'EMAIL_NOT_VERIFIED') {
+        Alert.alert('Email Not Verified', error.message, [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Verify Now',
+            onPress: () => navigation.navigate('VerifyEmail', { identifier: formData.identifier.toUpperCase() })
+          }
+        ]);
+      } else if (error.code === 'INVALID_CREDENTIALS' && error.attemptsRemaining <= 2) {
+        Alert.alert('Login Failed', `${error.message}. ${error.attemptsRemaining} attempt(s) left before your account is locked.`);
+      } else {
+        Alert.alert('Login Failed', error.message);
+      }
     }
   };
 
@@ -174,6 +199,14 @@ const LoginScreen = ({ navigation }) => {
             </View>
           </View>
 
+          {/* Forgot Password Link */}
+          <TouchableOpacity
+            style={styles.forgotPasswordButton}
+            onPress={() => navigation.navigate('ResetPassword')}
+          >
+            <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+          </TouchableOpacity>
+
           {/* Error Display */}
           {error && (
             <View style={styles.errorContainer}>
@@ -317,6 +350,16 @@ const styles = StyleSheet.create({
   eyeText: {
     fontSize: 18,
   },
+  forgotPasswordButton: {
+    alignSelf: 'flex-end',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  forgotPasswordText: {
+    fontSize: 14,
+    color: '#2563eb',
+    fontWeight: '600',
+  },
   errorContainer: {
     backgroundColor: '#fee2e2',
     paddingHorizontal: 16,
@@ -150,8 +150,14 @@ const RegisterScreen = ({ navigation }) => {
         registrationData.department = formData.department;
       }
 
-      await register(registrationData);
-      
+      const response = await register(registrationData);
+
+      Alert.alert('Verify Your Email', response.message, [
+        {
+          text: 'OK',
+          onPress: () => navigation.navigate('VerifyEmail', { identifier: registrationData.identifier })
+        }
+      ]);
     } catch (error) {
       Alert.alert('Registration Failed', error.message);
     }
@@ -0,0 +1,314 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import ApiService from '../../services/api';
+
+const ResetPasswordScreen = ({ navigation, route }) => {
+  // A token passed in from a reset link skips straight to the second step
+  const initialToken = route?.params?.token || '';
+
+  const [step, setStep] = useState(initialToken ? 'reset' : 'request');
+  const [identifier, setIdentifier] = useState('');
+  const [formData, setFormData] = useState({
+    token: initialToken,
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleRequestReset = async () => {
+    if (!identifier.trim()) {
+      Alert.alert('Validation Error', 'Please enter your Roll Number, Employee ID or email');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const response = await ApiService.forgotPassword(identifier.trim());
+      Alert.alert('Check Your Email', response.message);
+      setStep('reset');
+    } catch (error) {
+      Alert.alert('Request Failed', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const validateResetForm = () => {
+    if (!formData.token.trim()) {
+      Alert.alert('Validation Error', 'Please enter the reset code from your email');
+      return false;
+    }
+
+    if (formData.newPassword.length < 6) {
+      Alert.alert('Validation Error', 'Password must be at least 6 characters long');
+      return false;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      Alert.alert('Validation Error', 'Passwords do not match');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleResetPassword = async () => {
+    if (!validateResetForm()) return;
+
+    try {
+      setIsLoading(true);
+      await ApiService.resetPassword(formData.token.trim(), formData.newPassword);
+      Alert.alert('Password Reset', 'Your password has been updated. Please login with your new password.', [
+        { text: 'OK', onPress: () => navigation.navigate('Login') }
+      ]);
+    } catch (error) {
+      Alert.alert('Reset Failed', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>
+            {step === 'request'
+              ? 'Enter your account details to receive a reset code'
+              : 'Enter the code from your email and choose a new password'}
+          </Text>
+        </View>
+
+        <View style={styles.formContainer}>
+          {step === 'request' ? (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Roll Number / Employee ID / Email</Text>
+                <TextInput
+                  style={styles.textInput}
+                  placeholder="e.g., 2022CSE001"
+                  value={identifier}
+                  onChangeText={setIdentifier}
+                  autoCapitalize="none"
+                  returnKeyType="done"
+                  onSubmitEditing={handleRequestReset}
+                />
+              </View>
+
+              <TouchableOpacity
+                style={[styles.primaryButton, isLoading && styles.primaryButtonDisabled]}
+                onPress={handleRequestReset}
+                disabled={isLoading}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {isLoading ? 'Sending...' : 'SEND RESET CODE'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={() => setStep('reset')}>
+                <Text style={styles.linkText}>I already have a code</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Reset Code</Text>
+                <TextInput
+                  style={styles.textInput}
+                  placeholder="Paste the code from your email"
+                  value={formData.token}
+                  onChangeText={(text) => handleInputChange('token', text)}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>New Password</Text>
+                <View style={styles.passwordContainer}>
+                  <TextInput
+                    style={styles.passwordInput}
+                    placeholder="Enter new password"
+                    value={formData.newPassword}
+                    onChangeText={(text) => handleInputChange('newPassword', text)}
+                    secureTextEntry={!showPassword}
+                    textContentType="newPassword"
+                  />
+                  <TouchableOpacity
+                    style={styles.eyeButton}
+                    onPress={() => setShowPassword(!showPassword)}
+                  >
+                    <Text style={styles.eyeText}>{showPassword ? '🙈' : '👁️'}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.inputLabel}>Confirm Password</Text>
+                <TextInput
+                  style={styles.textInput}
+                  placeholder="Re-enter new password"
+                  value={formData.confirmPassword}
+                  onChangeText={(text) => handleInputChange('confirmPassword', text)}
+                  secureTextEntry={!showPassword}
+                  returnKeyType="done"
+                  onSubmitEditing={handleResetPassword}
+                />
+              </View>
+
+              <TouchableOpacity
+                style={[styles.primaryButton, isLoading && styles.primaryButtonDisabled]}
+                onPress={handleResetPassword}
+                disabled={isLoading}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {isLoading ? 'Resetting...' : 'RESET PASSWORD'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={() => setStep('request')}>
+                <Text style={styles.linkText}>Didn't get a code? Send again</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        <View style={styles.backContainer}>
+          <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+            <Text style={styles.linkText}>Back to Login</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 32,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2563eb',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  formContainer: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    marginBottom: 24,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9fafb',
+  },
+  passwordContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    backgroundColor: '#f9fafb',
+  },
+  passwordInput: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  eyeButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  eyeText: {
+    fontSize: 18,
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 16,
+    color: '#2563eb',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  backContainer: {
+    alignItems: 'center',
+  },
+});
+
+export default ResetPasswordScreen;
@@ -0,0 +1,351 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+import ApiService from '../../services/api';
+
+// Second login step: 'verify' asks for a code from an enrolled authenticator,
+// 'setup' enrols one first for roles that require two-factor authentication
+const TwoFactorScreen = ({ navigation, route }) => {
+  const { challengeToken, mode } = route.params;
+
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [pendingUser, setPendingUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { completeTwoFactorLogin } = useAuth();
+
+  useEffect(() => {
+    if (mode === 'setup') {
+      loadSetup();
+    }
+  }, []);
+
+  const loadSetup = async () => {
+    try {
+      setIsLoading(true);
+      const response = await ApiService.setupTwoFactor(challengeToken);
+      setSetupData(response.data);
+    } catch (error) {
+      handleError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleError = (error) => {
+    if (error.code === 'CHALLENGE_INVALID' || error.code === 'ACCOUNT_LOCKED') {
+      Alert.alert('Verification Failed', error.message, [
+        { text: 'OK', onPress: () => navigation.navigate('Login') }
+      ]);
+    } else {
+      Alert.alert('Verification Failed', error.message);
+    }
+  };
+
+  const handleVerify = async () => {
+    if (!code.trim()) {
+      Alert.alert('Validation Error', useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const response = await ApiService.verifyTwoFactorLogin(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+
+      if (useRecoveryCode && response.recoveryCodesRemaining <= 2) {
+        Alert.alert('Recovery Codes Low', `Only ${response.recoveryCodesRemaining} recovery code(s) left. Generate new ones from your profile.`);
+      }
+
+      completeTwoFactorLogin(response.user);
+    } catch (error) {
+      handleError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      Alert.alert('Validation Error', 'Please enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const response = await ApiService.enableTwoFactor(code.trim(), challengeToken);
+      // Keep the user here until the recovery codes have been seen
+      setRecoveryCodes(response.recoveryCodes);
+      setPendingUser(response.user);
+    } catch (error) {
+      handleError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderRecoveryCodes = () => (
+    <View style={styles.formContainer}>
+      <Text style={styles.sectionTitle}>Save Your Recovery Codes</Text>
+      <Text style={styles.helpText}>
+        Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+      </Text>
+      <View style={styles.codesGrid}>
+        {recoveryCodes.map(recoveryCode => (
+          <Text key={recoveryCode} style={styles.recoveryCode}>{recoveryCode}</Text>
+        ))}
+      </View>
+      <TouchableOpacity
+        style={styles.primaryButton}
+        onPress={() => completeTwoFactorLogin(pendingUser)}
+      >
+        <Text style={styles.primaryButtonText}>I'VE SAVED THEM</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderSetup = () => (
+    <View style={styles.formContainer}>
+      <Text style={styles.sectionTitle}>1. Scan this QR code</Text>
+      <Text style={styles.helpText}>Use Google Authenticator, Authy or any TOTP app.</Text>
+      {setupData ? (
+        <>
+          <Image source={{ uri: setupData.qrCode }} style={styles.qrCode} />
+          <Text style={styles.helpText}>Can't scan? Enter this key manually:</Text>
+          <Text style={styles.secretText} selectable>{setupData.secret}</Text>
+        </>
+      ) : (
+        <ActivityIndicator size="large" color="#2563eb" style={styles.qrLoading} />
+      )}
+
+      <Text style={styles.sectionTitle}>2. Enter the 6-digit code</Text>
+      <TextInput
+        style={styles.codeInput}
+        placeholder="000000"
+        value={code}
+        onChangeText={setCode}
+        keyboardType="number-pad"
+        maxLength={6}
+        returnKeyType="done"
+        onSubmitEditing={handleEnable}
+      />
+
+      <TouchableOpacity
+        style={[styles.primaryButton, (isLoading || !setupData) && styles.primaryButtonDisabled]}
+        onPress={handleEnable}
+        disabled={isLoading || !setupData}
+      >
+        <Text style={styles.primaryButtonText}>
+          {isLoading ? 'Verifying...' : 'ENABLE & SIGN IN'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderVerify = () => (
+    <View style={styles.formContainer}>
+      <Text style={styles.inputLabel}>
+        {useRecoveryCode ? 'Recovery Code' : 'Authenticator Code'}
+      </Text>
+      <TextInput
+        style={styles.codeInput}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '000000'}
+        value={code}
+        onChangeText={setCode}
+        keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+        maxLength={useRecoveryCode ? 11 : 6}
+        autoCapitalize="none"
+        autoCorrect={false}
+        returnKeyType="done"
+        onSubmitEditing={handleVerify}
+      />
+
+      <TouchableOpacity
+        style={[styles.primaryButton, isLoading && styles.primaryButtonDisabled]}
+        onPress={handleVerify}
+        disabled={isLoading}
+      >
+        <Text style={styles.primaryButtonText}>
+          {isLoading ? 'Verifying...' : 'VERIFY'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}>
+        <Text style={styles.linkText}>
+          {useRecoveryCode ? 'Use authenticator code instead' : 'Lost your device? Use a recovery code'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Two-Factor Authentication</Text>
+          <Text style={styles.subtitle}>
+            {mode === 'setup'
+              ? 'Your role requires an authenticator app to sign in'
+              : 'Enter the code from your authenticator app'}
+          </Text>
+        </View>
+
+        {recoveryCodes ? renderRecoveryCodes() : mode === 'setup' ? renderSetup() : renderVerify()}
+
+        {!recoveryCodes && (
+          <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+            <Text style={styles.linkText}>Back to Login</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 32,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: 'bold',
+    color: '#2563eb',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  formContainer: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  qrLoading: {
+    marginVertical: 40,
+  },
+  secretText: {
+    fontSize: 14,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    color: '#1f2937',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  codeInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 24,
+    letterSpacing: 6,
+    textAlign: 'center',
+    backgroundColor: '#f9fafb',
+    marginBottom: 20,
+  },
+  codesGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  recoveryCode: {
+    width: '48%',
+    fontSize: 15,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    color: '#1f2937',
+    backgroundColor: '#f3f4f6',
+    borderRadius: 6,
+    paddingVertical: 8,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 16,
+    color: '#2563eb',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+});
+
+export default TwoFactorScreen;
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import ApiService from '../../services/api';
+
+const VerifyEmailScreen = ({ navigation, route }) => {
+  // A token passed in from the verification link is submitted straight away
+  const initialToken = route?.params?.token || '';
+
+  const [token, setToken] = useState(initialToken);
+  const [identifier, setIdentifier] = useState(route?.params?.identifier || '');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+
+  useEffect(() => {
+    if (initialToken) {
+      handleVerify();
+    }
+  }, []);
+
+  const handleVerify = async () => {
+    if (!token.trim()) {
+      Alert.alert('Validation Error', 'Please enter the verification code from your email');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const response = await ApiService.verifyEmail(token.trim());
+      Alert.alert('Email Verified', response.message, [
+        { text: 'OK', onPress: () => navigation.navigate('Login') }
+      ]);
+    } catch (error) {
+      Alert.alert(
+        'Verification Failed',
+        error.code === 'VERIFICATION_TOKEN_EXPIRED'
+          ? `${error.message} Use "Send a new link" below.`
+          : error.message
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!identifier.trim()) {
+      Alert.alert('Validation Error', 'Please enter your Roll Number, Employee ID or email');
+      return;
+    }
+
+    try {
+      setIsResending(true);
+      const response = await ApiService.resendVerification(identifier.trim());
+      Alert.alert('Check Your Email', response.message);
+    } catch (error) {
+      Alert.alert('Request Failed', error.message);
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>Verify Email</Text>
+          <Text style={styles.subtitle}>
+            Open the link we emailed you, or paste the code from the email below
+          </Text>
+        </View>
+
+        <View style={styles.formContainer}>
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Verification Code</Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder="Paste the code from your email"
+              value={token}
+              onChangeText={setToken}
+              autoCapitalize="none"
+              autoCorrect={false}
+              returnKeyType="done"
+              onSubmitEditing={handleVerify}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.primaryButton, isLoading && styles.primaryButtonDisabled]}
+            onPress={handleVerify}
+            disabled={isLoading}
+          >
+            <Text style={styles.primaryButtonText}>
+              {isLoading ? 'Verifying...' : 'VERIFY EMAIL'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.formContainer}>
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Roll Number / Employee ID / Email</Text>
+            <TextInput
+              style={styles.textInput}
+              placeholder="e.g., 2022CSE001"
+              value={identifier}
+              onChangeText={setIdentifier}
+              autoCapitalize="none"
+            />
+          </View>
+
+          <TouchableOpacity onPress={handleResend} disabled={isResending}>
+            <Text style={styles.linkText}>
+              {isResending ? 'Sending...' : 'Send a new link'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.backContainer}>
+          <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+            <Text style={styles.linkText}>Back to Login</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 32,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2563eb',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  formContainer: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 24,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+    marginBottom: 24,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9fafb',
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 16,
+    color: '#2563eb',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  backContainer: {
+    alignItems: 'center',
+  },
+});
+
+export default VerifyEmailScreen;
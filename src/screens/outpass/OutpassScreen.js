@@ -7,6 +7,7 @@ import {
   TouchableOpacity,
   RefreshControl,
   Alert,
+  Image,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../../context/AuthContext';
@@ -17,6 +18,7 @@ const OutpassScreen = () => {
   const { user } = useAuth();
   const [requests, setRequests] = useState([]);
   const [stats, setStats] = useState({ total: 0, pending: 0, approved: 0, checkedOut: 0 });
+  const [gatePass, setGatePass] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
 
@@ -46,6 +48,15 @@ const OutpassScreen = () => {
       };
       setStats(statsData);
 
+      // Signed QR pass for the outpass the student can leave or return on
+      const activeOutpass = reqs.find(r => ['approved', 'checked_out', 'overdue'].includes(r.status));
+      if (activeOutpass) {
+        const passResponse = await ApiService.getGatePass(activeOutpass._id).catch(() => null);
+        setGatePass(passResponse ? { ...passResponse.data, outpass: activeOutpass } : null);
+      } else {
+        setGatePass(null);
+      }
+
     } catch (error) {
       console.error('Error loading outpass data:', error);
       Alert.alert('Error', 'Failed to load outpass requests');
@@ -193,6 +204,26 @@ const OutpassScreen = () => {
     );
   };
 
+  const renderGatePass = () => {
+    if (!gatePass) return null;
+
+    return (
+      <View style={styles.gatePassCard}>
+        <Text style={styles.statusTitle}>🎫 Gate Pass</Text>
+        <Text style={styles.gatePassHint}>
+          Show this code at the gate when you leave and when you return
+        </Text>
+        <Image source={{ uri: gatePass.qrCode }} style={styles.gatePassQr} />
+        <Text style={styles.statusTiming}>
+          Valid {new Date(gatePass.validFrom).toLocaleString()} – {new Date(gatePass.validUntil).toLocaleString()}
+        </Text>
+        <Text style={styles.statusDestination}>
+          📍 {gatePass.outpass.destination.city}, {gatePass.outpass.destination.state}
+        </Text>
+      </View>
+    );
+  };
+
   const renderRequestItem = (request) => (
     <TouchableOpacity 
       key={request._id} 
@@ -288,6 +319,9 @@ const OutpassScreen = () => {
         {/* Current Status */}
         {renderCurrentStatus()}
 
+        {/* Gate Pass */}
+        {renderGatePass()}
+
         {/* Quick Actions */}
         {renderQuickActions()}
 
@@ -409,6 +443,28 @@ const styles = StyleSheet.create({
   viewDetailsButton: {
     alignSelf: 'flex-start',
   },
+  gatePassCard: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    padding: 20,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#10b981',
+  },
+  gatePassHint: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  gatePassQr: {
+    width: 220,
+    height: 220,
+    marginBottom: 12,
+  },
   viewDetailsText: {
     fontSize: 14,
     color: '#2563eb',
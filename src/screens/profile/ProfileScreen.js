@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+import ApiService from '../../services/api';
+
+const ProfileScreen = () => {
+  const { user, logout, checkAuthStatus } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await ApiService.getSessions();
+      setSessions(response.data?.sessions || []);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      Alert.alert('Error', 'Failed to load active sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadSessions();
+    setRefreshing(false);
+  };
+
+  const handleRevokeSession = (session) => {
+    Alert.alert(
+      'Sign Out Device',
+      `Sign out ${getDeviceLabel(session)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.revokeSession(session.id);
+              setSessions(prev => prev.filter(s => s.id !== session.id));
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleLogoutAll = () => {
+    Alert.alert(
+      'Sign Out Everywhere',
+      'This will sign you out on all devices, including this one.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.logoutAll();
+            } catch (error) {
+              console.error('Logout all error:', error);
+            } finally {
+              // Storage is cleared, so this drops back to the login screen
+              await checkAuthStatus();
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const getPlatformIcon = (platform) => {
+    switch (platform) {
+      case 'ios': return '📱';
+      case 'android': return '🤖';
+      case 'web': return '💻';
+      default: return '❔';
+    }
+  };
+
+  const getDeviceLabel = (session) => {
+    switch (session.platform) {
+      case 'ios': return 'iOS device';
+      case 'android': return 'Android device';
+      case 'web': return 'Web browser';
+      default: return 'Unknown device';
+    }
+  };
+
+  const formatLastUsed = (date) => {
+    const diffMinutes = Math.floor((Date.now() - new Date(date).getTime()) / (1000 * 60));
+
+    if (diffMinutes < 1) return 'Just now';
+    if (diffMinutes < 60) return `${diffMinutes} min ago`;
+    if (diffMinutes < 24 * 60) return `${Math.floor(diffMinutes / 60)} hours ago`;
+    return new Date(date).toLocaleDateString();
+  };
+
+  const renderSessionItem = (session) => (
+    <View key={session.id} style={styles.sessionItem}>
+      <Text style={styles.sessionIcon}>{getPlatformIcon(session.platform)}</Text>
+      <View style={styles.sessionInfo}>
+        <Text style={styles.sessionDevice}>
+          {getDeviceLabel(session)}
+          {session.isCurrent && <Text style={styles.currentBadge}>  • This device</Text>}
+        </Text>
+        <Text style={styles.sessionMeta}>Last used: {formatLastUsed(session.lastUsed)}</Text>
+        {session.ipAddress ? (
+          <Text style={styles.sessionMeta}>IP: {session.ipAddress}</Text>
+        ) : null}
+      </View>
+      {!session.isCurrent && (
+        <TouchableOpacity
+          style={styles.revokeButton}
+          onPress={() => handleRevokeSession(session)}
+        >
+          <Text style={styles.revokeButtonText}>Sign Out</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      {/* Account */}
+      <View style={styles.card}>
+        <Text style={styles.name}>{user?.profile?.name || user?.identifier}</Text>
+        <Text style={styles.identifier}>{user?.identifier}</Text>
+        <Text style={styles.roleText}>Role: {user?.role}</Text>
+      </View>
+
+      {/* Active Sessions */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Active Sessions</Text>
+        {loading ? (
+          <ActivityIndicator size="small" color="#2563eb" />
+        ) : sessions.length === 0 ? (
+          <Text style={styles.emptyText}>No active sessions</Text>
+        ) : (
+          sessions.map(renderSessionItem)
+        )}
+
+        {sessions.length > 1 && (
+          <TouchableOpacity style={styles.logoutAllButton} onPress={handleLogoutAll}>
+            <Text style={styles.logoutAllText}>Sign out of all devices</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <TouchableOpacity style={styles.logoutButton} onPress={logout}>
+        <Text style={styles.logoutText}>Logout</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  card: {
+    backgroundColor: 'white',
+    margin: 16,
+    marginBottom: 0,
+    padding: 16,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  name: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2563eb',
+    marginBottom: 4,
+  },
+  identifier: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  roleText: {
+    fontSize: 14,
+    color: '#059669',
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  sessionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  sessionIcon: {
+    fontSize: 24,
+    marginRight: 12,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionDevice: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  currentBadge: {
+    fontSize: 13,
+    color: '#059669',
+    fontWeight: '600',
+  },
+  sessionMeta: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  revokeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#dc2626',
+  },
+  revokeButtonText: {
+    color: '#dc2626',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  logoutAllButton: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  logoutAllText: {
+    color: '#dc2626',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  logoutButton: {
+    margin: 16,
+    backgroundColor: '#dc2626',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  logoutText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ProfileScreen;
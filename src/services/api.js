@@ -13,6 +13,7 @@ const STORAGE_KEYS = {
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.refreshPromise = null;
   }
 
   // Get stored access token
@@ -81,7 +82,18 @@ class ApiService {
   }
 
   // Refresh access token
+  // Concurrent callers share one request: refresh tokens are single use, so a second
+  // refresh with the same token would be treated as reuse and revoke the session
   async refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performTokenRefresh() {
     try {
       const refreshToken = await this.getRefreshToken();
       
@@ -171,7 +183,16 @@ class ApiService {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Login failed');
+        const loginError = new Error(data.error || 'Login failed');
+        loginError.code = data.code;
+        loginError.retryAfter = data.retryAfter;
+        loginError.attemptsRemaining = data.attemptsRemaining;
+        throw loginError;
+      }
+
+      // Two-factor step pending: no tokens yet, the caller continues with the challenge token
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        return data;
       }
 
       // Store tokens and user data
@@ -201,10 +222,7 @@ class ApiService {
         throw new Error(data.error || 'Registration failed');
       }
 
-      // Store tokens and user data
-      await this.storeTokens(data.tokens.accessToken, data.tokens.refreshToken);
-      await this.storeUserData(data.user);
-
+      // New accounts must verify their email before they get a session
       return data;
     } catch (error) {
       console.error('Registration error:', error);
@@ -224,6 +242,229 @@ class ApiService {
     }
   }
 
+  async forgotPassword(identifier) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ identifier }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to request password reset');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      throw error;
+    }
+  }
+
+  async resetPassword(token, newPassword) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, newPassword }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Password reset failed');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/verify-email`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const verifyError = new Error(data.error || 'Email verification failed');
+        verifyError.code = data.code;
+        throw verifyError;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Verify email error:', error);
+      throw error;
+    }
+  }
+
+  async resendVerification(identifier) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/resend-verification`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ identifier }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resend verification email');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      throw error;
+    }
+  }
+
+  // Parent login: a one-time code is texted to the phone on the parent's profile
+  async requestLoginOtp(phone) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/otp/request`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ phone }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const otpError = new Error(data.error || 'Failed to send login code');
+        otpError.code = data.code;
+        otpError.retryAfter = data.retryAfter;
+        throw otpError;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Request login code error:', error);
+      throw error;
+    }
+  }
+
+  async verifyLoginOtp(phone, code, deviceInfo = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/otp/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ phone, code, ...deviceInfo }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const otpError = new Error(data.error || 'Login failed');
+        otpError.code = data.code;
+        otpError.retryAfter = data.retryAfter;
+        otpError.attemptsRemaining = data.attemptsRemaining;
+        throw otpError;
+      }
+
+      await this.storeTokens(data.tokens.accessToken, data.tokens.refreshToken);
+      await this.storeUserData(data.user);
+
+      return data;
+    } catch (error) {
+      console.error('Verify login code error:', error);
+      throw error;
+    }
+  }
+
+  async logoutAll() {
+    try {
+      return await this.request('/auth/logout-all', { method: 'POST' });
+    } finally {
+      await this.clearStorage();
+    }
+  }
+
+  // POST to an endpoint that authenticates with a two-factor challenge token instead of a session
+  async postWithChallenge(endpoint, body, fallbackError) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const requestError = new Error(data.error || fallbackError);
+      requestError.code = data.code;
+      requestError.retryAfter = data.retryAfter;
+      throw requestError;
+    }
+
+    // Completing a login returns a session
+    if (data.tokens) {
+      await this.storeTokens(data.tokens.accessToken, data.tokens.refreshToken);
+      await this.storeUserData(data.user);
+    }
+
+    return data;
+  }
+
+  // Two-factor authentication methods
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    return this.postWithChallenge('/auth/login/2fa', { challengeToken, code, recoveryCode }, 'Verification failed');
+  }
+
+  async setupTwoFactor(challengeToken = null) {
+    if (challengeToken) {
+      return this.postWithChallenge('/auth/2fa/setup', { challengeToken }, 'Failed to start two-factor setup');
+    }
+    return this.request('/auth/2fa/setup', { method: 'POST' });
+  }
+
+  async enableTwoFactor(code, challengeToken = null) {
+    if (challengeToken) {
+      return this.postWithChallenge('/auth/2fa/enable', { challengeToken, code }, 'Failed to enable two-factor authentication');
+    }
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
+  async disableTwoFactor(password, code) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code })
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  }
+
   async getProfile() {
     return this.request('/auth/profile');
   }
@@ -235,6 +476,176 @@ class ApiService {
     });
   }
 
+  // Session management
+  async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Admin user management methods
+  async getUsers(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/users${query ? `?${query}` : ''}`);
+  }
+
+  async getUser(userId) {
+    return this.request(`/admin/users/${userId}`);
+  }
+
+  async createUser(userData) {
+    return this.request('/admin/users', {
+      method: 'POST',
+      body: JSON.stringify(userData)
+    });
+  }
+
+  async updateUser(userId, userData) {
+    return this.request(`/admin/users/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(userData)
+    });
+  }
+
+  async setUserActive(userId, isActive) {
+    return this.request(`/admin/users/${userId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive })
+    });
+  }
+
+  async resetUserPassword(userId, newPassword) {
+    return this.request(`/admin/users/${userId}/reset-password`, {
+      method: 'POST',
+      body: JSON.stringify(newPassword ? { newPassword } : {})
+    });
+  }
+
+  async changeUserRole(userId, roleData) {
+    return this.request(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify(roleData)
+    });
+  }
+
+  async unlockUser(userId) {
+    return this.request(`/admin/users/${userId}/unlock`, {
+      method: 'POST'
+    });
+  }
+
+  async getUserSessions(userId) {
+    return this.request(`/admin/users/${userId}/sessions`);
+  }
+
+  async forceLogoutUser(userId) {
+    return this.request(`/admin/users/${userId}/logout-all`, {
+      method: 'POST'
+    });
+  }
+
+  async linkParentChild(parentId, student) {
+    return this.request(`/admin/users/${parentId}/children`, {
+      method: 'POST',
+      body: JSON.stringify({ student })
+    });
+  }
+
+  async unlinkParentChild(parentId, studentId) {
+    return this.request(`/admin/users/${parentId}/children/${studentId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async importStudents(rosterData) {
+    return this.request('/admin/students/import', {
+      method: 'POST',
+      body: rosterData // FormData with the roster file, mode and dryRun
+    });
+  }
+
+  async getImports(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/imports${query ? `?${query}` : ''}`);
+  }
+
+  async getImport(importId) {
+    return this.request(`/admin/imports/${importId}`);
+  }
+
+  async runSemesterRollover(options) {
+    return this.request('/admin/students/rollover', {
+      method: 'POST',
+      body: JSON.stringify(options)
+    });
+  }
+
+  async getRollovers(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/rollovers${query ? `?${query}` : ''}`);
+  }
+
+  async getRollover(rolloverId) {
+    return this.request(`/admin/rollovers/${rolloverId}`);
+  }
+
+  async getPermissions() {
+    return this.request('/admin/permissions');
+  }
+
+  async updateRolePermissions(role, permissions) {
+    return this.request(`/admin/permissions/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ permissions })
+    });
+  }
+
+  async resetRolePermissions(role) {
+    return this.request(`/admin/permissions/${role}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async getAuditLogs(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/audit-logs${query ? `?${query}` : ''}`);
+  }
+
+  // Hostel block methods
+  async getBlocks(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/blocks${query ? `?${query}` : ''}`);
+  }
+
+  async createBlock(blockData) {
+    return this.request('/blocks', {
+      method: 'POST',
+      body: JSON.stringify(blockData)
+    });
+  }
+
+  async updateBlock(blockId, blockData) {
+    return this.request(`/blocks/${blockId}`, {
+      method: 'PUT',
+      body: JSON.stringify(blockData)
+    });
+  }
+
+  async getAllocationRules() {
+    return this.request('/blocks/rules');
+  }
+
+  async previewAllocation(rollNumber, gender) {
+    return this.request('/blocks/allocate/preview', {
+      method: 'POST',
+      body: JSON.stringify({ rollNumber, gender })
+    });
+  }
+
   // Feature-specific API methods
   async getDashboard() {
     return this.request('/students/dashboard');
@@ -314,6 +725,28 @@ class ApiService {
     });
   }
 
+  async uploadOutpassDocuments(id, formData) {
+    return this.request(`/outpass/request/${id}/documents`, {
+      method: 'POST',
+      body: formData // "documents" files with matching "documentTypes"
+    });
+  }
+
+  async deleteOutpassDocument(id, documentId) {
+    return this.request(`/outpass/request/${id}/documents/${documentId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // URL and auth header for fetching an outpass document with a file downloader
+  async getOutpassDocumentDownload(id, documentId) {
+    const accessToken = await this.getAccessToken();
+    return {
+      url: `${this.baseURL}/outpass/request/${id}/documents/${documentId}`,
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+    };
+  }
+
   async getOutpassRequest(id) {
     return this.request(`/outpass/request/${id}`);
   }
@@ -325,8 +758,98 @@ class ApiService {
     });
   }
 
-  async cancelOutpassRequest(id) {
+  async getPendingApprovals(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/outpass/approvals/pending${query ? `?${query}` : ''}`);
+  }
+
+  async getOutpassTriage(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/outpass/triage${query ? `?${query}` : ''}`);
+  }
+
+  async bulkReviewOutpassRequests(ids, status, reviewNotes) {
+    return this.request('/outpass/review/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ ids, status, reviewNotes })
+    });
+  }
+
+  async getOutpassSeries(seriesId) {
+    return this.request(`/outpass/series/${seriesId}`);
+  }
+
+  async cancelOutpassSeries(seriesId, from) {
+    return this.request(`/outpass/series/${seriesId}${from ? `?from=${encodeURIComponent(from)}` : ''}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async cancelOutpassRequest(id, reason) {
     return this.request(`/outpass/request/${id}`, {
+      method: 'DELETE',
+      ...(reason && { body: JSON.stringify({ reason }) })
+    });
+  }
+
+  async requestOutpassExtension(id, extension) {
+    return this.request(`/outpass/request/${id}/amendment`, {
+      method: 'PUT',
+      body: JSON.stringify(extension) // { inDate, inTime, reason }
+    });
+  }
+
+  async getGatePass(id) {
+    return this.request(`/outpass/request/${id}/pass`);
+  }
+
+  // Gate methods (security)
+  async lookupGatePass(q) {
+    return this.request(`/outpass/gate/lookup?q=${encodeURIComponent(q)}`);
+  }
+
+  async checkOutOutpass(id, location, notes) {
+    return this.request(`/outpass/request/${id}/check-out`, {
+      method: 'PUT',
+      body: JSON.stringify({ location, notes })
+    });
+  }
+
+  async checkInOutpass(id, location, notes) {
+    return this.request(`/outpass/request/${id}/check-in`, {
+      method: 'PUT',
+      body: JSON.stringify({ location, notes })
+    });
+  }
+
+  async verifyGatePass(token, location, notes) {
+    return this.request('/outpass/gate/verify', {
+      method: 'POST',
+      body: JSON.stringify({ token, location, notes })
+    });
+  }
+
+  async getGatePassKey() {
+    return this.request('/outpass/gate/public-key');
+  }
+
+  async getStudentsCurrentlyOut() {
+    return this.request('/outpass/gate/out');
+  }
+
+  async getOutpassPolicies() {
+    return this.request('/outpass/policies');
+  }
+
+  async updateOutpassPolicy(type, policy) {
+    return this.request(`/outpass/policies/${type}`, {
+      method: 'PUT',
+      body: JSON.stringify(policy)
+    });
+  }
+
+  async resetOutpassPolicy(type) {
+    return this.request(`/outpass/policies/${type}`, {
       method: 'DELETE'
     });
   }
@@ -335,6 +858,107 @@ class ApiService {
     return this.request(`/outpass/stats?period=${period}`);
   }
 
+  async getOutpassAnalytics(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/outpass/analytics${query ? `?${query}` : ''}`);
+  }
+
+  // URL and auth header for downloading one analytics report as CSV with a file downloader
+  async getOutpassAnalyticsDownload(report, params = {}) {
+    const accessToken = await this.getAccessToken();
+    const query = new URLSearchParams({ ...params, format: 'csv', report }).toString();
+    return {
+      url: `${this.baseURL}/outpass/analytics?${query}`,
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+    };
+  }
+
+  // Parent API methods
+  async getChildren() {
+    return this.request('/parents/children');
+  }
+
+  async getChildOutpasses(studentId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/parents/children/${studentId}/outpasses${query ? `?${query}` : ''}`);
+  }
+
+  async getPendingConsents() {
+    return this.request('/parents/consents');
+  }
+
+  async respondToOutpassConsent(id, decision, notes) {
+    return this.request(`/parents/outpasses/${id}/consent`, {
+      method: 'PUT',
+      body: JSON.stringify({ decision, notes })
+    });
+  }
+
+  // Roll call API methods (wardens)
+  async startRollCall(block, floor, date) {
+    return this.request('/rollcalls', {
+      method: 'POST',
+      body: JSON.stringify({ block, floor, date })
+    });
+  }
+
+  async getRollCalls(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/rollcalls${query ? `?${query}` : ''}`);
+  }
+
+  async getRollCall(id) {
+    return this.request(`/rollcalls/${id}`);
+  }
+
+  async markRollCallEntries(id, entries) {
+    return this.request(`/rollcalls/${id}/entries`, {
+      method: 'PUT',
+      body: JSON.stringify({ entries })
+    });
+  }
+
+  async closeRollCall(id) {
+    return this.request(`/rollcalls/${id}/close`, {
+      method: 'PUT'
+    });
+  }
+
+  async getPresenceReport(date) {
+    return this.request(`/rollcalls/report${date ? `?date=${date}` : ''}`);
+  }
+
+  // URL and auth header for downloading the presence report as CSV with a file downloader
+  async getPresenceReportDownload(date) {
+    const accessToken = await this.getAccessToken();
+    return {
+      url: `${this.baseURL}/rollcalls/report?format=csv${date ? `&date=${date}` : ''}`,
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+    };
+  }
+
+  // Late entry API methods
+  async recordLateEntry(rollNumber, reason, enteredAt, location) {
+    return this.request('/late-entries', {
+      method: 'POST',
+      body: JSON.stringify({ rollNumber, reason, enteredAt, location })
+    });
+  }
+
+  async getLateEntries(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/late-entries${query ? `?${query}` : ''}`);
+  }
+
+  async getLateEntryOffenders(min) {
+    return this.request(`/late-entries/offenders${min ? `?min=${min}` : ''}`);
+  }
+
+  async getMyLateEntries(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/late-entries/mine${query ? `?${query}` : ''}`);
+  }
+
   // Announcements API methods
   async getAnnouncements(params = {}) {
     const query = new URLSearchParams(params).toString();